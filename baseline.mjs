@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  compareSnapshots,
+  createSnapshot,
+  formatComparisonReport
+} from './shared/lib/baseline.mjs';
+import { validateAgainstSchema, writeJsonArtifact } from './shared/lib/schemas.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function getArg(name) {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+/**
+ * Save the current dataset as a baseline, or compare it with one.
+ *   node baseline.mjs --save [--name=main]     store dataset/ as baselines/main.json
+ *   node baseline.mjs [--name=main]            diff dataset/ against it
+ *   --dataset=<dir>                            scanner output to read (default dataset/, or DATASET_DIR)
+ *   --fail-on-regression                       exit 1 when anything regressed
+ * BASELINE_DIR moves the baselines directory (default baselines/ in the repo).
+ */
+async function runBaseline() {
+  const save = process.argv.includes('--save');
+  const failOnRegression = process.argv.includes('--fail-on-regression');
+  const name = getArg('name') || process.env.BASELINE_NAME || 'default';
+  const datasetDir = path.resolve(getArg('dataset') || process.env.DATASET_DIR || path.join(__dirname, 'dataset'));
+  const baselineDir = path.resolve(process.env.BASELINE_DIR || path.join(__dirname, 'baselines'));
+  const baselinePath = path.join(baselineDir, `${name}.json`);
+
+  if (!/^[\w.-]+$/.test(name)) {
+    console.error(`❌ Invalid baseline name "${name}" (letters, numbers, ".", "-" and "_" only)`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(datasetDir)) {
+    console.error(`❌ Dataset directory not found: ${datasetDir}`);
+    process.exit(1);
+  }
+
+  const snapshot = createSnapshot(datasetDir);
+  const scannerNames = Object.keys(snapshot.scanners);
+  if (scannerNames.length === 0) {
+    console.error('❌ No scanner results found to compare. Run the scanners first.');
+    process.exit(1);
+  }
+  console.log(`📸 Snapshot of ${scannerNames.join(', ')} from ${datasetDir}`);
+
+  if (save) {
+    fs.mkdirSync(baselineDir, { recursive: true });
+    writeJsonArtifact(baselinePath, { name, ...snapshot });
+    console.log(`💾 Baseline "${name}" saved to: ${baselinePath}`);
+    return;
+  }
+
+  if (!fs.existsSync(baselinePath)) {
+    console.error(`❌ Baseline "${name}" not found at ${baselinePath}`);
+    console.error('   💡 Save one first with: node baseline.mjs --save');
+    process.exit(1);
+  }
+
+  const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+  // Baselines saved before schemaVersion was recorded have the 1.x shape
+  const baselineErrors = baseline.schemaVersion === undefined ? [] : validateAgainstSchema(baseline, 'baseline');
+  if (baselineErrors.length > 0) {
+    console.error(`❌ Baseline "${name}" cannot be compared: ${baselineErrors.join('; ')}`);
+    console.error('   💡 Save it again with: node baseline.mjs --save');
+    process.exit(1);
+  }
+  const comparison = { name, ...compareSnapshots(baseline, snapshot) };
+
+  const comparisonPath = path.join(datasetDir, 'baseline-comparison.json');
+  const reportPath = path.join(datasetDir, 'baseline-comparison.md');
+  writeJsonArtifact(comparisonPath, comparison);
+  fs.writeFileSync(reportPath, formatComparisonReport(comparison));
+
+  console.log('\n📊 BASELINE COMPARISON');
+  console.log('======================');
+  Object.entries(comparison.scanners).forEach(([scanner, diff]) => {
+    console.log(
+      `${diff.regressions > 0 ? '⚠️' : '✅'} ${scanner}: ${diff.new.length} new, ${diff.fixed.length} fixed, ${diff.changed.length} changed, ${diff.regressions} regressions`
+    );
+  });
+  comparison.skipped.forEach(({ scanner, reason }) => {
+    console.log(`⏭️ ${scanner}: ${reason}`);
+  });
+  console.log(`\n💾 Comparison saved to: ${comparisonPath}`);
+  console.log(`📄 Report saved to: ${reportPath}`);
+
+  if (failOnRegression && comparison.totals.regressions > 0) {
+    console.error(`❌ ${comparison.totals.regressions} regressions against baseline "${name}"`);
+    process.exitCode = 1;
+  }
+}
+
+runBaseline().catch(error => {
+  console.error('❌ Baseline comparison failed:', error.message);
+  process.exit(1);
+});
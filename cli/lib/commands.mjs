@@ -0,0 +1,674 @@
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REPO_ROOT = path.join(__dirname, "..", "..");
+
+/**
+ * Options every scanner understands. Each option is exposed as a CLI flag
+ * (--name), a camelCase config key, and is handed to the scanner either as
+ * an environment variable (env) or as a --flag=value argument (arg).
+ * localPath values are resolved against the working directory because the
+ * scanners run from their own package directories.
+ */
+export const GLOBAL_OPTIONS = [
+  {
+    name: "url",
+    short: "u",
+    type: "string",
+    env: "WEBSITE_URL",
+    description: "Website URL to scan",
+  },
+  {
+    name: "urls",
+    type: "string",
+    env: "WEBSITE_URLS",
+    description: "Several URLs to scan, comma separated",
+  },
+  {
+    name: "url-file",
+    type: "string",
+    env: "URL_FILE",
+    localPath: true,
+    description: "File with one URL per line",
+  },
+  {
+    name: "sitemap",
+    type: "string",
+    env: "SITEMAP_URL",
+    localPath: true,
+    description: "sitemap.xml or sitemap index URL (or local file) to scan",
+  },
+  {
+    name: "crawl-graph",
+    type: "string",
+    env: "CRAWL_GRAPH",
+    localPath: true,
+    description: "crawl-graph.json from `ui-audit crawl` to scan",
+  },
+  {
+    name: "max-urls",
+    type: "string",
+    env: "MAX_URLS",
+    description: "Maximum number of pages to scan",
+  },
+  {
+    name: "auth-storage-state",
+    type: "string",
+    env: "AUTH_STORAGE_STATE",
+    localPath: true,
+    description: "Playwright storageState file to load (or save after login)",
+  },
+  {
+    name: "login-url",
+    type: "string",
+    env: "AUTH_LOGIN_URL",
+    description: "Login page for a scripted login",
+  },
+  {
+    name: "username-selector",
+    type: "string",
+    env: "AUTH_USERNAME_SELECTOR",
+    description: "Login form username field",
+  },
+  {
+    name: "password-selector",
+    type: "string",
+    env: "AUTH_PASSWORD_SELECTOR",
+    description: "Login form password field",
+  },
+  {
+    name: "submit-selector",
+    type: "string",
+    env: "AUTH_SUBMIT_SELECTOR",
+    description: "Login form submit button",
+  },
+  {
+    name: "login-success-selector",
+    type: "string",
+    env: "AUTH_SUCCESS_SELECTOR",
+    description: "Element that appears once logged in",
+  },
+  {
+    name: "login-success-url",
+    type: "string",
+    env: "AUTH_SUCCESS_URL",
+    description: "URL fragment reached after logging in",
+  },
+  {
+    name: "gates",
+    type: "string",
+    env: "QUALITY_GATES",
+    description: "Quality gate budgets as JSON, or a gates map in the config",
+  },
+  {
+    name: "gates-file",
+    type: "string",
+    env: "QUALITY_GATES_FILE",
+    localPath: true,
+    description: "JSON file with quality gate budgets",
+  },
+  {
+    name: "junit",
+    type: "boolean",
+    env: "JUNIT_OUTPUT",
+    description: "Also write JUnit XML (dataset/junit-*.xml) for CI test reporting",
+  },
+  {
+    name: "headed",
+    type: "boolean",
+    env: "HEADLESS",
+    arg: "--use-browser",
+    invert: true,
+    description: "Show the browser window instead of running headless",
+  },
+  {
+    name: "viewport-width",
+    type: "string",
+    env: "VIEWPORT_WIDTH",
+    description: "Default viewport width in pixels",
+  },
+  {
+    name: "viewport-height",
+    type: "string",
+    env: "VIEWPORT_HEIGHT",
+    description: "Default viewport height in pixels",
+  },
+  {
+    name: "user-agent",
+    type: "string",
+    env: "USER_AGENT",
+    description: "Override the browser user agent",
+  },
+  {
+    name: "locale",
+    type: "string",
+    env: "LOCALE",
+    description: "Browser locale (default en-US)",
+  },
+  {
+    name: "timeout",
+    type: "string",
+    env: "TIMEOUT",
+    description: "Default action timeout in ms",
+  },
+  {
+    name: "navigation-timeout",
+    type: "string",
+    env: "NAVIGATION_TIMEOUT",
+    description: "Page navigation timeout in ms",
+  },
+  {
+    name: "network-idle-timeout",
+    type: "string",
+    env: "NETWORK_IDLE_TIMEOUT",
+    description: "How long to wait for the network to go idle in ms",
+  },
+  {
+    name: "settle-time",
+    type: "string",
+    env: "SETTLE_TIME",
+    description: "Extra wait for dynamic content after load in ms",
+  },
+];
+
+const LINK_CHECK_OPTIONS = [
+  {
+    name: "check-links",
+    type: "boolean",
+    env: "CHECK_LINKS",
+    description: "Verify every collected link over HTTP",
+  },
+  {
+    name: "check-external",
+    type: "boolean",
+    env: "CHECK_EXTERNAL_LINKS",
+    description: "Also check links to other hosts",
+  },
+  {
+    name: "link-concurrency",
+    type: "string",
+    env: "LINK_CHECK_CONCURRENCY",
+    description: "Link checks in flight at once (default 8)",
+  },
+  {
+    name: "host-delay",
+    type: "string",
+    env: "LINK_CHECK_HOST_DELAY",
+    description: "Minimum ms between requests to one host (default 250)",
+  },
+  {
+    name: "link-timeout",
+    type: "string",
+    env: "LINK_CHECK_TIMEOUT",
+    description: "Per-link request timeout in ms (default 10000)",
+  },
+];
+
+const VERBOSE_OPTION = {
+  name: "verbose",
+  type: "boolean",
+  env: "VERBOSE_LOGGING",
+  description: "Enable verbose scanner logging",
+};
+
+/**
+ * Scanner subcommands. `script` is relative to the repository root and is
+ * run from its own package directory so its dependencies resolve.
+ */
+export const COMMANDS = {
+  a11y: {
+    aliases: ["accessibility"],
+    script: "run_accessibility/accessibility.mjs",
+    description: "Accessibility audit with axe-core",
+    options: [
+      {
+        name: "wcag-level",
+        type: "string",
+        env: "ACCESSIBILITY_WCAG_LEVEL",
+        description: "WCAG level to check: A, AA or AAA (default AA)",
+      },
+      {
+        name: "wcag-version",
+        type: "string",
+        env: "ACCESSIBILITY_WCAG_VERSION",
+        description: "WCAG version to check: 2.0, 2.1 or 2.2 (default 2.1)",
+      },
+      {
+        name: "best-practices",
+        type: "boolean",
+        env: "ACCESSIBILITY_BEST_PRACTICES",
+        description: "Include axe best-practice rules (default on)",
+      },
+      {
+        name: "include",
+        type: "string",
+        env: "ACCESSIBILITY_INCLUDE",
+        description: "CSS selectors to limit the scan to",
+      },
+      {
+        name: "exclude",
+        type: "string",
+        env: "ACCESSIBILITY_EXCLUDE",
+        description: "CSS selectors to leave out of the scan",
+      },
+      {
+        name: "enable-rules",
+        type: "string",
+        env: "ACCESSIBILITY_ENABLE_RULES",
+        description: "axe rule ids to run even outside the WCAG tags",
+      },
+      {
+        name: "disable-rules",
+        type: "string",
+        env: "ACCESSIBILITY_DISABLE_RULES",
+        description: "axe rule ids never to run",
+      },
+      {
+        name: "allowlist",
+        type: "string",
+        env: "ACCESSIBILITY_ALLOWLIST_FILE",
+        localPath: true,
+        description: "JSON allowlist of accepted violations to report as suppressed",
+      },
+      {
+        name: "explore-states",
+        type: "boolean",
+        env: "ACCESSIBILITY_EXPLORE_STATES",
+        description: "Also audit the states behind tabs, menus and toggles",
+      },
+      {
+        name: "max-states",
+        type: "string",
+        env: "ACCESSIBILITY_MAX_STATES",
+        description: "Interactive states to audit at most (default 10)",
+      },
+    ],
+  },
+  seo: {
+    script: "run_seo/seo-analyzer.mjs",
+    description: "SEO tags, metadata and content analysis",
+    options: [],
+  },
+  links: {
+    script: "run_links/links.mjs",
+    description: "Collect every link on the page",
+    options: [...LINK_CHECK_OPTIONS],
+  },
+  crawl: {
+    script: "run_links/crawler.mjs",
+    description: "Crawl same-origin pages breadth-first into a page graph",
+    options: [
+      {
+        name: "max-depth",
+        type: "string",
+        env: "CRAWL_MAX_DEPTH",
+        description: "Link hops from the start page (default 2)",
+      },
+      {
+        name: "max-pages",
+        type: "string",
+        env: "CRAWL_MAX_PAGES",
+        description: "Pages to visit before stopping (default 50)",
+      },
+      {
+        name: "include",
+        type: "string",
+        env: "CRAWL_INCLUDE",
+        description: "Comma-separated regexes a URL must match",
+      },
+      {
+        name: "exclude",
+        type: "string",
+        env: "CRAWL_EXCLUDE",
+        description: "Comma-separated regexes of URLs to skip",
+      },
+      {
+        name: "robots",
+        type: "boolean",
+        env: "CRAWL_RESPECT_ROBOTS",
+        description: "Respect robots.txt (default on)",
+      },
+      {
+        name: "keep-query",
+        type: "boolean",
+        env: "CRAWL_KEEP_QUERY",
+        description: "Treat URLs differing by query string as separate pages",
+      },
+      ...LINK_CHECK_OPTIONS,
+    ],
+  },
+  cookies: {
+    script: "run_cookies/cookies.mjs",
+    description: "Extract and analyze cookies",
+    options: [],
+  },
+  console: {
+    script: "run_console_listener/console-listener.mjs",
+    description: "Capture console messages, page and network errors",
+    options: [],
+  },
+  resources: {
+    script: "run_collect_loaded_resources/loaded-resources-collector.mjs",
+    description: "Collect loaded resources and network performance",
+    options: [
+      {
+        name: "collection-duration",
+        type: "string",
+        env: "COLLECTION_DURATION",
+        description: "How long to collect network events in ms",
+      },
+    ],
+  },
+  "html-structure": {
+    script: "run_collect_html_structure/html-structure-collector.mjs",
+    description: "HTML structure and inheritance tree",
+    options: [],
+  },
+  "html-tree": {
+    script: "run_html_tree_metadata/html-tree-metadata.mjs",
+    description: "Per-viewport HTML tree metadata",
+    options: [
+      {
+        name: "max-depth",
+        type: "string",
+        env: "MAX_DEPTH",
+        description: "Maximum tree depth to walk",
+      },
+      {
+        name: "max-children",
+        type: "string",
+        env: "MAX_CHILDREN_PER_ELEMENT",
+        description: "Maximum children recorded per element",
+      },
+      {
+        name: "screenshots",
+        type: "boolean",
+        env: "EXTRACT_SCREENSHOTS",
+        description: "Capture element screenshots",
+      },
+      VERBOSE_OPTION,
+    ],
+  },
+  interactivity: {
+    script: "run_extract_interactivity/run_extract_interactivity.mjs",
+    description: "Extract interactive elements and their behaviour",
+    options: [
+      {
+        name: "max-interactions-per-type",
+        type: "string",
+        env: "MAX_INTERACTIONS_PER_TYPE",
+        description: "Maximum interactions tested per element type",
+      },
+      {
+        name: "screenshots",
+        type: "boolean",
+        env: "ENABLE_SCREENSHOTS",
+        description: "Capture screenshots of interactions",
+      },
+      VERBOSE_OPTION,
+    ],
+  },
+  locators: {
+    script: "run_build_locator_object/build_locator_object.mjs",
+    description: "Build a role-based locator object",
+    options: [
+      {
+        name: "parent-roles",
+        type: "string",
+        env: "PARENT_ROLES",
+        description: "Comma-separated parent ARIA roles",
+      },
+      {
+        name: "leaf-roles",
+        type: "string",
+        env: "LEAF_ROLES",
+        description: "Comma-separated leaf ARIA roles",
+      },
+      {
+        name: "include-nested-roles",
+        type: "boolean",
+        env: "INCLUDE_NESTED_ROLES",
+        description: "Include roles nested inside other parent roles",
+      },
+      {
+        name: "max-elements-per-role",
+        type: "string",
+        env: "MAX_ELEMENTS_PER_ROLE",
+        description: "Maximum elements collected per role",
+      },
+      VERBOSE_OPTION,
+    ],
+  },
+  "disabled-js": {
+    script: "run_disabled_javascript/disabled-javascript-tester.mjs",
+    description: "Compare the page with JavaScript enabled and disabled",
+    options: [
+      {
+        name: "junit-ssr-threshold",
+        type: "string",
+        env: "JUNIT_SSR_THRESHOLD",
+        description: "Preservation score (0-100) a metric needs to pass in JUnit output",
+      },
+    ],
+  },
+  video: {
+    script: "run_video_recording/video-recorder.mjs",
+    description: "Record a video of the page with optional interactions",
+    options: [
+      {
+        name: "recording-duration",
+        type: "string",
+        env: "RECORDING_DURATION",
+        description: "Recording length in seconds",
+      },
+      {
+        name: "video-quality",
+        type: "string",
+        env: "VIDEO_QUALITY",
+        description: "Video quality: low, medium or high",
+      },
+      {
+        name: "interactions",
+        type: "boolean",
+        env: "ENABLE_INTERACTIONS",
+        description: "Interact with the page while recording",
+      },
+    ],
+  },
+  lighthouse: {
+    script: "run_lighthouse/lighthouse.mjs",
+    description: "Lighthouse performance audit",
+    options: [
+      {
+        name: "device",
+        type: "string",
+        env: "DEVICE",
+        description: "Devices to audit: one name, a comma-separated list or all",
+      },
+      {
+        name: "devices-file",
+        type: "string",
+        env: "LIGHTHOUSE_DEVICES_FILE",
+        localPath: true,
+        description: "JSON file of custom device definitions",
+      },
+      {
+        name: "runs",
+        type: "string",
+        env: "LIGHTHOUSE_RUNS",
+        description: "Audit this many times and report the median run",
+      },
+      {
+        name: "throttling",
+        type: "string",
+        env: "LIGHTHOUSE_THROTTLING",
+        description: "Throttling profile: slow-3g, 3g, 4g, cable, none or custom",
+      },
+      {
+        name: "rtt",
+        type: "string",
+        env: "LIGHTHOUSE_RTT_MS",
+        description: "Round-trip time in ms for custom throttling",
+      },
+      {
+        name: "throughput",
+        type: "string",
+        env: "LIGHTHOUSE_THROUGHPUT_KBPS",
+        description: "Throughput in Kbps for custom throttling",
+      },
+      {
+        name: "cpu-multiplier",
+        type: "string",
+        env: "LIGHTHOUSE_CPU_MULTIPLIER",
+        description: "CPU slowdown multiplier for custom throttling",
+      },
+      {
+        name: "flow",
+        type: "string",
+        env: "LIGHTHOUSE_FLOW_FILE",
+        localPath: true,
+        description: "JSON step file to run as a Lighthouse user flow",
+      },
+      {
+        name: "budget",
+        type: "string",
+        env: "LIGHTHOUSE_BUDGET_FILE",
+        localPath: true,
+        description: "budget.json with timing and resource budgets to check",
+      },
+      {
+        name: "html",
+        type: "boolean",
+        env: "LIGHTHOUSE_HTML_REPORT",
+        description: "Also save the Lighthouse HTML report",
+      },
+      {
+        name: "trace",
+        type: "boolean",
+        env: "LIGHTHOUSE_SAVE_TRACE",
+        description: "Save the performance trace and DevTools log",
+      },
+    ],
+  },
+  all: {
+    script: "run_all/run-all.mjs",
+    description: "Run every page scanner in one browser session",
+    options: [
+      {
+        name: "collection-duration",
+        type: "string",
+        env: "COLLECTION_DURATION",
+        description: "How long to collect network events in ms",
+      },
+    ],
+  },
+  baseline: {
+    script: "baseline.mjs",
+    description: "Save the dataset as a baseline or compare it with one",
+    options: [
+      {
+        name: "save",
+        type: "boolean",
+        arg: "--save",
+        description: "Save the current dataset as the baseline",
+      },
+      {
+        name: "name",
+        type: "string",
+        arg: "--name",
+        description: "Baseline name (default \"default\")",
+      },
+      {
+        name: "dataset",
+        type: "string",
+        arg: "--dataset",
+        localPath: true,
+        description: "Scanner output directory to read (default dataset/)",
+      },
+      {
+        name: "fail-on-regression",
+        type: "boolean",
+        arg: "--fail-on-regression",
+        description: "Exit with 1 when anything regressed",
+      },
+    ],
+  },
+  process: {
+    script: "processing.mjs",
+    description: "Validate and summarize every scanner's dataset files",
+    options: [
+      {
+        name: "report-type",
+        type: "string",
+        arg: "--report-type",
+        description: "Report type to process (default all)",
+      },
+      {
+        name: "strict",
+        type: "boolean",
+        arg: "--strict",
+        description: "Exit with 1 when a scanner's output does not match its schema",
+      },
+      {
+        name: "no-history",
+        type: "boolean",
+        arg: "--no-history",
+        description: "Do not record this run in the history store",
+      },
+    ],
+  },
+  trend: {
+    script: "trend.mjs",
+    description: "Chart scores and issue counts over time from the history store",
+    options: [
+      {
+        name: "history",
+        type: "string",
+        arg: "--history",
+        localPath: true,
+        description: "History directory to read (default dataset/history, or HISTORY_DIR)",
+      },
+      {
+        name: "output",
+        type: "string",
+        arg: "--output",
+        localPath: true,
+        description: "Where to write the HTML report (default dataset/trend-report.html)",
+      },
+    ],
+  },
+  validate: {
+    script: "validate-dataset.mjs",
+    description: "Check every dataset JSON file against its published schema",
+    options: [
+      {
+        name: "dataset",
+        type: "string",
+        arg: "--dataset",
+        localPath: true,
+        description: "Directory to validate (default dataset/)",
+      },
+    ],
+  },
+};
+
+/**
+ * Look up a command by name or alias.
+ */
+export function findCommand(name) {
+  if (COMMANDS[name]) {
+    return { name, ...COMMANDS[name] };
+  }
+
+  const entry = Object.entries(COMMANDS).find(([, command]) =>
+    (command.aliases || []).includes(name)
+  );
+  return entry ? { name: entry[0], ...entry[1] } : null;
+}
+
+export function resolveScriptPath(command) {
+  return path.join(REPO_ROOT, command.script);
+}
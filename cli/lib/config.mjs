@@ -0,0 +1,91 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+
+export const DEFAULT_CONFIG_FILES = [
+  "ui-audit.config.json",
+  "ui-audit.config.yaml",
+  "ui-audit.config.yml",
+];
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+export function toCamelCase(flagName) {
+  return flagName.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Find the config file to use: an explicit --config path, or the first
+ * ui-audit.config.{json,yaml,yml} in the working directory.
+ */
+export function findConfigFile(explicitPath, cwd = process.cwd()) {
+  if (explicitPath) {
+    const resolved = path.resolve(cwd, explicitPath);
+    if (!fs.existsSync(resolved)) {
+      throw new ConfigError(`Config file not found: ${resolved}`);
+    }
+    return resolved;
+  }
+
+  const found = DEFAULT_CONFIG_FILES.map((file) => path.join(cwd, file)).find(
+    (file) => fs.existsSync(file)
+  );
+  return found || null;
+}
+
+/**
+ * Load a JSON or YAML config file.
+ *
+ * Shape:
+ *   url: https://example.com        # any global option, camelCased
+ *   env: { SOME_VAR: value }         # raw variables for every scanner
+ *   scanners:
+ *     resources:
+ *       collectionDuration: 15000    # scanner or global option, camelCased
+ *       env: { SOME_VAR: value }
+ */
+export function loadConfig(configPath) {
+  if (!configPath) {
+    return { scanners: {} };
+  }
+
+  const raw = fs.readFileSync(configPath, "utf8");
+  let config;
+
+  try {
+    config = /\.ya?ml$/i.test(configPath) ? YAML.parse(raw) : JSON.parse(raw);
+  } catch (error) {
+    throw new ConfigError(`Could not parse ${configPath}: ${error.message}`);
+  }
+
+  if (config === null || config === undefined) {
+    config = {};
+  }
+  if (typeof config !== "object" || Array.isArray(config)) {
+    throw new ConfigError(`${configPath} must contain an object`);
+  }
+
+  return { ...config, scanners: config.scanners || {} };
+}
+
+/**
+ * Check a config section against the options it may set.
+ */
+export function validateConfigSection(section, options, label) {
+  const known = new Set(["env", ...options.map((o) => toCamelCase(o.name))]);
+  const unknown = Object.keys(section).filter((key) => !known.has(key));
+
+  if (unknown.length > 0) {
+    throw new ConfigError(
+      `Unknown option(s) in ${label}: ${unknown.join(", ")}`
+    );
+  }
+  if (section.env && (typeof section.env !== "object" || Array.isArray(section.env))) {
+    throw new ConfigError(`${label}.env must be an object of variables`);
+  }
+}
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+import { spawn } from "child_process";
+import path from "path";
+import { parseArgs } from "util";
+import {
+  COMMANDS,
+  GLOBAL_OPTIONS,
+  findCommand,
+  resolveScriptPath,
+} from "./lib/commands.mjs";
+import {
+  ConfigError,
+  findConfigFile,
+  loadConfig,
+  toCamelCase,
+  validateConfigSection,
+} from "./lib/config.mjs";
+
+const CLI_OPTIONS = [
+  {
+    name: "config",
+    short: "c",
+    type: "string",
+    description: "Path to a JSON or YAML config file",
+  },
+  {
+    name: "help",
+    short: "h",
+    type: "boolean",
+    description: "Show help",
+  },
+];
+
+function formatOption(option) {
+  const flag =
+    option.type === "boolean" && option.env && !option.invert
+      ? `--[no-]${option.name}`
+      : `--${option.name}${option.type === "string" ? " <value>" : ""}`;
+  const short = option.short ? `-${option.short}, ` : "    ";
+  return `  ${short}${flag.padEnd(34)} ${option.description}`;
+}
+
+function printMainHelp() {
+  console.log("Usage: ui-audit <command> [options]\n");
+  console.log("Commands:");
+  Object.entries(COMMANDS).forEach(([name, command]) => {
+    const aliases = command.aliases ? ` (${command.aliases.join(", ")})` : "";
+    console.log(`  ${(name + aliases).padEnd(28)} ${command.description}`);
+  });
+  console.log("\nGlobal options:");
+  [...GLOBAL_OPTIONS, ...CLI_OPTIONS].forEach((option) =>
+    console.log(formatOption(option))
+  );
+  console.log(
+    "\nOptions can also be set in ui-audit.config.{json,yaml,yml} or --config."
+  );
+  console.log("Run `ui-audit <command> --help` for command options.");
+}
+
+function printCommandHelp(command) {
+  console.log(`Usage: ui-audit ${command.name} [options]\n`);
+  console.log(`${command.description}\n`);
+  if (command.options.length > 0) {
+    console.log("Options:");
+    command.options.forEach((option) => console.log(formatOption(option)));
+    console.log("");
+  }
+  console.log("Global options:");
+  [...GLOBAL_OPTIONS, ...CLI_OPTIONS].forEach((option) =>
+    console.log(formatOption(option))
+  );
+  console.log(
+    `\nConfig file keys: ${[...GLOBAL_OPTIONS, ...command.options]
+      .map((option) => toCamelCase(option.name))
+      .join(", ")}`
+  );
+  console.log(`Per-scanner settings go under scanners.${command.name}.`);
+}
+
+/**
+ * Build the util.parseArgs option table. Boolean options also get a
+ * --no-<name> form so config defaults can be switched off.
+ */
+function buildParseOptions(options) {
+  const parseOptions = {};
+  options.forEach((option) => {
+    parseOptions[option.name] = { type: option.type };
+    if (option.short) {
+      parseOptions[option.name].short = option.short;
+    }
+    if (option.type === "boolean" && option.env && !option.invert) {
+      parseOptions[`no-${option.name}`] = { type: "boolean" };
+    }
+  });
+  return parseOptions;
+}
+
+/**
+ * Merge option values. Precedence: command line, then the scanner's config
+ * section, then the top-level config.
+ */
+function resolveOptionValues(options, values, config, scannerConfig) {
+  const resolved = {};
+
+  options.forEach((option) => {
+    const key = toCamelCase(option.name);
+    let value;
+
+    if (values[`no-${option.name}`]) {
+      value = false;
+    } else if (values[option.name] !== undefined) {
+      value = values[option.name];
+    } else if (scannerConfig[key] !== undefined) {
+      value = scannerConfig[key];
+    } else if (config[key] !== undefined) {
+      value = config[key];
+    }
+
+    if (value !== undefined) {
+      resolved[option.name] = value;
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Translate resolved option values into the environment variables and
+ * arguments the scanner scripts already read.
+ */
+function buildScannerInvocation(options, resolved, config, scannerConfig) {
+  const env = {
+    ...process.env,
+    ...stringifyEnv(config.env),
+    ...stringifyEnv(scannerConfig.env),
+  };
+  const args = [];
+
+  options.forEach((option) => {
+    if (!(option.name in resolved)) return;
+    const value = resolved[option.name];
+
+    if (option.type === "boolean") {
+      const enabled = value === true || value === "true";
+      if (option.env) {
+        env[option.env] = String(option.invert ? !enabled : enabled);
+      }
+      if (option.arg && enabled) {
+        args.push(option.arg);
+      }
+    } else {
+      let text;
+      if (Array.isArray(value)) {
+        text = value.join(",");
+      } else if (value && typeof value === "object") {
+        text = JSON.stringify(value);
+      } else {
+        text = String(value);
+      }
+      if (option.localPath && !/^https?:\/\//i.test(text)) {
+        text = path.resolve(text);
+      }
+      if (option.env) {
+        env[option.env] = text;
+      }
+      if (option.arg) {
+        args.push(`${option.arg}=${text}`);
+      }
+    }
+  });
+
+  return { env, args };
+}
+
+function stringifyEnv(envSection = {}) {
+  return Object.fromEntries(
+    Object.entries(envSection).map(([key, value]) => [key, String(value)])
+  );
+}
+
+function runScript(scriptPath, args, env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [scriptPath, ...args], {
+      cwd: path.dirname(scriptPath),
+      env,
+      stdio: "inherit",
+    });
+    child.on("error", reject);
+    child.on("exit", (code, signal) => resolve(signal ? 1 : code));
+  });
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const [commandName, ...rest] = argv;
+
+  if (!commandName || commandName === "--help" || commandName === "-h") {
+    printMainHelp();
+    return 0;
+  }
+
+  const command = findCommand(commandName);
+  if (!command) {
+    console.error(`❌ Unknown command: ${commandName}\n`);
+    printMainHelp();
+    return 1;
+  }
+
+  const options = [...GLOBAL_OPTIONS, ...command.options];
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: rest,
+      options: buildParseOptions([...options, ...CLI_OPTIONS]),
+      strict: true,
+      allowPositionals: false,
+    }));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    printCommandHelp(command);
+    return 1;
+  }
+
+  if (values.help) {
+    printCommandHelp(command);
+    return 0;
+  }
+
+  const configPath = findConfigFile(values.config);
+  const config = loadConfig(configPath);
+  const { scanners, ...topLevel } = config;
+  const scannerConfig = scanners[command.name] || {};
+
+  validateConfigSection(topLevel, GLOBAL_OPTIONS, "config");
+  validateConfigSection(scannerConfig, options, `scanners.${command.name}`);
+
+  const resolved = resolveOptionValues(options, values, topLevel, scannerConfig);
+  const { env, args } = buildScannerInvocation(
+    options,
+    resolved,
+    topLevel,
+    scannerConfig
+  );
+
+  const scriptPath = resolveScriptPath(command);
+  console.log(`🧭 ui-audit ${command.name}`);
+  if (configPath) {
+    console.log(`   Config: ${configPath}`);
+  }
+  console.log(`   Script: ${command.script}`);
+
+  return runScript(scriptPath, args, env);
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}`);
+    } else {
+      console.error(`❌ ui-audit failed: ${error.message}`);
+    }
+    process.exitCode = 1;
+  });
@@ -1,10 +1,140 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { writeDashboard } from './shared/lib/dashboard.mjs';
+import { appendHistory, historyDirFromEnv } from './shared/lib/history.mjs';
+import { REPORT_TYPES, resolveReportType } from './shared/lib/report-types.mjs';
+import { validateAgainstSchema, writeJsonArtifact } from './shared/lib/schemas.mjs';
+import { resolveOutputDir } from './shared/lib/site-runner.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+function readJsonFile(filePath) {
+  try {
+    return { data: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Group a scanner's dataset files by role, validate its summary files and
+ * extract headline metrics. status is "ok", "invalid" (a summary failed to
+ * parse or match the schema), "missing-summary" (other files but no
+ * summary) or "missing" (no files at all).
+ */
+function processReportType(type, files, datasetDir) {
+  const definition = REPORT_TYPES[type];
+  const grouped = Object.fromEntries(
+    Object.entries(definition.files).map(([role, pattern]) => [role, files.filter(file => pattern.test(file))])
+  );
+  const result = { status: 'ok', files: grouped, errors: [], metrics: null };
+
+  if (Object.values(grouped).every(names => names.length === 0)) {
+    return { ...result, status: 'missing' };
+  }
+  if (grouped[definition.summary].length === 0) {
+    return { ...result, status: 'missing-summary' };
+  }
+
+  const summaries = [];
+  grouped[definition.summary].forEach(file => {
+    const { data, error } = readJsonFile(path.join(datasetDir, file));
+    if (error) {
+      result.errors.push(`${file}: ${error}`);
+      return;
+    }
+    const shapeErrors = validateAgainstSchema(data, definition.schema);
+    if (shapeErrors.length > 0) {
+      result.errors.push(...shapeErrors.map(message => `${file}: ${message}`));
+      return;
+    }
+    summaries.push(data);
+  });
+
+  if (result.errors.length > 0) {
+    result.status = 'invalid';
+  }
+  if (summaries.length > 0) {
+    try {
+      result.metrics = definition.metrics(summaries, {
+        readJson: file => (files.includes(file) ? readJsonFile(path.join(datasetDir, file)).data || null : null)
+      });
+    } catch (error) {
+      result.status = 'invalid';
+      result.errors.push(`metrics: ${error.message}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Cross-scanner roll-up: how many scanners ran and validated, total issues
+ * and every 0-100 score side by side.
+ */
+function normalizeSummary(scanners) {
+  const present = Object.entries(scanners).filter(([, result]) => result.status !== 'missing');
+  const scores = {};
+  const issues = {};
+  present.forEach(([type, result]) => {
+    if (Number.isFinite(result.metrics?.score)) scores[type] = result.metrics.score;
+    if (Number.isFinite(result.metrics?.issues)) issues[type] = result.metrics.issues;
+  });
+  const lowest = Object.entries(scores).sort(([, a], [, b]) => a - b)[0];
+
+  return {
+    scanners: present.length,
+    valid: present.filter(([, result]) => result.status === 'ok').length,
+    invalid: present.filter(([, result]) => result.status === 'invalid').length,
+    issues: Object.values(issues).reduce((sum, count) => sum + count, 0),
+    issuesByScanner: issues,
+    scores,
+    lowestScore: lowest ? { scanner: lowest[0], score: lowest[1] } : null
+  };
+}
+
+// Where the scanners' summaries record when they ran
+const SUMMARY_TIME_FIELDS = [
+  'timestamp',
+  'test.timestamp',
+  'collection.timestamp',
+  'extractionTimestamp',
+  'metadata.extractionTime'
+];
+
+function summaryTime(summary) {
+  for (const field of SUMMARY_TIME_FIELDS) {
+    const value = field.split('.').reduce((object, key) => object?.[key], summary);
+    const time = typeof value === 'string' ? Date.parse(value) : NaN;
+    if (!Number.isNaN(time)) return time;
+  }
+  return null;
+}
+
+/**
+ * One history entry per scanner whose output validated. The run time is
+ * the newest time recorded inside its summaries, not their file times,
+ * which artifact downloads and checkouts rewrite, so reprocessing a
+ * dataset maps to the same entries. A scanner whose summaries record no
+ * time is left out.
+ */
+function historyEntries(scanners, websiteUrl, datasetDir) {
+  return Object.entries(scanners)
+    .filter(([, result]) => result.status === 'ok' && result.metrics)
+    .flatMap(([type, result]) => {
+      const times = result.files[REPORT_TYPES[type].summary]
+        .map(file => summaryTime(readJsonFile(path.join(datasetDir, file)).data))
+        .filter(time => time !== null);
+      if (times.length === 0) {
+        console.warn(`⚠️ No run time recorded in the ${type} summary; not added to history`);
+        return [];
+      }
+      return [{ url: websiteUrl, scanner: type, timestamp: new Date(Math.max(...times)).toISOString(), metrics: result.metrics }];
+    });
+}
+
 async function processReports() {
   // Get parameters from command line arguments
   const urlArg = process.argv.find(arg => arg.startsWith('--url='));
@@ -12,6 +142,8 @@ async function processReports() {
   
   const websiteUrl = urlArg ? urlArg.split('=')[1] : process.env.WEBSITE_URL;
   const reportType = reportTypeArg ? reportTypeArg.split('=')[1] : 'all';
+  const strict = process.argv.includes('--strict');
+  const recordHistory = !process.argv.includes('--no-history');
   
   if (!websiteUrl) {
     console.error('L Website URL is required. Use --url= parameter or WEBSITE_URL environment variable');
@@ -22,87 +154,69 @@ async function processReports() {
   console.log(`=� Report type: ${reportType}`);
   console.log(`� Processing started at: ${new Date().toISOString()}`);
   
-  const datasetDir = path.join(__dirname, 'dataset');
+  const datasetDir = resolveOutputDir(path.join(__dirname, 'dataset'));
   
   if (!fs.existsSync(datasetDir)) {
     console.error('L Dataset directory not found. No reports to process.');
     process.exit(1);
   }
   
+  const requestedType = reportType === 'all' ? null : resolveReportType(reportType);
+  if (reportType !== 'all' && !requestedType) {
+    console.error(`❌ Unknown report type "${reportType}". Known types: all, ${Object.keys(REPORT_TYPES).join(', ')}`);
+    process.exit(1);
+  }
+
   // Find all generated reports
   const files = fs.readdirSync(datasetDir);
-  const reports = [];
-  
-  // Process different report types
-  if (reportType === 'all' || reportType === 'lighthouse') {
-    const lighthouseReports = files.filter(file => file.startsWith('lighthouse-report-'));
-    const lighthouseSummaries = files.filter(file => file.startsWith('lighthouse-summary-'));
-    const screenshots = files.filter(file => file.includes('screenshot-'));
-    
-    reports.push({
-      type: 'lighthouse',
-      reports: lighthouseReports.map(file => path.join(datasetDir, file)),
-      summaries: lighthouseSummaries.map(file => path.join(datasetDir, file)),
-      screenshots: screenshots.map(file => path.join(datasetDir, file))
-    });
-  }
-  
-  if (reportType === 'all' || reportType === 'cookies') {
-    const cookieReports = files.filter(file => file.startsWith('cookies-'));
-    
-    if (cookieReports.length > 0) {
-      reports.push({
-        type: 'cookies',
-        reports: cookieReports.map(file => path.join(datasetDir, file))
-      });
-    }
-  }
-  
-  if (reportType === 'all' || reportType === 'accessibility') {
-    const accessibilityReports = files.filter(file => file.startsWith('accessibility-report'));
-    const accessibilitySummaries = files.filter(file => file.startsWith('accessibility-summary'));
-    const accessibilityScreenshots = files.filter(file => file.startsWith('accessibility-screenshot'));
-    
-    if (accessibilityReports.length > 0 || accessibilitySummaries.length > 0) {
-      reports.push({
-        type: 'accessibility',
-        reports: accessibilityReports.map(file => path.join(datasetDir, file)),
-        summaries: accessibilitySummaries.map(file => path.join(datasetDir, file)),
-        screenshots: accessibilityScreenshots.map(file => path.join(datasetDir, file))
-      });
-    }
-  }
-  
-  if (reportType === 'all' || reportType === 'html-tree-metadata') {
-    const htmlTreeReports = files.filter(file => file.startsWith('html-tree-metadata'));
-    const htmlTreeSummaries = files.filter(file => file.startsWith('html-tree-summary'));
-    const htmlTreeViewports = files.filter(file => file.match(/^html-tree-(phone|tablet|desktop)\.json$/));
-    const htmlTreeScreenshots = files.filter(file => file.startsWith('html-tree-screenshot-'));
-    
-    if (htmlTreeReports.length > 0 || htmlTreeSummaries.length > 0) {
-      reports.push({
-        type: 'html-tree-metadata',
-        reports: htmlTreeReports.map(file => path.join(datasetDir, file)),
-        summaries: htmlTreeSummaries.map(file => path.join(datasetDir, file)),
-        viewports: htmlTreeViewports.map(file => path.join(datasetDir, file)),
-        screenshots: htmlTreeScreenshots.map(file => path.join(datasetDir, file))
-      });
+  const scanners = {};
+
+  (requestedType ? [requestedType] : Object.keys(REPORT_TYPES)).forEach(type => {
+    const result = processReportType(type, files, datasetDir);
+    // A scanner that produced nothing is only worth reporting when it was asked for
+    if (result.status !== 'missing' || requestedType) {
+      scanners[type] = result;
     }
+  });
+
+  // Per-scanner file lists, kept in the shape earlier versions wrote
+  const reports = Object.entries(scanners).map(([type, result]) => ({
+    type,
+    ...Object.fromEntries(
+      Object.entries(result.files).map(([role, names]) => [role, names.map(file => path.join(datasetDir, file))])
+    )
+  }));
+
+  // Build the HTML dashboard from every scanner's output
+  const dashboardPath = writeDashboard(datasetDir, { url: websiteUrl });
+  console.log(`📊 Dashboard saved to: ${dashboardPath}`);
+
+  // Append this run to the history store for trend reports
+  let history = null;
+  if (recordHistory) {
+    const historyDir = historyDirFromEnv(datasetDir);
+    const recorded = appendHistory(historyDir, historyEntries(scanners, websiteUrl, datasetDir));
+    history = { dir: historyDir, recorded: recorded.map(entry => entry.scanner) };
+    console.log(`🕒 History: ${recorded.length} new entries in ${historyDir}`);
   }
-  
+
   // Create processing summary
   const processingSummary = {
     url: websiteUrl,
     reportType: reportType,
     timestamp: new Date().toISOString(),
+    summary: normalizeSummary(scanners),
+    scanners,
     reports: reports,
+    dashboard: dashboardPath,
+    history,
     totalFiles: files.length,
     fileList: files
   };
   
   // Save processing summary
   const summaryPath = path.join(datasetDir, 'processing-summary.json');
-  fs.writeFileSync(summaryPath, JSON.stringify(processingSummary, null, 2));
+  writeJsonArtifact(summaryPath, processingSummary);
   console.log(`=� Processing summary saved to: ${summaryPath}`);
   
   // Display results
@@ -112,27 +226,37 @@ async function processReports() {
   console.log(`=� Report Type: ${reportType}`);
   console.log(`=� Total Files: ${files.length}`);
   
-  reports.forEach(report => {
-    console.log(`\n=� ${report.type.toUpperCase()} Reports:`);
-    if (report.reports) {
-      console.log(`  =� Report files: ${report.reports.length}`);
-    }
-    if (report.summaries) {
-      console.log(`  =� Summary files: ${report.summaries.length}`);
-    }
-    if (report.screenshots) {
-      console.log(`  =� Screenshots: ${report.screenshots.length}`);
-    }
-    if (report.viewports) {
-      console.log(`  📱 Viewport files: ${report.viewports.length}`);
+  Object.entries(scanners).forEach(([type, result]) => {
+    const icon = { ok: '✅', invalid: '⚠️', 'missing-summary': '❔', missing: '➖' }[result.status];
+    console.log(`\n${icon} ${REPORT_TYPES[type].title} (${type}): ${result.status}`);
+    Object.entries(result.files).forEach(([role, names]) => {
+      console.log(`  📄 ${role}: ${names.length}`);
+    });
+    result.errors.forEach(error => console.log(`  ❌ ${error}`));
+    if (result.metrics) {
+      console.log(`  📈 ${Object.entries(result.metrics)
+        .filter(([, value]) => typeof value !== 'object')
+        .map(([name, value]) => `${name}=${value}`)
+        .join(', ')}`);
     }
   });
+
+  const { summary } = processingSummary;
+  console.log(`\n📊 ${summary.scanners} scanners, ${summary.valid} valid, ${summary.invalid} invalid, ${summary.issues} issues`);
+  if (summary.lowestScore) {
+    console.log(`📉 Lowest score: ${summary.lowestScore.scanner} ${summary.lowestScore.score}`);
+  }
   
   console.log('\n=� All generated files:');
   files.forEach(file => {
     console.log(`  " ${file}`);
   });
   
+  if (strict && summary.invalid > 0) {
+    console.error(`❌ ${summary.invalid} scanner outputs did not match their schema`);
+    process.exitCode = 1;
+  }
+
   console.log('\n Report processing completed successfully!');
 }
 
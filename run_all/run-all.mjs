@@ -0,0 +1,483 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import {
+  CSPSafeBrowserManager,
+  browserOptionsFromEnv,
+} from "../shared/lib/browser-manager.mjs";
+import {
+  resolveOutputDir,
+  runForEachUrl,
+} from "../shared/lib/site-runner.mjs";
+import {
+  applyQualityGates,
+  qualityGatesFromEnv,
+} from "../shared/lib/quality-gates.mjs";
+import {
+  allowlistFromEnv,
+  applyAllowlist,
+  axeConfigFromEnv,
+  exploreAccessibilityStates,
+  scanAccessibility,
+  saveAccessibilityReports,
+  stateExplorationFromEnv,
+} from "../run_accessibility/accessibility.mjs";
+import { SEOAnalyzer } from "../run_seo/seo-analyzer.mjs";
+import { LinkCollector } from "../run_links/links.mjs";
+import { analyzeCookies, saveCookieData } from "../run_cookies/cookies.mjs";
+import { ConsoleListener } from "../run_console_listener/console-listener.mjs";
+import { LoadedResourcesCollector } from "../run_collect_loaded_resources/loaded-resources-collector.mjs";
+import { HtmlStructureCollector } from "../run_collect_html_structure/html-structure-collector.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables from .env file
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+/**
+ * Runs every page scanner against a single browser session.
+ * The page is loaded once; console and network listeners are attached
+ * before navigation so they see the full load, then each analyzer works
+ * on the already rendered page and writes its usual dataset files.
+ */
+class ScanOrchestrator {
+  constructor(websiteUrl, gateBudgets) {
+    this.websiteUrl = websiteUrl;
+    this.gateBudgets = gateBudgets;
+    this.browserManager = new CSPSafeBrowserManager(browserOptionsFromEnv());
+    this.page = null;
+    this.context = null;
+    this.state = {
+      outputDir: resolveOutputDir(path.join(__dirname, "..", "dataset")),
+      navigation: null,
+      userAgent: null,
+      viewportSize: null,
+      scanners: {},
+    };
+
+    // Ensure output directory exists
+    if (!fs.existsSync(this.state.outputDir)) {
+      fs.mkdirSync(this.state.outputDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Run one scanner step and record its outcome. A failing scanner is
+   * recorded in the combined dataset without stopping the others.
+   * Steps that return gateMetrics are checked against the quality gates.
+   */
+  async runScanner(name, step) {
+    console.log(`\n▶️  ${name.toUpperCase()}`);
+    console.log("=".repeat(name.length + 4));
+    const startTime = Date.now();
+
+    try {
+      const { summary, files, gateMetrics } = await step();
+      const gate = gateMetrics
+        ? applyQualityGates(
+            name,
+            gateMetrics,
+            this.state.outputDir,
+            this.gateBudgets
+          )
+        : null;
+      this.state.scanners[name] = {
+        status: "success",
+        duration: Date.now() - startTime,
+        summary,
+        files,
+        ...(gate ? { gate } : {}),
+      };
+      console.log(`✅ ${name} completed in ${Date.now() - startTime}ms`);
+    } catch (error) {
+      this.state.scanners[name] = {
+        status: "failed",
+        duration: Date.now() - startTime,
+        error: error.message,
+      };
+      console.error(`❌ ${name} failed: ${error.message}`);
+    }
+  }
+
+  async run() {
+    const websiteUrl = this.websiteUrl;
+    const datasetDir = this.state.outputDir;
+
+    // Launch browser and create the shared page
+    console.log("\n🚀 BROWSER SETUP");
+    console.log("=================");
+    await this.browserManager.launchBrowser();
+    ({ page: this.page, context: this.context } =
+      await this.browserManager.createPage(undefined, {
+        bypassCSP: true,
+        ignoreHTTPSErrors: true,
+        javaScriptEnabled: true,
+      }));
+    this.state.viewportSize = this.page.viewportSize();
+
+    // Listeners must be in place before navigation
+    console.log("\n🎧 LISTENER SETUP");
+    console.log("==================");
+    const consoleListener = new ConsoleListener(this.page);
+    await consoleListener.setupConsoleListener();
+    consoleListener.setupErrorMonitoring();
+
+    const resourceCollector = new LoadedResourcesCollector();
+    resourceCollector.page = this.page;
+    resourceCollector.context = this.context;
+    resourceCollector.state.metadata.collectionDuration =
+      parseInt(process.env.COLLECTION_DURATION) || 10000;
+    resourceCollector.state.metadata.viewportSize = this.state.viewportSize;
+    const resourcePromise = resourceCollector.collectLoadedResources();
+
+    // Load the page once for every scanner
+    console.log("\n🌐 WEBSITE NAVIGATION");
+    console.log("======================");
+    this.state.navigation = await this.browserManager.navigateToURL(
+      this.page,
+      websiteUrl
+    );
+    const { pageUrl, pageTitle } = this.state.navigation;
+
+    try {
+      this.state.userAgent = await this.page.evaluate(
+        () => navigator.userAgent
+      );
+    } catch (cspError) {
+      console.log("⚠️ Cannot get user agent due to CSP, using default");
+      this.state.userAgent = this.browserManager.options.userAgent;
+    }
+
+    await this.runScanner("resources", async () => {
+      const resources = await resourcePromise;
+      if (resourceCollector.cdpSession) {
+        await resourceCollector.cdpSession.detach();
+      }
+      Object.assign(resourceCollector.state.metadata, {
+        collectionTime: new Date().toISOString(),
+        pageUrl,
+        pageTitle,
+        userAgent: this.state.userAgent,
+      });
+      const metadata = await resourceCollector.generateMetadata();
+      const files = resourceCollector.saveResults(
+        websiteUrl,
+        resources,
+        metadata
+      );
+      return {
+        summary: {
+          total: metadata.resources.total,
+          totalSize: metadata.performance.totalSize,
+          averageLoadTime: metadata.performance.averageLoadTime,
+          cacheEfficiency: metadata.performance.cacheEfficiency,
+          issueCount: metadata.performance.issueCount,
+        },
+        files,
+        gateMetrics: {
+          totalSize: metadata.performance.totalSize,
+          totalRequests: metadata.resources.total,
+        },
+      };
+    });
+
+    await this.runScanner("console", async () => {
+      consoleListener.logSummary();
+      const bodyContent = await this.page.locator("body").textContent();
+      const { summaryData, ...files } = consoleListener.saveResults({
+        websiteUrl,
+        pageInfo: {
+          finalUrl: pageUrl,
+          title: pageTitle,
+          hasContent: !!(bodyContent && bodyContent.trim().length > 0),
+          contentLength: bodyContent ? bodyContent.length : 0,
+          domElements: await this.page.locator("*").count(),
+        },
+        datasetDir,
+      });
+      return {
+        summary: summaryData.errorSummary,
+        files,
+        gateMetrics: summaryData.errorSummary,
+      };
+    });
+
+    await this.runScanner("accessibility", async () => {
+      const axeConfig = axeConfigFromEnv();
+      const allowlist = allowlistFromEnv();
+      const stateExploration = stateExplorationFromEnv();
+      let results = await scanAccessibility(this.page, websiteUrl, axeConfig);
+      // Exploration reloads and clicks, so it gets a page in its own context:
+      // the errors and cookies it causes stay out of the shared page's data
+      if (stateExploration.enabled) {
+        const { page, pageId } = await this.browserManager.createPage(
+          undefined,
+          { bypassCSP: true, ignoreHTTPSErrors: true, javaScriptEnabled: true }
+        );
+        try {
+          await this.browserManager.navigateToURL(page, websiteUrl);
+          results = await exploreAccessibilityStates(
+            page,
+            websiteUrl,
+            results,
+            {
+              axeConfig,
+              maxStates: stateExploration.maxStates,
+              reload: () => this.browserManager.navigateToURL(page, websiteUrl),
+            }
+          );
+        } finally {
+          await this.browserManager.closePage(pageId);
+        }
+      }
+      if (allowlist) {
+        results = applyAllowlist(results, allowlist, websiteUrl);
+      }
+      const { summary, outputSize, ...files } = saveAccessibilityReports(
+        results,
+        websiteUrl,
+        datasetDir
+      );
+      return {
+        summary: {
+          violations: summary.violations,
+          passes: summary.passes,
+          incomplete: summary.incomplete,
+        },
+        files,
+        gateMetrics: {
+          violations: summary.violations.count,
+          critical: summary.violations.critical,
+          serious: summary.violations.serious,
+        },
+      };
+    });
+
+    await this.runScanner("seo", async () => {
+      const seoAnalyzer = new SEOAnalyzer();
+      seoAnalyzer.page = this.page;
+      Object.assign(seoAnalyzer.state.metadata, {
+        pageUrl: websiteUrl,
+        pageTitle,
+        userAgent: this.state.userAgent,
+        viewportSize: this.state.viewportSize,
+      });
+      await seoAnalyzer.analyze();
+      const { report, assessment } = await seoAnalyzer.generateSEOReport();
+      const { summary, ...files } = seoAnalyzer.saveResults(
+        report,
+        assessment
+      );
+      return {
+        summary: summary.results,
+        files,
+        gateMetrics: { score: assessment.percentage },
+      };
+    });
+
+    await this.runScanner("links", async () => {
+      const linkCollector = new LinkCollector();
+      linkCollector.page = this.page;
+      await linkCollector.collectLinks();
+      const files = await linkCollector.saveResults(websiteUrl);
+      const links = linkCollector.state.analysisData.links;
+      return {
+        summary: {
+          totalLinks: links.length,
+          externalLinks: links.filter((link) => link.isExternal).length,
+          internalLinks: links.filter((link) => !link.isExternal).length,
+        },
+        files,
+      };
+    });
+
+    await this.runScanner("cookies", async () => {
+      const cookies = await this.context.cookies();
+      const { cookiesByType } = analyzeCookies(cookies);
+      const { networkErrors, pageErrors } =
+        consoleListener.state.additionalErrors;
+      const { cookieJsonPath } = saveCookieData({
+        cookies,
+        websiteUrl,
+        jsErrors: pageErrors,
+        failedRequests: networkErrors,
+        datasetDir,
+      });
+      return {
+        summary: { totalCookies: cookies.length, ...cookiesByType },
+        files: { cookieJsonPath },
+      };
+    });
+
+    await this.runScanner("htmlStructure", async () => {
+      const htmlCollector = new HtmlStructureCollector();
+      htmlCollector.page = this.page;
+      htmlCollector.context = this.context;
+      Object.assign(htmlCollector.state.metadata, {
+        collectionTime: new Date().toISOString(),
+        pageUrl,
+        pageTitle,
+        userAgent: this.state.userAgent,
+        viewportSize: this.state.viewportSize,
+      });
+      htmlCollector.state.htmlStructure =
+        await htmlCollector.collectHtmlStructure();
+      htmlCollector.state.htmlInheritanceTree =
+        await htmlCollector.collectHtmlInheritanceTree();
+      const metadata = await htmlCollector.generateMetadata();
+      const files = htmlCollector.saveResults(websiteUrl, metadata);
+      return {
+        summary: {
+          ...metadata.htmlStructure,
+          maxDepth: metadata.inheritanceTree.maxDepth,
+          structuralComplexity: metadata.analysis.structuralComplexity,
+          semanticScore: metadata.analysis.semanticScore,
+        },
+        files,
+      };
+    });
+
+    // One screenshot of the shared page
+    console.log("\n📸 CAPTURING SCREENSHOT");
+    console.log("=======================");
+    const screenshotPath = path.join(datasetDir, "run-all-screenshot.png");
+    try {
+      await this.page.screenshot({ path: screenshotPath, fullPage: true });
+      console.log(`✅ Screenshot saved: ${screenshotPath}`);
+    } catch (screenshotError) {
+      console.error(`⚠️  Screenshot failed: ${screenshotError.message}`);
+    }
+
+    return this.saveCombinedResults(screenshotPath);
+  }
+
+  /**
+   * Write run-all-summary.json with the navigation details and every
+   * scanner's status, headline summary and output files.
+   */
+  saveCombinedResults(screenshotPath) {
+    const scanners = Object.values(this.state.scanners);
+    const gates = scanners.filter((s) => s.gate).map((s) => s.gate);
+    const combined = {
+      url: this.websiteUrl,
+      timestamp: new Date().toISOString(),
+      page: {
+        finalUrl: this.state.navigation.pageUrl,
+        title: this.state.navigation.pageTitle,
+        status: this.state.navigation.status,
+        waitStrategy: this.state.navigation.waitStrategy,
+        navigationTime: this.state.navigation.navigationTime,
+        userAgent: this.state.userAgent,
+        viewport: this.state.viewportSize,
+      },
+      totals: {
+        scanners: scanners.length,
+        succeeded: scanners.filter((s) => s.status === "success").length,
+        failed: scanners.filter((s) => s.status === "failed").length,
+        gatesFailed: gates.filter((gate) => !gate.passed).length,
+      },
+      qualityGates:
+        gates.length > 0
+          ? { passed: gates.every((gate) => gate.passed), gates }
+          : null,
+      scanners: this.state.scanners,
+      screenshot: screenshotPath,
+    };
+
+    const combinedPath = path.join(this.state.outputDir, "run-all-summary.json");
+    writeJsonArtifact(combinedPath, combined);
+    console.log(`\n✅ Combined summary saved: ${combinedPath}`);
+
+    return { combined, combinedPath };
+  }
+
+  async cleanup() {
+    console.log("\n🧹 CLEANUP PHASE");
+    console.log("=================");
+
+    await this.browserManager.cleanup();
+
+    console.log("🏁 Cleanup completed");
+  }
+}
+
+async function runAllScanners() {
+  const websiteUrl = process.env.WEBSITE_URL;
+
+  console.log("🧰 RUN ALL SCANNERS STARTED");
+  console.log("===========================");
+  console.log(`📅 Started at: ${new Date().toISOString()}`);
+  console.log(`🖥️ Platform: ${process.platform}`);
+  console.log(`🏗️ Node.js version: ${process.version}`);
+  console.log(`📍 Script location: ${__dirname}`);
+
+  console.log("\n🔧 Configuration:");
+  console.log(`   Website URL: ${websiteUrl || "NOT SET"}`);
+
+  if (!websiteUrl) {
+    console.error("❌ WEBSITE_URL environment variable is required");
+    console.error("Set it in .env file or as environment variable");
+    process.exit(1);
+  }
+
+  // Checked once up front: a bad budget would otherwise fail every scanner
+  // after its scan had already succeeded
+  let gateBudgets;
+  try {
+    gateBudgets = qualityGatesFromEnv();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const orchestrator = new ScanOrchestrator(websiteUrl, gateBudgets);
+  const startTime = Date.now();
+
+  try {
+    const { combined, combinedPath } = await orchestrator.run();
+
+    console.log("\n🎉 ALL SCANNERS COMPLETED!");
+    console.log("==========================");
+    Object.entries(combined.scanners).forEach(([name, result]) => {
+      const icon = result.status === "success" ? "✅" : "❌";
+      const gate = result.gate
+        ? `, gates ${result.gate.passed ? "passed" : "failed"}`
+        : "";
+      console.log(
+        `${icon} ${name}: ${result.status} (${result.duration}ms${gate})`
+      );
+    });
+    console.log(`📊 Combined summary: ${combinedPath}`);
+    console.log(`⏱️ Total time: ${Date.now() - startTime}ms`);
+
+    if (combined.totals.failed > 0 || combined.totals.gatesFailed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("\n❌ RUN ALL SCANNERS FAILED");
+    console.error("===========================");
+    console.error(`Error: ${error.message}`);
+    console.error(`Stack: ${error.stack}`);
+    process.exitCode = 1;
+  } finally {
+    await orchestrator.cleanup();
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const handled = await runForEachUrl({
+    scanner: "run-all",
+    scriptPath: __filename,
+    datasetDir: path.join(__dirname, "..", "dataset"),
+    summaryFile: "run-all-summary.json",
+    metrics: ["totals"],
+  });
+  if (!handled) {
+    runAllScanners().catch(console.error);
+  }
+}
+
+export { ScanOrchestrator };
@@ -1,8 +1,16 @@
-import { chromium } from "playwright";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import fs from "fs";
 import { config } from "dotenv";
+import {
+  CSPSafeBrowserManager,
+  browserOptionsFromEnv,
+} from "../shared/lib/browser-manager.mjs";
+import {
+  resolveOutputDir,
+  runForEachUrl,
+} from "../shared/lib/site-runner.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
 
 // Load environment variables
 config();
@@ -20,9 +28,14 @@ const __dirname = dirname(__filename);
  */
 class CSPSafeLocatorBuilder {
   constructor() {
-    this.browser = null;
+    this.browserManager = new CSPSafeBrowserManager(
+      browserOptionsFromEnv({
+        timeout: parseInt(process.env.TIMEOUT) || 30000,
+        disableWebSecurity: true,
+      })
+    );
     this.page = null;
-    this.outputDir = join(__dirname, "../dataset");
+    this.outputDir = resolveOutputDir(join(__dirname, "../dataset"));
 
     // Role configurations - can be overridden by environment variables
     this.roles = process.env.PARENT_ROLES
@@ -102,83 +115,22 @@ class CSPSafeLocatorBuilder {
 
   async launchBrowser() {
     this.log("Launching Chromium browser with CSP-safe configuration...");
-    const startTime = Date.now();
-
-    this.browser = await chromium.launch({
-      headless: process.env.HEADLESS !== "false",
-      args: [
-        "--no-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-web-security", // Only for testing - remove in production
-        "--disable-features=VizDisplayCompositor",
-        "--disable-background-timer-throttling",
-        "--disable-backgrounding-occluded-windows",
-        "--disable-renderer-backgrounding",
-        "--no-first-run",
-        "--no-default-browser-check",
-        "--disable-blink-features=AutomationControlled",
-      ],
-    });
-
-    const launchTime = Date.now() - startTime;
-    this.log(`Browser launched successfully in ${launchTime}ms`, "success");
+    await this.browserManager.launchBrowser();
+    this.log("Browser launched successfully", "success");
   }
 
   async navigateToPage(url) {
     this.log(`Navigating to: ${url}`);
 
-    this.page = await this.browser.newPage();
-
-    // Set reasonable timeouts
-    const timeout = parseInt(process.env.TIMEOUT) || 30000;
-    this.page.setDefaultTimeout(timeout);
-    this.page.setDefaultNavigationTimeout(timeout);
-
-    const startTime = Date.now();
-
-    try {
-      // Try networkidle first (best for complete content)
-      await this.page.goto(url, {
-        waitUntil: "networkidle",
-        timeout: 10000,
-      });
-
-      const navigationTime = Date.now() - startTime;
-      this.log(
-        `Navigation completed with networkidle in ${navigationTime}ms`,
-        "success"
-      );
-    } catch (error) {
-      if (
-        error.message.includes("Timeout") ||
-        error.message.includes("timeout")
-      ) {
-        this.log(
-          "Networkidle timeout, falling back to domcontentloaded...",
-          "warn"
-        );
-
-        await this.page.goto(url, {
-          waitUntil: "domcontentloaded",
-          timeout: 30000,
-        });
+    ({ page: this.page } = await this.browserManager.createPage());
 
-        const navigationTime = Date.now() - startTime;
-        this.log(
-          `Navigation completed with domcontentloaded in ${navigationTime}ms`
-        );
-      } else {
-        throw error;
-      }
-    }
-
-    // Wait for additional dynamic content
-    await this.page.waitForTimeout(2000);
-
-    const pageTitle = await this.page.title();
+    const { pageTitle, pageUrl } = await this.browserManager.navigateToURL(
+      this.page,
+      url
+    );
     this.log(`Page loaded: "${pageTitle}"`);
 
-    return { pageTitle, pageUrl: this.page.url() };
+    return { pageTitle, pageUrl };
   }
 
   /**
@@ -669,7 +621,7 @@ class CSPSafeLocatorBuilder {
     };
 
     // Save main comprehensive report
-    fs.writeFileSync(files.main, JSON.stringify(report, null, 2));
+    writeJsonArtifact(files.main, report);
     this.log(`Main report saved: ${files.main}`, "success");
 
     // Save summary for GitHub Actions
@@ -679,10 +631,10 @@ class CSPSafeLocatorBuilder {
       summary: report.summary,
       generatedFiles: Object.values(files).map((path) => path.split("/").pop()),
     };
-    fs.writeFileSync(files.summary, JSON.stringify(summary, null, 2));
+    writeJsonArtifact(files.summary, summary);
     this.log(`Summary saved: ${files.summary}`, "success");
 
-    // Save individual locator format files
+    // Save individual locator format files as plain lists
     fs.writeFileSync(
       files.chains,
       JSON.stringify(report.locators.chains, null, 2)
@@ -707,10 +659,8 @@ class CSPSafeLocatorBuilder {
 
   async cleanup() {
     this.log("Cleaning up browser resources...");
-    if (this.browser) {
-      await this.browser.close();
-      this.log("Browser closed successfully", "success");
-    }
+    await this.browserManager.cleanup();
+    this.log("Browser closed successfully", "success");
   }
 }
 
@@ -822,5 +772,14 @@ async function runLocatorObjectBuilder() {
 export { CSPSafeLocatorBuilder };
 
 if (import.meta.url === `file://${process.argv[1]}`) {
-  runLocatorObjectBuilder();
+  const handled = await runForEachUrl({
+    scanner: "locators",
+    scriptPath: __filename,
+    datasetDir: join(__dirname, "../dataset"),
+    summaryFile: "build_locator_object_locator-summary.json",
+    metrics: ["summary"],
+  });
+  if (!handled) {
+    runLocatorObjectBuilder();
+  }
 }
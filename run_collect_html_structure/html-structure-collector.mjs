@@ -1,8 +1,16 @@
-import { chromium } from "playwright";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import {
+  CSPSafeBrowserManager,
+  browserOptionsFromEnv,
+} from "../shared/lib/browser-manager.mjs";
+import {
+  resolveOutputDir,
+  runForEachUrl,
+} from "../shared/lib/site-runner.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,17 +20,17 @@ dotenv.config({ path: path.join(__dirname, "..", ".env") });
 
 class HtmlStructureCollector {
   constructor() {
-    this.browser = null;
+    this.browserManager = new CSPSafeBrowserManager(browserOptionsFromEnv());
     this.context = null;
     this.page = null;
     this.state = {
-      outputDir: path.join(__dirname, "..", "dataset"),
+      outputDir: resolveOutputDir(path.join(__dirname, "..", "dataset")),
       metadata: {
         collectionTime: null,
         pageUrl: null,
         pageTitle: null,
         userAgent: null,
-        viewportSize: { width: 1280, height: 720 },
+        viewportSize: null,
       },
       htmlStructure: null,
       htmlInheritanceTree: null,
@@ -1186,185 +1194,39 @@ class HtmlStructureCollector {
     return indicators;
   }
 
-  async cleanup() {
-    console.log("\n🧹 CLEANUP PHASE");
-    console.log("=================");
-
-    try {
-      if (this.page) {
-        console.log("📄 Closing page...");
-        await this.page.close();
-        console.log("✅ Page closed");
-      }
-
-      if (this.context) {
-        console.log("🌐 Closing context...");
-        await this.context.close();
-        console.log("✅ Context closed");
-      }
-
-      if (this.browser) {
-        console.log("🔧 Closing browser...");
-        await this.browser.close();
-        console.log("✅ Browser closed");
-      }
-
-      console.log("🏁 Cleanup completed");
-    } catch (error) {
-      console.error(`⚠️ Error during cleanup: ${error.message}`);
-    }
-  }
-}
-
-async function runHtmlStructureCollection() {
-  // Get configuration from environment variables
-  const websiteUrl = process.env.WEBSITE_URL;
-
-  console.log("🏗️ HTML STRUCTURE COLLECTION STARTED");
-  console.log("====================================");
-  console.log(`📅 Started at: ${new Date().toISOString()}`);
-  console.log(`🖥️ Platform: ${process.platform}`);
-  console.log(`🏗️ Node.js version: ${process.version}`);
-  console.log(`📁 Working directory: ${process.cwd()}`);
-  console.log(`📍 Script location: ${__dirname}`);
-
-  console.log("\n🔧 Configuration:");
-  console.log(`   Website URL: ${websiteUrl || "NOT SET"}`);
-
-  if (!websiteUrl) {
-    console.error("❌ WEBSITE_URL environment variable is required");
-    console.error("Set it in .env file or as environment variable");
-    process.exit(1);
-  }
-
-  const collector = new HtmlStructureCollector();
-
-  try {
-    // Launch browser
-    console.log("\n🚀 BROWSER SETUP");
-    console.log("=================");
-    console.log("🔧 Launching Chromium browser...");
-
-    const launchStart = Date.now();
-    collector.browser = await chromium.launch({
-      headless: true,
-      args: ["--disable-dev-shm-usage", "--no-sandbox"],
-    });
-    console.log(`✅ Browser launched in ${Date.now() - launchStart}ms`);
-
-    // Create context and page
-    collector.context = await collector.browser.newContext({
-      viewport: collector.state.metadata.viewportSize,
-      userAgent:
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-      bypassCSP: true,
-      ignoreHTTPSErrors: true,
-      javaScriptEnabled: true,
-      locale: "en-US",
-    });
-
-    collector.page = await collector.context.newPage();
-
-    // Navigate to website
-    console.log("\n🌐 WEBSITE NAVIGATION");
-    console.log("======================");
-    console.log(`🔄 Navigating to: ${websiteUrl}`);
-
-    const navStart = Date.now();
-    await collector.page.goto(websiteUrl, {
-      waitUntil: "domcontentloaded",
-      timeout: 60000,
-    });
-    console.log(`✅ Navigation completed in ${Date.now() - navStart}ms`);
-
-    // Update metadata
-    collector.state.metadata.collectionTime = new Date().toISOString();
-    collector.state.metadata.pageUrl = collector.page.url();
-    collector.state.metadata.pageTitle = await collector.page.title();
-
-    // Try to get user agent with CSP fallback
-    try {
-      collector.state.metadata.userAgent = await collector.page.evaluate(
-        () => navigator.userAgent
-      );
-    } catch (cspError) {
-      console.log("⚠️ Cannot get user agent due to CSP, using default");
-      collector.state.metadata.userAgent =
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
-    }
-
-    // Check page status
-    console.log(`   Final URL: ${collector.state.metadata.pageUrl}`);
-    console.log(`   Page title: "${collector.state.metadata.pageTitle}"`);
-
-    // Wait for page to fully load
-    console.log("⏳ Waiting for network to settle...");
-    try {
-      await collector.page.waitForLoadState("networkidle", { timeout: 10000 });
-      console.log("✅ Network settled");
-    } catch (networkError) {
-      console.log("⚠️ Network did not settle, continuing...");
-    }
-
-    // Collect HTML structure
-    console.log("\n🔍 COLLECTING HTML STRUCTURE");
-    console.log("=============================");
-    collector.state.htmlStructure = await collector.collectHtmlStructure();
-
-    // Collect HTML inheritance tree
-    console.log("\n🌳 COLLECTING HTML INHERITANCE TREE");
-    console.log("===================================");
-    collector.state.htmlInheritanceTree =
-      await collector.collectHtmlInheritanceTree();
-
-    // Take screenshot
-    console.log("\n📸 CAPTURING SCREENSHOT");
-    console.log("=======================");
-    const screenshotPath = path.join(
-      collector.state.outputDir,
-      "collect_html_structure-screenshot.png"
-    );
-    await collector.page.screenshot({
-      path: screenshotPath,
-      fullPage: true,
-    });
-    console.log(`✅ Screenshot saved: ${screenshotPath}`);
-
-    // Generate metadata
-    const metadata = await collector.generateMetadata();
-
+  /**
+   * Write structure data, inheritance tree, summary and markdown report
+   * @param {string} websiteUrl - The audited URL
+   * @param {Object} metadata - Summary metadata from generateMetadata
+   * @returns {Object} Paths of the written files
+   */
+  saveResults(websiteUrl, metadata) {
     // Save HTML structure data
     console.log("\n💾 SAVING DATA FILES");
     console.log("====================");
 
     // Save detailed HTML structure
     const structurePath = path.join(
-      collector.state.outputDir,
+      this.state.outputDir,
       "collect_html_structure-data.json"
     );
-    fs.writeFileSync(
-      structurePath,
-      JSON.stringify(collector.state.htmlStructure, null, 2)
-    );
+    writeJsonArtifact(structurePath, this.state.htmlStructure);
     console.log(`✅ HTML structure saved: ${structurePath}`);
 
     // Save inheritance tree
     const treePath = path.join(
-      collector.state.outputDir,
+      this.state.outputDir,
       "html-inheritance-tree.json"
     );
-    fs.writeFileSync(
-      treePath,
-      JSON.stringify(collector.state.htmlInheritanceTree, null, 2)
-    );
+    writeJsonArtifact(treePath, this.state.htmlInheritanceTree);
     console.log(`✅ Inheritance tree saved: ${treePath}`);
 
     // Save summary metadata
     const metadataPath = path.join(
-      collector.state.outputDir,
+      this.state.outputDir,
       "collect_html_structure-summary.json"
     );
-    fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+    writeJsonArtifact(metadataPath, metadata);
     console.log(`✅ Summary metadata saved: ${metadataPath}`);
 
     // Create human-readable report
@@ -1409,9 +1271,9 @@ async function runHtmlStructureCollection() {
     }\n\n`;
 
     // Detailed headings structure
-    if (collector.state.htmlStructure.headings) {
+    if (this.state.htmlStructure.headings) {
       report += `## Heading Structure\n\n`;
-      Object.entries(collector.state.htmlStructure.headings).forEach(
+      Object.entries(this.state.htmlStructure.headings).forEach(
         ([tag, headings]) => {
           if (headings.length > 0) {
             report += `### ${tag.toUpperCase()} (${headings.length})\n\n`;
@@ -1441,12 +1303,122 @@ async function runHtmlStructureCollection() {
     report += `- Mermaid.js tree diagrams\n\n`;
 
     const reportPath = path.join(
-      collector.state.outputDir,
+      this.state.outputDir,
       "collect_html_structure-report.md"
     );
     fs.writeFileSync(reportPath, report);
     console.log(`✅ Report saved: ${reportPath}`);
 
+    return { structurePath, treePath, metadataPath, reportPath };
+  }
+
+  async cleanup() {
+    console.log("\n🧹 CLEANUP PHASE");
+    console.log("=================");
+
+    try {
+      await this.browserManager.cleanup();
+
+      console.log("🏁 Cleanup completed");
+    } catch (error) {
+      console.error(`⚠️ Error during cleanup: ${error.message}`);
+    }
+  }
+}
+
+async function runHtmlStructureCollection() {
+  // Get configuration from environment variables
+  const websiteUrl = process.env.WEBSITE_URL;
+
+  console.log("🏗️ HTML STRUCTURE COLLECTION STARTED");
+  console.log("====================================");
+  console.log(`📅 Started at: ${new Date().toISOString()}`);
+  console.log(`🖥️ Platform: ${process.platform}`);
+  console.log(`🏗️ Node.js version: ${process.version}`);
+  console.log(`📁 Working directory: ${process.cwd()}`);
+  console.log(`📍 Script location: ${__dirname}`);
+
+  console.log("\n🔧 Configuration:");
+  console.log(`   Website URL: ${websiteUrl || "NOT SET"}`);
+
+  if (!websiteUrl) {
+    console.error("❌ WEBSITE_URL environment variable is required");
+    console.error("Set it in .env file or as environment variable");
+    process.exit(1);
+  }
+
+  const collector = new HtmlStructureCollector();
+
+  try {
+    // Launch browser
+    console.log("\n🚀 BROWSER SETUP");
+    console.log("=================");
+    await collector.browserManager.launchBrowser();
+
+    // Create context and page
+    ({ page: collector.page, context: collector.context } =
+      await collector.browserManager.createPage(undefined, {
+        bypassCSP: true,
+        ignoreHTTPSErrors: true,
+        javaScriptEnabled: true,
+      }));
+    collector.state.metadata.viewportSize = collector.page.viewportSize();
+
+    // Navigate to website
+    console.log("\n🌐 WEBSITE NAVIGATION");
+    console.log("======================");
+    await collector.browserManager.navigateToURL(collector.page, websiteUrl);
+
+    // Update metadata
+    collector.state.metadata.collectionTime = new Date().toISOString();
+    collector.state.metadata.pageUrl = collector.page.url();
+    collector.state.metadata.pageTitle = await collector.page.title();
+
+    // Try to get user agent with CSP fallback
+    try {
+      collector.state.metadata.userAgent = await collector.page.evaluate(
+        () => navigator.userAgent
+      );
+    } catch (cspError) {
+      console.log("⚠️ Cannot get user agent due to CSP, using default");
+      collector.state.metadata.userAgent =
+        collector.browserManager.options.userAgent;
+    }
+
+    // Check page status
+    console.log(`   Final URL: ${collector.state.metadata.pageUrl}`);
+    console.log(`   Page title: "${collector.state.metadata.pageTitle}"`);
+
+    // Collect HTML structure
+    console.log("\n🔍 COLLECTING HTML STRUCTURE");
+    console.log("=============================");
+    collector.state.htmlStructure = await collector.collectHtmlStructure();
+
+    // Collect HTML inheritance tree
+    console.log("\n🌳 COLLECTING HTML INHERITANCE TREE");
+    console.log("===================================");
+    collector.state.htmlInheritanceTree =
+      await collector.collectHtmlInheritanceTree();
+
+    // Take screenshot
+    console.log("\n📸 CAPTURING SCREENSHOT");
+    console.log("=======================");
+    const screenshotPath = path.join(
+      collector.state.outputDir,
+      "collect_html_structure-screenshot.png"
+    );
+    await collector.page.screenshot({
+      path: screenshotPath,
+      fullPage: true,
+    });
+    console.log(`✅ Screenshot saved: ${screenshotPath}`);
+
+    // Generate metadata
+    const metadata = await collector.generateMetadata();
+
+    const { structurePath, treePath, metadataPath, reportPath } =
+      collector.saveResults(websiteUrl, metadata);
+
     // Final summary
     console.log("\n🎉 HTML STRUCTURE COLLECTION COMPLETED!");
     console.log("========================================");
@@ -1485,5 +1457,18 @@ async function runHtmlStructureCollection() {
   }
 }
 
-// Run the HTML structure collection
-runHtmlStructureCollection().catch(console.error);
+// Run the HTML structure collection when executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const handled = await runForEachUrl({
+    scanner: "html-structure",
+    scriptPath: __filename,
+    datasetDir: path.join(__dirname, "..", "dataset"),
+    summaryFile: "collect_html_structure-summary.json",
+    metrics: ["htmlStructure", "inheritanceTree", "analysis"],
+  });
+  if (!handled) {
+    runHtmlStructureCollection().catch(console.error);
+  }
+}
+
+export { HtmlStructureCollector };
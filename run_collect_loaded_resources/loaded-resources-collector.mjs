@@ -1,8 +1,20 @@
-import { chromium } from "playwright";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import {
+  CSPSafeBrowserManager,
+  browserOptionsFromEnv,
+} from "../shared/lib/browser-manager.mjs";
+import {
+  resolveOutputDir,
+  runForEachUrl,
+} from "../shared/lib/site-runner.mjs";
+import {
+  applyQualityGates,
+  qualityGatesFromEnv,
+} from "../shared/lib/quality-gates.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,18 +24,18 @@ dotenv.config({ path: path.join(__dirname, "..", ".env") });
 
 class LoadedResourcesCollector {
   constructor() {
-    this.browser = null;
+    this.browserManager = new CSPSafeBrowserManager(browserOptionsFromEnv());
     this.context = null;
     this.page = null;
     this.cdpSession = null;
     this.state = {
-      outputDir: path.join(__dirname, "..", "dataset"),
+      outputDir: resolveOutputDir(path.join(__dirname, "..", "dataset")),
       metadata: {
         collectionTime: null,
         pageUrl: null,
         pageTitle: null,
         userAgent: null,
-        viewportSize: { width: 1280, height: 720 },
+        viewportSize: null,
         collectionDuration: 10000, // 10 seconds default
       },
       resources: {
@@ -907,181 +919,39 @@ class LoadedResourcesCollector {
     return metadata;
   }
 
-  async cleanup() {
-    console.log("\n🧹 CLEANUP PHASE");
-    console.log("=================");
-
-    try {
-      if (this.cdpSession) {
-        console.log("🌐 Closing CDP session...");
-        await this.cdpSession.detach();
-        console.log("✅ CDP session closed");
-      }
-
-      if (this.page) {
-        console.log("📄 Closing page...");
-        await this.page.close();
-        console.log("✅ Page closed");
-      }
-
-      if (this.context) {
-        console.log("🌐 Closing context...");
-        await this.context.close();
-        console.log("✅ Context closed");
-      }
-
-      if (this.browser) {
-        console.log("🔧 Closing browser...");
-        await this.browser.close();
-        console.log("✅ Browser closed");
-      }
-
-      console.log("🏁 Cleanup completed");
-    } catch (error) {
-      console.error(`⚠️ Error during cleanup: ${error.message}`);
-    }
-  }
-}
-
-async function runResourceCollection() {
-  // Get configuration from environment variables
-  const websiteUrl = process.env.WEBSITE_URL;
-  const collectionDuration = parseInt(process.env.COLLECTION_DURATION) || 10000; // 10 seconds default
-
-  console.log("📦 LOADED RESOURCES COLLECTION STARTED");
-  console.log("======================================");
-  console.log(`📅 Started at: ${new Date().toISOString()}`);
-  console.log(`🖥️ Platform: ${process.platform}`);
-  console.log(`🏗️ Node.js version: ${process.version}`);
-  console.log(`📁 Working directory: ${process.cwd()}`);
-  console.log(`📍 Script location: ${__dirname}`);
-
-  console.log("\n🔧 Configuration:");
-  console.log(`   Website URL: ${websiteUrl || "NOT SET"}`);
-  console.log(`   Collection Duration: ${collectionDuration}ms`);
-
-  if (!websiteUrl) {
-    console.error("❌ WEBSITE_URL environment variable is required");
-    console.error("Set it in .env file or as environment variable");
-    process.exit(1);
-  }
-
-  const collector = new LoadedResourcesCollector();
-  collector.state.metadata.collectionDuration = collectionDuration;
-
-  try {
-    // Launch browser
-    console.log("\n🚀 BROWSER SETUP");
-    console.log("=================");
-    console.log("🔧 Launching Chromium browser...");
-
-    const launchStart = Date.now();
-    collector.browser = await chromium.launch({
-      headless: true,
-      args: ["--disable-dev-shm-usage", "--no-sandbox"],
-    });
-    console.log(`✅ Browser launched in ${Date.now() - launchStart}ms`);
-
-    // Create context and page
-    collector.context = await collector.browser.newContext({
-      viewport: collector.state.metadata.viewportSize,
-      userAgent:
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-      bypassCSP: true,
-      ignoreHTTPSErrors: true,
-      javaScriptEnabled: true,
-      locale: "en-US",
-    });
-
-    collector.page = await collector.context.newPage();
-
-    // Navigate to website
-    console.log("\n🌐 WEBSITE NAVIGATION");
-    console.log("======================");
-    console.log(`🔄 Navigating to: ${websiteUrl}`);
-
-    const navStart = Date.now();
-
-    // Start resource collection BEFORE navigation
-    const resourcePromise = collector.collectLoadedResources();
-
-    // Navigate to the page
-    await collector.page.goto(websiteUrl, {
-      waitUntil: "domcontentloaded",
-      timeout: 60000,
-    });
-    console.log(`✅ Navigation completed in ${Date.now() - navStart}ms`);
-
-    // Update metadata
-    collector.state.metadata.collectionTime = new Date().toISOString();
-    collector.state.metadata.pageUrl = collector.page.url();
-    collector.state.metadata.pageTitle = await collector.page.title();
-
-    // Try to get user agent with CSP fallback
-    try {
-      collector.state.metadata.userAgent = await collector.page.evaluate(
-        () => navigator.userAgent
-      );
-    } catch (cspError) {
-      console.log("⚠️ Cannot get user agent due to CSP, using default");
-      collector.state.metadata.userAgent =
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
-    }
-
-    // Check page status
-    console.log(`   Final URL: ${collector.state.metadata.pageUrl}`);
-    console.log(`   Page title: "${collector.state.metadata.pageTitle}"`);
-
-    // Wait for resource collection to complete
-    console.log("\n📦 RESOURCE COLLECTION");
-    console.log("======================");
-    const resources = await resourcePromise;
-
-    // Take screenshot
-    console.log("\n📸 CAPTURING SCREENSHOT");
-    console.log("=======================");
-    const screenshotPath = path.join(
-      collector.state.outputDir,
-      "loaded-resources-collector-screenshot.png"
-    );
-    await collector.page.screenshot({
-      path: screenshotPath,
-      fullPage: true,
-    });
-    console.log(`✅ Screenshot saved: ${screenshotPath}`);
-
-    // Generate metadata and analysis
-    const metadata = await collector.generateMetadata();
-
-    // Save resource data
-    console.log("\n💾 SAVING DATA FILES");
-    console.log("====================");
-
+  /**
+   * Write resource data, network events, summary and markdown report
+   * @param {string} websiteUrl - The audited URL
+   * @param {Object} resources - Categorized resources from collectLoadedResources
+   * @param {Object} metadata - Summary metadata from generateMetadata
+   * @returns {Object} Paths of the written files
+   */
+  saveResults(websiteUrl, resources, metadata) {
     // Save detailed resource data
     const resourcesPath = path.join(
-      collector.state.outputDir,
+      this.state.outputDir,
       "loaded-resources-collector-data.json"
     );
-    fs.writeFileSync(resourcesPath, JSON.stringify(resources, null, 2));
+    writeJsonArtifact(resourcesPath, resources);
     console.log(`✅ Resource data saved: ${resourcesPath}`);
 
     // Save network events
     const eventsPath = path.join(
-      collector.state.outputDir,
+      this.state.outputDir,
       "network-events.json"
     );
     fs.writeFileSync(
       eventsPath,
-      JSON.stringify(collector.state.networkEvents, null, 2)
+      JSON.stringify(this.state.networkEvents, null, 2)
     );
     console.log(`✅ Network events saved: ${eventsPath}`);
 
     // Save summary metadata
     const metadataPath = path.join(
-      collector.state.outputDir,
+      this.state.outputDir,
       "loaded-resources-collector-summary.json"
     );
-    fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+    writeJsonArtifact(metadataPath, metadata);
     console.log(`✅ Summary metadata saved: ${metadataPath}`);
 
     // Create human-readable report
@@ -1090,7 +960,7 @@ async function runResourceCollection() {
     report += `**Website:** ${websiteUrl}\n`;
     report += `**Collection Date:** ${metadata.collection.timestamp}\n`;
     report += `**Page Title:** ${metadata.collection.pageTitle}\n`;
-    report += `**Collection Duration:** ${collectionDuration}ms\n\n`;
+    report += `**Collection Duration:** ${this.state.metadata.collectionDuration}ms\n\n`;
 
     // Resource overview
     report += `## Resource Overview\n\n`;
@@ -1235,12 +1105,142 @@ async function runResourceCollection() {
     }
 
     const reportPath = path.join(
-      collector.state.outputDir,
+      this.state.outputDir,
       "loaded-resources-collector-report.md"
     );
     fs.writeFileSync(reportPath, report);
     console.log(`✅ Report saved: ${reportPath}`);
 
+    return { resourcesPath, eventsPath, metadataPath, reportPath };
+  }
+
+  async cleanup() {
+    console.log("\n🧹 CLEANUP PHASE");
+    console.log("=================");
+
+    try {
+      if (this.cdpSession) {
+        console.log("🌐 Closing CDP session...");
+        await this.cdpSession.detach();
+        console.log("✅ CDP session closed");
+      }
+
+      await this.browserManager.cleanup();
+
+      console.log("🏁 Cleanup completed");
+    } catch (error) {
+      console.error(`⚠️ Error during cleanup: ${error.message}`);
+    }
+  }
+}
+
+async function runResourceCollection() {
+  // Get configuration from environment variables
+  const websiteUrl = process.env.WEBSITE_URL;
+  const collectionDuration = parseInt(process.env.COLLECTION_DURATION) || 10000; // 10 seconds default
+
+  console.log("📦 LOADED RESOURCES COLLECTION STARTED");
+  console.log("======================================");
+  console.log(`📅 Started at: ${new Date().toISOString()}`);
+  console.log(`🖥️ Platform: ${process.platform}`);
+  console.log(`🏗️ Node.js version: ${process.version}`);
+  console.log(`📁 Working directory: ${process.cwd()}`);
+  console.log(`📍 Script location: ${__dirname}`);
+
+  console.log("\n🔧 Configuration:");
+  console.log(`   Website URL: ${websiteUrl || "NOT SET"}`);
+  console.log(`   Collection Duration: ${collectionDuration}ms`);
+
+  if (!websiteUrl) {
+    console.error("❌ WEBSITE_URL environment variable is required");
+    console.error("Set it in .env file or as environment variable");
+    process.exit(1);
+  }
+
+  let gateBudgets;
+  try {
+    gateBudgets = qualityGatesFromEnv();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const collector = new LoadedResourcesCollector();
+  collector.state.metadata.collectionDuration = collectionDuration;
+
+  try {
+    // Launch browser
+    console.log("\n🚀 BROWSER SETUP");
+    console.log("=================");
+    await collector.browserManager.launchBrowser();
+
+    // Create context and page
+    ({ page: collector.page, context: collector.context } =
+      await collector.browserManager.createPage(undefined, {
+        bypassCSP: true,
+        ignoreHTTPSErrors: true,
+        javaScriptEnabled: true,
+      }));
+    collector.state.metadata.viewportSize = collector.page.viewportSize();
+
+    // Navigate to website
+    console.log("\n🌐 WEBSITE NAVIGATION");
+    console.log("======================");
+
+    // Start resource collection BEFORE navigation
+    const resourcePromise = collector.collectLoadedResources();
+
+    // Navigate to the page
+    await collector.browserManager.navigateToURL(collector.page, websiteUrl);
+
+    // Update metadata
+    collector.state.metadata.collectionTime = new Date().toISOString();
+    collector.state.metadata.pageUrl = collector.page.url();
+    collector.state.metadata.pageTitle = await collector.page.title();
+
+    // Try to get user agent with CSP fallback
+    try {
+      collector.state.metadata.userAgent = await collector.page.evaluate(
+        () => navigator.userAgent
+      );
+    } catch (cspError) {
+      console.log("⚠️ Cannot get user agent due to CSP, using default");
+      collector.state.metadata.userAgent =
+        collector.browserManager.options.userAgent;
+    }
+
+    // Check page status
+    console.log(`   Final URL: ${collector.state.metadata.pageUrl}`);
+    console.log(`   Page title: "${collector.state.metadata.pageTitle}"`);
+
+    // Wait for resource collection to complete
+    console.log("\n📦 RESOURCE COLLECTION");
+    console.log("======================");
+    const resources = await resourcePromise;
+
+    // Take screenshot
+    console.log("\n📸 CAPTURING SCREENSHOT");
+    console.log("=======================");
+    const screenshotPath = path.join(
+      collector.state.outputDir,
+      "loaded-resources-collector-screenshot.png"
+    );
+    await collector.page.screenshot({
+      path: screenshotPath,
+      fullPage: true,
+    });
+    console.log(`✅ Screenshot saved: ${screenshotPath}`);
+
+    // Generate metadata and analysis
+    const metadata = await collector.generateMetadata();
+
+    // Save resource data
+    console.log("\n💾 SAVING DATA FILES");
+    console.log("====================");
+
+    const { resourcesPath, eventsPath, metadataPath, reportPath } =
+      collector.saveResults(websiteUrl, resources, metadata);
+
     // Final summary
     console.log("\n🎉 RESOURCE COLLECTION COMPLETED!");
     console.log("=================================");
@@ -1258,6 +1258,16 @@ async function runResourceCollection() {
       `💾 Cache Efficiency: ${metadata.performance.cacheEfficiency}%`
     );
     console.log(`⚠️ Performance Issues: ${metadata.performance.issueCount}`);
+
+    applyQualityGates(
+      "resources",
+      {
+        totalSize: metadata.performance.totalSize,
+        totalRequests: metadata.resources.total,
+      },
+      collector.state.outputDir,
+      gateBudgets
+    );
   } catch (error) {
     console.error("\n❌ RESOURCE COLLECTION FAILED");
     console.error("==============================");
@@ -1282,5 +1292,18 @@ async function runResourceCollection() {
   }
 }
 
-// Run the resource collection
-runResourceCollection().catch(console.error);
+// Run the resource collection if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const handled = await runForEachUrl({
+    scanner: "resources",
+    scriptPath: __filename,
+    datasetDir: path.join(__dirname, "..", "dataset"),
+    summaryFile: "loaded-resources-collector-summary.json",
+    metrics: ["resources", "performance"],
+  });
+  if (!handled) {
+    runResourceCollection().catch(console.error);
+  }
+}
+
+export { LoadedResourcesCollector };
@@ -1,8 +1,21 @@
-import { chromium } from "playwright";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import {
+  CSPSafeBrowserManager,
+  browserOptionsFromEnv,
+} from "../shared/lib/browser-manager.mjs";
+import {
+  resolveOutputDir,
+  runForEachUrl,
+} from "../shared/lib/site-runner.mjs";
+import {
+  applyQualityGates,
+  qualityGatesFromEnv,
+} from "../shared/lib/quality-gates.mjs";
+import { consoleJUnitSuites, writeJUnitReport } from "../shared/lib/junit.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,6 +46,10 @@ class ConsoleListener {
         traceCount: 0,
         blockedMessages: 0,
       },
+      additionalErrors: {
+        networkErrors: [],
+        pageErrors: [],
+      },
     };
   }
 
@@ -114,6 +131,36 @@ class ConsoleListener {
     console.log("✅ Console listener setup completed");
   }
 
+  /**
+   * Record uncaught page errors and failed network requests alongside the
+   * console messages.
+   */
+  setupErrorMonitoring() {
+    console.log("🔍 Setting up additional error monitoring...");
+
+    this.page.on("pageerror", (error) => {
+      this.state.additionalErrors.pageErrors.push({
+        message: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString(),
+      });
+      console.log(`   ❌ Page error: ${error.message}`);
+    });
+
+    this.page.on("requestfailed", (request) => {
+      const failure = request.failure();
+      this.state.additionalErrors.networkErrors.push({
+        url: request.url(),
+        method: request.method(),
+        errorText: failure?.errorText,
+        timestamp: new Date().toISOString(),
+      });
+      console.log(
+        `   🌐 Failed request: ${request.url()} (${failure?.errorText})`
+      );
+    });
+  }
+
   getResults() {
     return {
       timestamp: new Date().toISOString(),
@@ -122,6 +169,148 @@ class ConsoleListener {
     };
   }
 
+  /**
+   * Write console-listener-messages.json, console-listener-summary.json and
+   * console-listener-report.md into datasetDir.
+   */
+  saveResults({ websiteUrl, pageInfo, datasetDir }) {
+    const results = this.getResults();
+    const { networkErrors, pageErrors } = this.state.additionalErrors;
+
+    // Combine all data
+    const completeData = {
+      ...results,
+      sourceUrl: websiteUrl,
+      pageInfo,
+      additionalErrors: this.state.additionalErrors,
+    };
+
+    // Save console data to JSON file
+    console.log("\n💾 Saving Console Data");
+    console.log("======================");
+    const consoleJsonPath = path.join(
+      datasetDir,
+      "console-listener-messages.json"
+    );
+    console.log(`   Console file path: ${consoleJsonPath}`);
+
+    const saveStart = Date.now();
+    writeJsonArtifact(consoleJsonPath, completeData);
+
+    const consoleStats = fs.statSync(consoleJsonPath);
+    console.log(`✅ Console data saved in ${Date.now() - saveStart}ms`);
+    console.log(`   File size: ${(consoleStats.size / 1024).toFixed(2)} KB`);
+    console.log(`   Full path: ${consoleJsonPath}`);
+
+    // Create summary file
+    console.log("\n📋 Creating Summary Report");
+    console.log("==========================");
+    const summaryData = {
+      url: websiteUrl,
+      timestamp: new Date().toISOString(),
+      statistics: results.statistics,
+      pageInfo: completeData.pageInfo,
+      errorSummary: {
+        consoleErrors: results.statistics.errorCount,
+        networkErrors: networkErrors.length,
+        pageErrors: pageErrors.length,
+        totalIssues:
+          results.statistics.errorCount +
+          networkErrors.length +
+          pageErrors.length,
+      },
+    };
+
+    const summaryPath = path.join(datasetDir, "console-listener-summary.json");
+    const summaryStart = Date.now();
+    writeJsonArtifact(summaryPath, summaryData);
+    console.log(
+      `✅ Summary report saved to: ${summaryPath} (${
+        Date.now() - summaryStart
+      }ms)`
+    );
+
+    // Create human-readable report
+    console.log("📄 Generating human-readable report...");
+    let readableReport = `# Console Messages Report\n\n`;
+    readableReport += `**Website:** ${websiteUrl}\n`;
+    readableReport += `**Collection Date:** ${new Date().toISOString()}\n`;
+    readableReport += `**Final URL:** ${pageInfo.finalUrl}\n`;
+    readableReport += `**Page Title:** ${pageInfo.title}\n\n`;
+
+    readableReport += `## Summary\n\n`;
+    readableReport += `- **Total Console Messages:** ${results.statistics.totalMessages}\n`;
+    readableReport += `- **Errors:** ${results.statistics.errorCount}\n`;
+    readableReport += `- **Warnings:** ${results.statistics.warningCount}\n`;
+    readableReport += `- **Info Messages:** ${results.statistics.infoCount}\n`;
+    readableReport += `- **Log Messages:** ${results.statistics.logCount}\n`;
+    readableReport += `- **Debug Messages:** ${results.statistics.debugCount}\n`;
+    readableReport += `- **Network Errors:** ${networkErrors.length}\n`;
+    readableReport += `- **Page Errors:** ${pageErrors.length}\n\n`;
+
+    if (results.statistics.errorCount > 0) {
+      readableReport += `## Console Errors\n\n`;
+      results.consoleData.errors.forEach((error, index) => {
+        readableReport += `### Error ${index + 1}\n\n`;
+        readableReport += `**Type:** ${error[0]}\n`;
+        readableReport += `**Message:** ${error[1]}\n\n`;
+        readableReport += `---\n\n`;
+      });
+    }
+
+    if (networkErrors.length > 0) {
+      readableReport += `## Network Errors\n\n`;
+      networkErrors.forEach((error, index) => {
+        readableReport += `### Network Error ${index + 1}\n\n`;
+        readableReport += `**URL:** ${error.url}\n`;
+        readableReport += `**Method:** ${error.method}\n`;
+        readableReport += `**Error:** ${error.errorText}\n`;
+        readableReport += `**Timestamp:** ${error.timestamp}\n\n`;
+        readableReport += `---\n\n`;
+      });
+    }
+
+    if (pageErrors.length > 0) {
+      readableReport += `## Page Errors\n\n`;
+      pageErrors.forEach((error, index) => {
+        readableReport += `### Page Error ${index + 1}\n\n`;
+        readableReport += `**Message:** ${error.message}\n`;
+        readableReport += `**Timestamp:** ${error.timestamp}\n\n`;
+        if (error.stack) {
+          readableReport += `**Stack Trace:**\n\`\`\`\n${error.stack}\n\`\`\`\n\n`;
+        }
+        readableReport += `---\n\n`;
+      });
+    }
+
+    const readableReportPath = path.join(
+      datasetDir,
+      "console-listener-report.md"
+    );
+    const readableReportStart = Date.now();
+    fs.writeFileSync(readableReportPath, readableReport);
+    console.log(
+      `✅ Human-readable report saved to: ${readableReportPath} (${
+        Date.now() - readableReportStart
+      }ms)`
+    );
+    console.log(`   Report length: ${readableReport.length} characters`);
+
+    const junitPath = writeJUnitReport(
+      "console",
+      consoleJUnitSuites(completeData, websiteUrl),
+      datasetDir
+    );
+
+    return {
+      consoleJsonPath,
+      summaryPath,
+      readableReportPath,
+      ...(junitPath ? { junitPath } : {}),
+      summaryData,
+    };
+  }
+
   logSummary() {
     const stats = this.state.statistics;
     console.log("\n📊 CONSOLE LISTENER SUMMARY");
@@ -177,8 +366,15 @@ async function runConsoleListener() {
     process.exit(1);
   }
 
-  let browser;
-  let context;
+  let gateBudgets;
+  try {
+    gateBudgets = qualityGatesFromEnv();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const browserManager = new CSPSafeBrowserManager(browserOptionsFromEnv());
   let page;
   let consoleListener;
 
@@ -186,30 +382,9 @@ async function runConsoleListener() {
     // Launch browser
     console.log("\n🔧 Browser Setup Phase");
     console.log("======================");
-    console.log("🚀 Launching Chrome browser...");
-    console.log(`   Headless mode: true`);
-    console.log(`   Browser args: --disable-dev-shm-usage, --no-sandbox`);
-
-    const launchStart = Date.now();
-    browser = await chromium.launch({
-      headless: true,
-      args: ["--disable-dev-shm-usage", "--no-sandbox"],
-    });
-    console.log(`✅ Browser launched in ${Date.now() - launchStart}ms`);
-
-    console.log("🌐 Creating browser context...");
-    const contextStart = Date.now();
-    context = await browser.newContext({
-      viewport: { width: 1920, height: 1080 },
-      userAgent:
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-    });
-    console.log(`✅ Context created in ${Date.now() - contextStart}ms`);
+    await browserManager.launchBrowser();
 
-    console.log("📄 Creating new page...");
-    const pageStart = Date.now();
-    page = await context.newPage();
-    console.log(`✅ Page created in ${Date.now() - pageStart}ms`);
+    ({ page } = await browserManager.createPage());
 
     // Set up console listener
     console.log("\n🎧 Console Listener Setup");
@@ -218,55 +393,18 @@ async function runConsoleListener() {
     await consoleListener.setupConsoleListener();
 
     // Set up additional error monitoring
-    console.log("🔍 Setting up additional error monitoring...");
-    const networkErrors = [];
-    const pageErrors = [];
-
-    page.on("pageerror", (error) => {
-      pageErrors.push({
-        message: error.message,
-        stack: error.stack,
-        timestamp: new Date().toISOString(),
-      });
-      console.log(`   ❌ Page error: ${error.message}`);
-    });
-
-    page.on("requestfailed", (request) => {
-      const failure = request.failure();
-      networkErrors.push({
-        url: request.url(),
-        method: request.method(),
-        errorText: failure?.errorText,
-        timestamp: new Date().toISOString(),
-      });
-      console.log(
-        `   🌐 Failed request: ${request.url()} (${failure?.errorText})`
-      );
-    });
+    consoleListener.setupErrorMonitoring();
+    const { networkErrors, pageErrors } =
+      consoleListener.state.additionalErrors;
 
     // Navigate to the website
     console.log("\n🌐 Navigation Phase");
     console.log("===================");
-    console.log(`🔄 Navigating to: ${websiteUrl}`);
-    console.log("⏳ Waiting for page to load (may take up to 60 seconds)...");
-
     const navigationStart = Date.now();
-    try {
-      await page.goto(websiteUrl, {
-        waitUntil: "domcontentloaded",
-        timeout: 60000,
-      });
-      console.log(
-        `✅ Initial navigation completed in ${Date.now() - navigationStart}ms`
-      );
-    } catch (navigationError) {
-      console.error(`❌ Navigation failed: ${navigationError.message}`);
-      throw navigationError;
-    }
+    const { pageUrl: currentUrl, pageTitle } =
+      await browserManager.navigateToURL(page, websiteUrl);
 
     // Check page status
-    const currentUrl = page.url();
-    const pageTitle = await page.title();
     console.log(`   Final URL: ${currentUrl}`);
     console.log(`   Page title: "${pageTitle}"`);
     console.log(
@@ -275,21 +413,9 @@ async function runConsoleListener() {
       }`
     );
 
-    // Wait for the page to load completely and collect console messages
+    // Collect console messages after the page has settled
     console.log("\n🌐 Console Message Collection Phase");
     console.log("===================================");
-    console.log(
-      "⏳ Waiting for network to settle and collecting console messages..."
-    );
-    const networkStart = Date.now();
-
-    try {
-      await page.waitForLoadState("networkidle", { timeout: 30000 });
-      console.log(`✅ Network idle achieved in ${Date.now() - networkStart}ms`);
-    } catch (networkError) {
-      console.log(`⚠️  Network didn't settle within 30s, continuing anyway...`);
-      console.log(`   Network error: ${networkError.message}`);
-    }
 
     // Wait additional time to capture more console messages
     console.log(
@@ -325,7 +451,7 @@ async function runConsoleListener() {
     // Create dataset directory if it doesn't exist
     console.log("\n📁 File System Setup");
     console.log("====================");
-    const datasetDir = path.join(__dirname, "..", "dataset");
+    const datasetDir = resolveOutputDir(path.join(__dirname, "..", "dataset"));
     console.log(`   Dataset directory: ${datasetDir}`);
 
     if (!fs.existsSync(datasetDir)) {
@@ -367,10 +493,8 @@ async function runConsoleListener() {
     const consoleResults = consoleListener.getResults();
     consoleListener.logSummary();
 
-    // Combine all data
-    const completeData = {
-      ...consoleResults,
-      sourceUrl: websiteUrl,
+    const { summaryData } = consoleListener.saveResults({
+      websiteUrl,
       pageInfo: {
         finalUrl: currentUrl,
         title: pageTitle,
@@ -378,124 +502,17 @@ async function runConsoleListener() {
         contentLength: bodyContent ? bodyContent.length : 0,
         domElements: domElementsCount,
       },
-      additionalErrors: {
-        networkErrors: networkErrors,
-        pageErrors: pageErrors,
-      },
-    };
-
-    // Save console data to JSON file
-    console.log("\n💾 Saving Console Data");
-    console.log("======================");
-    const consoleJsonPath = path.join(
       datasetDir,
-      "console-listener-messages.json"
-    );
-    console.log(`   Console file path: ${consoleJsonPath}`);
-
-    const saveStart = Date.now();
-    fs.writeFileSync(consoleJsonPath, JSON.stringify(completeData, null, 2));
-
-    const consoleStats = fs.statSync(consoleJsonPath);
-    console.log(`✅ Console data saved in ${Date.now() - saveStart}ms`);
-    console.log(`   File size: ${(consoleStats.size / 1024).toFixed(2)} KB`);
-    console.log(`   Full path: ${consoleJsonPath}`);
-
-    // Create summary file
-    console.log("\n📋 Creating Summary Report");
-    console.log("==========================");
-    const summaryData = {
-      url: websiteUrl,
-      timestamp: new Date().toISOString(),
-      statistics: consoleResults.statistics,
-      pageInfo: completeData.pageInfo,
-      errorSummary: {
-        consoleErrors: consoleResults.statistics.errorCount,
-        networkErrors: networkErrors.length,
-        pageErrors: pageErrors.length,
-        totalIssues:
-          consoleResults.statistics.errorCount +
-          networkErrors.length +
-          pageErrors.length,
-      },
-    };
-
-    const summaryPath = path.join(datasetDir, "console-listener-summary.json");
-    const summaryStart = Date.now();
-    fs.writeFileSync(summaryPath, JSON.stringify(summaryData, null, 2));
-    console.log(
-      `✅ Summary report saved to: ${summaryPath} (${
-        Date.now() - summaryStart
-      }ms)`
-    );
-
-    // Create human-readable report
-    console.log("📄 Generating human-readable report...");
-    let readableReport = `# Console Messages Report\n\n`;
-    readableReport += `**Website:** ${websiteUrl}\n`;
-    readableReport += `**Collection Date:** ${new Date().toISOString()}\n`;
-    readableReport += `**Final URL:** ${currentUrl}\n`;
-    readableReport += `**Page Title:** ${pageTitle}\n\n`;
-
-    readableReport += `## Summary\n\n`;
-    readableReport += `- **Total Console Messages:** ${consoleResults.statistics.totalMessages}\n`;
-    readableReport += `- **Errors:** ${consoleResults.statistics.errorCount}\n`;
-    readableReport += `- **Warnings:** ${consoleResults.statistics.warningCount}\n`;
-    readableReport += `- **Info Messages:** ${consoleResults.statistics.infoCount}\n`;
-    readableReport += `- **Log Messages:** ${consoleResults.statistics.logCount}\n`;
-    readableReport += `- **Debug Messages:** ${consoleResults.statistics.debugCount}\n`;
-    readableReport += `- **Network Errors:** ${networkErrors.length}\n`;
-    readableReport += `- **Page Errors:** ${pageErrors.length}\n\n`;
-
-    if (consoleResults.statistics.errorCount > 0) {
-      readableReport += `## Console Errors\n\n`;
-      consoleResults.consoleData.errors.forEach((error, index) => {
-        readableReport += `### Error ${index + 1}\n\n`;
-        readableReport += `**Type:** ${error[0]}\n`;
-        readableReport += `**Message:** ${error[1]}\n\n`;
-        readableReport += `---\n\n`;
-      });
-    }
-
-    if (networkErrors.length > 0) {
-      readableReport += `## Network Errors\n\n`;
-      networkErrors.forEach((error, index) => {
-        readableReport += `### Network Error ${index + 1}\n\n`;
-        readableReport += `**URL:** ${error.url}\n`;
-        readableReport += `**Method:** ${error.method}\n`;
-        readableReport += `**Error:** ${error.errorText}\n`;
-        readableReport += `**Timestamp:** ${error.timestamp}\n\n`;
-        readableReport += `---\n\n`;
-      });
-    }
+    });
 
-    if (pageErrors.length > 0) {
-      readableReport += `## Page Errors\n\n`;
-      pageErrors.forEach((error, index) => {
-        readableReport += `### Page Error ${index + 1}\n\n`;
-        readableReport += `**Message:** ${error.message}\n`;
-        readableReport += `**Timestamp:** ${error.timestamp}\n\n`;
-        if (error.stack) {
-          readableReport += `**Stack Trace:**\n\`\`\`\n${error.stack}\n\`\`\`\n\n`;
-        }
-        readableReport += `---\n\n`;
-      });
-    }
+    console.log("\n✅ Console listener process completed successfully!");
 
-    const readableReportPath = path.join(
+    applyQualityGates(
+      "console",
+      summaryData.errorSummary,
       datasetDir,
-      "console-listener-report.md"
-    );
-    const readableReportStart = Date.now();
-    fs.writeFileSync(readableReportPath, readableReport);
-    console.log(
-      `✅ Human-readable report saved to: ${readableReportPath} (${
-        Date.now() - readableReportStart
-      }ms)`
+      gateBudgets
     );
-    console.log(`   Report length: ${readableReport.length} characters`);
-
-    console.log("\n✅ Console listener process completed successfully!");
 
     // Generate final summary statistics
     const totalTime = Date.now() - navigationStart;
@@ -547,26 +564,7 @@ async function runConsoleListener() {
     console.log("\n🧹 CLEANUP PHASE");
     console.log("=================");
 
-    if (page) {
-      console.log("📄 Closing page...");
-      const pageCloseStart = Date.now();
-      await page.close();
-      console.log(`✅ Page closed in ${Date.now() - pageCloseStart}ms`);
-    }
-
-    if (context) {
-      console.log("🌐 Closing browser context...");
-      const contextCloseStart = Date.now();
-      await context.close();
-      console.log(`✅ Context closed in ${Date.now() - contextCloseStart}ms`);
-    }
-
-    if (browser) {
-      console.log("🔧 Closing Chrome browser...");
-      const browserCloseStart = Date.now();
-      await browser.close();
-      console.log(`✅ Browser closed in ${Date.now() - browserCloseStart}ms`);
-    }
+    await browserManager.cleanup();
 
     console.log("\n📊 PROCESS SUMMARY");
     console.log("==================");
@@ -575,5 +573,18 @@ async function runConsoleListener() {
   }
 }
 
-// Run the console listener
-runConsoleListener().catch(console.error);
+// Run the console listener when executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const handled = await runForEachUrl({
+    scanner: "console",
+    scriptPath: __filename,
+    datasetDir: path.join(__dirname, "..", "dataset"),
+    summaryFile: "console-listener-summary.json",
+    metrics: ["errorSummary"],
+  });
+  if (!handled) {
+    runConsoleListener().catch(console.error);
+  }
+}
+
+export { ConsoleListener };
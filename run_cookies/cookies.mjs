@@ -1,8 +1,16 @@
-import { chromium } from "playwright";
 import fs from "fs";
 import path from "path";
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
+import {
+  CSPSafeBrowserManager,
+  browserOptionsFromEnv,
+} from "../shared/lib/browser-manager.mjs";
+import {
+  resolveOutputDir,
+  runForEachUrl,
+} from "../shared/lib/site-runner.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,6 +18,121 @@ const __dirname = path.dirname(__filename);
 // Load environment variables from .env file (for local development)
 dotenv.config({ path: path.join(__dirname, "..", ".env") });
 
+/**
+ * Log a breakdown of cookies by domain, lifetime and security flags.
+ */
+export function analyzeCookies(cookies) {
+  const cookiesByDomain = {};
+  const cookiesByType = {
+    session: 0,
+    persistent: 0,
+    secure: 0,
+    httpOnly: 0,
+    sameSite: { strict: 0, lax: 0, none: 0, unset: 0 },
+  };
+
+  if (cookies.length > 0) {
+    cookies.forEach((cookie) => {
+      // Group by domain
+      const domain = cookie.domain || "unknown";
+      if (!cookiesByDomain[domain]) {
+        cookiesByDomain[domain] = 0;
+      }
+      cookiesByDomain[domain]++;
+
+      // Analyze cookie properties
+      if (cookie.expires && cookie.expires > 0) {
+        cookiesByType.persistent++;
+      } else {
+        cookiesByType.session++;
+      }
+
+      if (cookie.secure) {
+        cookiesByType.secure++;
+      }
+
+      if (cookie.httpOnly) {
+        cookiesByType.httpOnly++;
+      }
+
+      const sameSite = cookie.sameSite || "unset";
+      if (cookiesByType.sameSite[sameSite.toLowerCase()]) {
+        cookiesByType.sameSite[sameSite.toLowerCase()]++;
+      } else {
+        cookiesByType.sameSite.unset++;
+      }
+    });
+
+    console.log("\n📊 Cookie Analysis:");
+    console.log(`   Session cookies: ${cookiesByType.session}`);
+    console.log(`   Persistent cookies: ${cookiesByType.persistent}`);
+    console.log(`   Secure cookies: ${cookiesByType.secure}`);
+    console.log(`   HttpOnly cookies: ${cookiesByType.httpOnly}`);
+    console.log(`   SameSite - Strict: ${cookiesByType.sameSite.strict}`);
+    console.log(`   SameSite - Lax: ${cookiesByType.sameSite.lax}`);
+    console.log(`   SameSite - None: ${cookiesByType.sameSite.none}`);
+    console.log(`   SameSite - Unset: ${cookiesByType.sameSite.unset}`);
+
+    console.log("\n🌐 Cookies by domain:");
+    Object.entries(cookiesByDomain).forEach(([domain, count]) => {
+      console.log(`   ${domain}: ${count} cookies`);
+    });
+
+    // Show sample cookie details (first 3)
+    console.log("\n🔍 Sample cookies (first 3):");
+    cookies.slice(0, 3).forEach((cookie, index) => {
+      console.log(`   Cookie ${index + 1}:`);
+      console.log(`     Name: ${cookie.name}`);
+      console.log(`     Domain: ${cookie.domain || "N/A"}`);
+      console.log(`     Path: ${cookie.path || "N/A"}`);
+      console.log(`     Secure: ${cookie.secure || false}`);
+      console.log(`     HttpOnly: ${cookie.httpOnly || false}`);
+      console.log(`     SameSite: ${cookie.sameSite || "unset"}`);
+      console.log(
+        `     Value length: ${cookie.value ? cookie.value.length : 0} chars`
+      );
+    });
+  }
+
+  return { cookiesByDomain, cookiesByType };
+}
+
+/**
+ * Write cookies.json with the extracted cookies and page error counts.
+ */
+export function saveCookieData({
+  cookies,
+  websiteUrl,
+  jsErrors,
+  failedRequests,
+  datasetDir,
+}) {
+  // Save cookies to JSON file
+  console.log("\n💾 Saving Cookie Data");
+  console.log("=====================");
+  const cookieJsonPath = path.join(datasetDir, "cookies.json");
+  console.log(`   Cookie file path: ${cookieJsonPath}`);
+
+  const saveStart = Date.now();
+  const cookieData = {
+    extractionTimestamp: new Date().toISOString(),
+    sourceUrl: websiteUrl,
+    totalCookies: cookies.length,
+    jsErrors: jsErrors.length,
+    failedRequests: failedRequests.length,
+    cookies: cookies,
+  };
+
+  writeJsonArtifact(cookieJsonPath, cookieData);
+
+  const cookieStats = fs.statSync(cookieJsonPath);
+  console.log(`✅ Cookie data saved in ${Date.now() - saveStart}ms`);
+  console.log(`   File size: ${(cookieStats.size / 1024).toFixed(2)} KB`);
+  console.log(`   Full path: ${cookieJsonPath}`);
+
+  return { cookieJsonPath, cookieData };
+}
+
 async function extractCookies() {
   // Get website URL from environment variable
   const websiteUrl = process.env.WEBSITE_URL;
@@ -38,7 +161,7 @@ async function extractCookies() {
     process.exit(1);
   }
 
-  let browser;
+  const browserManager = new CSPSafeBrowserManager(browserOptionsFromEnv());
   let context;
   let page;
 
@@ -46,30 +169,9 @@ async function extractCookies() {
     // Launch browser
     console.log("\n🔧 Browser Setup Phase");
     console.log("======================");
-    console.log("🚀 Launching Chrome browser...");
-    console.log(`   Headless mode: true`);
-    console.log(`   Browser args: default Chromium configuration`);
-
-    const launchStart = Date.now();
-    browser = await chromium.launch({
-      headless: true,
-      args: ["--disable-dev-shm-usage", "--no-sandbox"],
-    });
-    console.log(`✅ Browser launched in ${Date.now() - launchStart}ms`);
-
-    console.log("🌐 Creating browser context...");
-    const contextStart = Date.now();
-    context = await browser.newContext({
-      viewport: { width: 1920, height: 1080 },
-      userAgent:
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-    });
-    console.log(`✅ Context created in ${Date.now() - contextStart}ms`);
+    await browserManager.launchBrowser();
 
-    console.log("📄 Creating new page...");
-    const pageStart = Date.now();
-    page = await context.newPage();
-    console.log(`✅ Page created in ${Date.now() - pageStart}ms`);
+    ({ page, context } = await browserManager.createPage());
 
     // Set up error monitoring
     console.log("🔍 Setting up error monitoring...");
@@ -92,26 +194,10 @@ async function extractCookies() {
     // Navigate to the website from environment variable
     console.log("\n🌐 Navigation Phase");
     console.log("===================");
-    console.log(`🔄 Navigating to: ${websiteUrl}`);
-    console.log("⏳ Waiting for page to load (may take up to 60 seconds)...");
-
-    const navigationStart = Date.now();
-    try {
-      await page.goto(websiteUrl, {
-        waitUntil: "domcontentloaded",
-        timeout: 60000,
-      });
-      console.log(
-        `✅ Initial navigation completed in ${Date.now() - navigationStart}ms`
-      );
-    } catch (navigationError) {
-      console.error(`❌ Navigation failed: ${navigationError.message}`);
-      throw navigationError;
-    }
+    const { pageUrl: currentUrl, pageTitle } =
+      await browserManager.navigateToURL(page, websiteUrl);
 
     // Check page status
-    const currentUrl = page.url();
-    const pageTitle = await page.title();
     console.log(`   Final URL: ${currentUrl}`);
     console.log(`   Page title: "${pageTitle}"`);
     console.log(
@@ -120,17 +206,6 @@ async function extractCookies() {
       }`
     );
 
-    // Wait for the page to load completely
-    console.log("🌐 Waiting for network to settle...");
-    const networkStart = Date.now();
-    try {
-      await page.waitForLoadState("networkidle", { timeout: 30000 });
-      console.log(`✅ Network idle achieved in ${Date.now() - networkStart}ms`);
-    } catch (networkError) {
-      console.log(`⚠️  Network didn't settle within 30s, continuing anyway...`);
-      console.log(`   Network error: ${networkError.message}`);
-    }
-
     // Check page content
     console.log("\n📊 Page Analysis");
     console.log("================");
@@ -155,7 +230,7 @@ async function extractCookies() {
     // Create dataset directory if it doesn't exist
     console.log("\n📁 File System Setup");
     console.log("====================");
-    const datasetDir = path.join(__dirname, "..", "dataset");
+    const datasetDir = resolveOutputDir(path.join(__dirname, "..", "dataset"));
     console.log(`   Dataset directory: ${datasetDir}`);
 
     if (!fs.existsSync(datasetDir)) {
@@ -202,101 +277,15 @@ async function extractCookies() {
       console.log(`✅ Cookies extracted in ${Date.now() - cookieStart}ms`);
       console.log(`   Total cookies found: ${cookies.length}`);
 
-      // Analyze cookies
-      if (cookies.length > 0) {
-        const cookiesByDomain = {};
-        const cookiesByType = {
-          session: 0,
-          persistent: 0,
-          secure: 0,
-          httpOnly: 0,
-          sameSite: { strict: 0, lax: 0, none: 0, unset: 0 },
-        };
-
-        cookies.forEach((cookie) => {
-          // Group by domain
-          const domain = cookie.domain || "unknown";
-          if (!cookiesByDomain[domain]) {
-            cookiesByDomain[domain] = 0;
-          }
-          cookiesByDomain[domain]++;
-
-          // Analyze cookie properties
-          if (cookie.expires && cookie.expires > 0) {
-            cookiesByType.persistent++;
-          } else {
-            cookiesByType.session++;
-          }
-
-          if (cookie.secure) {
-            cookiesByType.secure++;
-          }
-
-          if (cookie.httpOnly) {
-            cookiesByType.httpOnly++;
-          }
-
-          const sameSite = cookie.sameSite || "unset";
-          if (cookiesByType.sameSite[sameSite.toLowerCase()]) {
-            cookiesByType.sameSite[sameSite.toLowerCase()]++;
-          } else {
-            cookiesByType.sameSite.unset++;
-          }
-        });
-
-        console.log("\n📊 Cookie Analysis:");
-        console.log(`   Session cookies: ${cookiesByType.session}`);
-        console.log(`   Persistent cookies: ${cookiesByType.persistent}`);
-        console.log(`   Secure cookies: ${cookiesByType.secure}`);
-        console.log(`   HttpOnly cookies: ${cookiesByType.httpOnly}`);
-        console.log(`   SameSite - Strict: ${cookiesByType.sameSite.strict}`);
-        console.log(`   SameSite - Lax: ${cookiesByType.sameSite.lax}`);
-        console.log(`   SameSite - None: ${cookiesByType.sameSite.none}`);
-        console.log(`   SameSite - Unset: ${cookiesByType.sameSite.unset}`);
-
-        console.log("\n🌐 Cookies by domain:");
-        Object.entries(cookiesByDomain).forEach(([domain, count]) => {
-          console.log(`   ${domain}: ${count} cookies`);
-        });
-
-        // Show sample cookie details (first 3)
-        console.log("\n🔍 Sample cookies (first 3):");
-        cookies.slice(0, 3).forEach((cookie, index) => {
-          console.log(`   Cookie ${index + 1}:`);
-          console.log(`     Name: ${cookie.name}`);
-          console.log(`     Domain: ${cookie.domain || "N/A"}`);
-          console.log(`     Path: ${cookie.path || "N/A"}`);
-          console.log(`     Secure: ${cookie.secure || false}`);
-          console.log(`     HttpOnly: ${cookie.httpOnly || false}`);
-          console.log(`     SameSite: ${cookie.sameSite || "unset"}`);
-          console.log(
-            `     Value length: ${cookie.value ? cookie.value.length : 0} chars`
-          );
-        });
-      }
+      analyzeCookies(cookies);
 
-      // Save cookies to JSON file
-      console.log("\n💾 Saving Cookie Data");
-      console.log("=====================");
-      const cookieJsonPath = path.join(datasetDir, "cookies.json");
-      console.log(`   Cookie file path: ${cookieJsonPath}`);
-
-      const saveStart = Date.now();
-      const cookieData = {
-        extractionTimestamp: new Date().toISOString(),
-        sourceUrl: websiteUrl,
-        totalCookies: cookies.length,
-        jsErrors: jsErrors.length,
-        failedRequests: failedRequests.length,
-        cookies: cookies,
-      };
-
-      fs.writeFileSync(cookieJsonPath, JSON.stringify(cookieData, null, 2));
-
-      const cookieStats = fs.statSync(cookieJsonPath);
-      console.log(`✅ Cookie data saved in ${Date.now() - saveStart}ms`);
-      console.log(`   File size: ${(cookieStats.size / 1024).toFixed(2)} KB`);
-      console.log(`   Full path: ${cookieJsonPath}`);
+      saveCookieData({
+        cookies,
+        websiteUrl,
+        jsErrors,
+        failedRequests,
+        datasetDir,
+      });
 
       console.log(
         `\n🎉 Successfully extracted ${cookies.length} cookies and saved to cookies.json`
@@ -329,26 +318,7 @@ async function extractCookies() {
     console.log("\n🧹 CLEANUP PHASE");
     console.log("=================");
 
-    if (page) {
-      console.log("📄 Closing page...");
-      const pageCloseStart = Date.now();
-      await page.close();
-      console.log(`✅ Page closed in ${Date.now() - pageCloseStart}ms`);
-    }
-
-    if (context) {
-      console.log("🌐 Closing browser context...");
-      const contextCloseStart = Date.now();
-      await context.close();
-      console.log(`✅ Context closed in ${Date.now() - contextCloseStart}ms`);
-    }
-
-    if (browser) {
-      console.log("🔧 Closing Chrome browser...");
-      const browserCloseStart = Date.now();
-      await browser.close();
-      console.log(`✅ Browser closed in ${Date.now() - browserCloseStart}ms`);
-    }
+    await browserManager.cleanup();
 
     const totalTime = Date.now() - Date.now();
     console.log("\n📊 PROCESS SUMMARY");
@@ -358,4 +328,15 @@ async function extractCookies() {
   }
 }
 
-extractCookies().catch(console.error);
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const handled = await runForEachUrl({
+    scanner: "cookies",
+    scriptPath: __filename,
+    datasetDir: path.join(__dirname, "..", "dataset"),
+    summaryFile: "cookies.json",
+    metrics: ["totalCookies", "jsErrors", "failedRequests"],
+  });
+  if (!handled) {
+    extractCookies().catch(console.error);
+  }
+}
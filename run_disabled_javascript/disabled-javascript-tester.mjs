@@ -1,8 +1,17 @@
-import { chromium } from "playwright";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import {
+  CSPSafeBrowserManager,
+  browserOptionsFromEnv,
+} from "../shared/lib/browser-manager.mjs";
+import {
+  resolveOutputDir,
+  runForEachUrl,
+} from "../shared/lib/site-runner.mjs";
+import { ssrJUnitSuites, writeJUnitReport } from "../shared/lib/junit.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,19 +21,19 @@ dotenv.config({ path: path.join(__dirname, "..", ".env") });
 
 class DisabledJavaScriptTester {
   constructor() {
-    this.browser = null;
+    this.browserManager = new CSPSafeBrowserManager(browserOptionsFromEnv());
     this.jsEnabledContext = null;
     this.jsDisabledContext = null;
     this.jsEnabledPage = null;
     this.jsDisabledPage = null;
     this.state = {
-      outputDir: path.join(__dirname, "..", "dataset"),
+      outputDir: resolveOutputDir(path.join(__dirname, "..", "dataset")),
       metadata: {
         testTime: null,
         pageUrl: null,
         pageTitle: null,
         userAgent: null,
-        viewportSize: { width: 1280, height: 720 },
+        viewportSize: null,
       },
       comparison: {
         jsEnabled: {},
@@ -850,35 +859,7 @@ class DisabledJavaScriptTester {
     console.log("=================");
 
     try {
-      if (this.jsEnabledPage) {
-        console.log("📄 Closing JS enabled page...");
-        await this.jsEnabledPage.close();
-        console.log("✅ JS enabled page closed");
-      }
-
-      if (this.jsDisabledPage) {
-        console.log("📄 Closing JS disabled page...");
-        await this.jsDisabledPage.close();
-        console.log("✅ JS disabled page closed");
-      }
-
-      if (this.jsEnabledContext) {
-        console.log("🌐 Closing JS enabled context...");
-        await this.jsEnabledContext.close();
-        console.log("✅ JS enabled context closed");
-      }
-
-      if (this.jsDisabledContext) {
-        console.log("🌐 Closing JS disabled context...");
-        await this.jsDisabledContext.close();
-        console.log("✅ JS disabled context closed");
-      }
-
-      if (this.browser) {
-        console.log("🔧 Closing browser...");
-        await this.browser.close();
-        console.log("✅ Browser closed");
-      }
+      await this.browserManager.cleanup();
 
       console.log("🏁 Cleanup completed");
     } catch (error) {
@@ -914,65 +895,42 @@ async function runDisabledJavaScriptTest() {
     // Launch browser
     console.log("\n🚀 BROWSER SETUP");
     console.log("=================");
-    console.log("🔧 Launching Chromium browser...");
-
-    const launchStart = Date.now();
-    tester.browser = await chromium.launch({
-      headless: true,
-      args: ["--disable-dev-shm-usage", "--no-sandbox"],
-    });
-    console.log(`✅ Browser launched in ${Date.now() - launchStart}ms`);
+    await tester.browserManager.launchBrowser();
 
     // Create two contexts: one with JS enabled, one with JS disabled
     console.log("🌐 Creating browser contexts...");
-    
+
     // JavaScript ENABLED context
-    tester.jsEnabledContext = await tester.browser.newContext({
-      viewport: tester.state.metadata.viewportSize,
-      userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-      javaScriptEnabled: true,
-      ignoreHTTPSErrors: true,
-      locale: "en-US",
-    });
+    ({ page: tester.jsEnabledPage, context: tester.jsEnabledContext } =
+      await tester.browserManager.createPage(undefined, {
+        javaScriptEnabled: true,
+        ignoreHTTPSErrors: true,
+      }));
 
     // JavaScript DISABLED context
-    tester.jsDisabledContext = await tester.browser.newContext({
-      viewport: tester.state.metadata.viewportSize,
-      userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-      javaScriptEnabled: false,
-      ignoreHTTPSErrors: true,
-      locale: "en-US",
-    });
-
-    // Create pages
-    tester.jsEnabledPage = await tester.jsEnabledContext.newPage();
-    tester.jsDisabledPage = await tester.jsDisabledContext.newPage();
+    ({ page: tester.jsDisabledPage, context: tester.jsDisabledContext } =
+      await tester.browserManager.createPage(undefined, {
+        javaScriptEnabled: false,
+        ignoreHTTPSErrors: true,
+      }));
 
     console.log("✅ Browser contexts and pages created");
 
     // Update metadata
     tester.state.metadata.testTime = new Date().toISOString();
     tester.state.metadata.pageUrl = websiteUrl;
+    tester.state.metadata.userAgent = tester.browserManager.options.userAgent;
+    tester.state.metadata.viewportSize = tester.jsEnabledPage.viewportSize();
 
     // Navigate both pages to the same URL
     console.log("\n🌐 NAVIGATION PHASE");
     console.log("===================");
     
     console.log("🟢 Navigating with JavaScript ENABLED...");
-    const jsEnabledNavStart = Date.now();
-    await tester.jsEnabledPage.goto(websiteUrl, {
-      waitUntil: "domcontentloaded",
-      timeout: 60000,
-    });
-    console.log(`✅ JS enabled navigation completed in ${Date.now() - jsEnabledNavStart}ms`);
+    await tester.browserManager.navigateToURL(tester.jsEnabledPage, websiteUrl);
     
     console.log("🔴 Navigating with JavaScript DISABLED...");
-    const jsDisabledNavStart = Date.now();
-    await tester.jsDisabledPage.goto(websiteUrl, {
-      waitUntil: "domcontentloaded", 
-      timeout: 60000,
-    });
-    console.log(`✅ JS disabled navigation completed in ${Date.now() - jsDisabledNavStart}ms`);
+    await tester.browserManager.navigateToURL(tester.jsDisabledPage, websiteUrl);
 
     // Update page title from one of the pages
     tester.state.metadata.pageTitle = await tester.jsEnabledPage.title();
@@ -1031,7 +989,7 @@ async function runDisabledJavaScriptTest() {
       tester.state.outputDir,
       "disabled-js-comparison-data.json"
     );
-    fs.writeFileSync(comparisonPath, JSON.stringify(tester.state.comparison, null, 2));
+    writeJsonArtifact(comparisonPath, tester.state.comparison);
     console.log(`✅ Comparison data saved: ${comparisonPath}`);
 
     // Save summary metadata
@@ -1039,7 +997,7 @@ async function runDisabledJavaScriptTest() {
       tester.state.outputDir,
       "disabled-js-summary.json"
     );
-    fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+    writeJsonArtifact(metadataPath, metadata);
     console.log(`✅ Summary metadata saved: ${metadataPath}`);
 
     // Create human-readable report
@@ -1105,6 +1063,12 @@ async function runDisabledJavaScriptTest() {
     fs.writeFileSync(reportPath, report);
     console.log(`✅ Report saved: ${reportPath}`);
 
+    writeJUnitReport(
+      "disabled-js",
+      ssrJUnitSuites(tester.state.comparison.differences, websiteUrl),
+      tester.state.outputDir
+    );
+
     // Final summary
     console.log("\n🎉 DISABLED JAVASCRIPT TEST COMPLETED!");
     console.log("======================================");
@@ -1143,4 +1107,15 @@ async function runDisabledJavaScriptTest() {
 }
 
 // Run the disabled JavaScript test
-runDisabledJavaScriptTest().catch(console.error);
\ No newline at end of file
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const handled = await runForEachUrl({
+    scanner: "disabled-js",
+    scriptPath: __filename,
+    datasetDir: path.join(__dirname, "..", "dataset"),
+    summaryFile: "disabled-js-summary.json",
+    metrics: ["results"],
+  });
+  if (!handled) {
+    runDisabledJavaScriptTest().catch(console.error);
+  }
+}
\ No newline at end of file
@@ -1,10 +1,22 @@
 #!/usr/bin/env node
 
-import { chromium } from "playwright";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import fs from "fs";
 import { config } from "dotenv";
+import {
+  CSPSafeBrowserManager,
+  browserOptionsFromEnv,
+} from "../shared/lib/browser-manager.mjs";
+import {
+  resolveOutputDir,
+  runForEachUrl,
+} from "../shared/lib/site-runner.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
+import {
+  CLICKABLE_CONFIGURATIONS,
+  byPriority,
+} from "../shared/lib/interaction-catalog.mjs";
 
 // Load environment variables
 config();
@@ -22,9 +34,8 @@ const __dirname = dirname(__filename);
  */
 class CSPSafeInteractivityExtractor {
   constructor() {
-    this.browser = null;
     this.page = null;
-    this.outputDir = join(__dirname, "../dataset");
+    this.outputDir = resolveOutputDir(join(__dirname, "../dataset"));
 
     // Configuration from environment
     this.websiteUrl = process.env.WEBSITE_URL;
@@ -34,6 +45,9 @@ class CSPSafeInteractivityExtractor {
     this.maxInteractionsPerType =
       parseInt(process.env.MAX_INTERACTIONS_PER_TYPE) || 20;
     this.enableScreenshots = process.env.ENABLE_SCREENSHOTS === "true";
+    this.browserManager = new CSPSafeBrowserManager(
+      browserOptionsFromEnv({ timeout: this.timeout, disableWebSecurity: true })
+    );
 
     // Statistics tracking
     this.stats = {
@@ -176,76 +190,7 @@ class CSPSafeInteractivityExtractor {
 
   // Clickable elements with risk assessment and priority
   get CLICKABLE_CONFIGURATIONS() {
-    return {
-      // Safe navigation elements (high priority)
-      "nav a:visible": {
-        name: "navigation-links",
-        riskLevel: "safe",
-        priority: "high",
-        description: "Main navigation menu links",
-      },
-      'button[role="tab"]:visible': {
-        name: "tab-buttons",
-        riskLevel: "safe",
-        priority: "high",
-        description: "Tab navigation buttons for switching content",
-      },
-      '[role="button"][aria-label*="menu" i]:visible': {
-        name: "menu-toggles",
-        riskLevel: "safe",
-        priority: "high",
-        description: "Menu toggle buttons",
-      },
-
-      // Interactive UI elements (medium priority)
-      'button[type="button"]:not([onclick]):visible': {
-        name: "ui-buttons",
-        riskLevel: "medium",
-        priority: "medium",
-        description: "General UI interaction buttons without onclick handlers",
-      },
-      'button[aria-label*="carousel" i]:visible, button[aria-label*="next" i]:visible, button[aria-label*="prev" i]:visible':
-        {
-          name: "carousel-controls",
-          riskLevel: "safe",
-          priority: "medium",
-          description: "Carousel navigation buttons (next/previous)",
-        },
-      '[role="button"]:not([type="submit"]):visible': {
-        name: "aria-buttons",
-        riskLevel: "medium",
-        priority: "medium",
-        description: "Elements with button role (excluding submit buttons)",
-      },
-      "button[aria-expanded]:visible": {
-        name: "expandable-buttons",
-        riskLevel: "safe",
-        priority: "medium",
-        description: "Dropdown or expandable content buttons",
-      },
-
-      // Content links (medium priority)
-      'a:not([href*="mailto:"]):not([href*="tel:"]):not([href^="#"]):visible': {
-        name: "content-links",
-        riskLevel: "medium",
-        priority: "medium",
-        description: "Content links (excluding email, tel, and anchor links)",
-      },
-
-      // Form elements (low priority - more risky)
-      'input[type="button"]:visible': {
-        name: "input-buttons",
-        riskLevel: "medium",
-        priority: "low",
-        description: "Form input buttons",
-      },
-      'button[type="submit"]:visible': {
-        name: "submit-buttons",
-        riskLevel: "high",
-        priority: "low",
-        description: "Form submit buttons - handled carefully",
-      },
-    };
+    return CLICKABLE_CONFIGURATIONS;
   }
 
   // Hoverable elements for interaction simulation
@@ -276,82 +221,22 @@ class CSPSafeInteractivityExtractor {
 
   async launchBrowser() {
     this.log("Launching Chromium browser with CSP-safe configuration...");
-    const startTime = Date.now();
-
-    this.browser = await chromium.launch({
-      headless: this.headless,
-      args: [
-        "--no-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-web-security", // Only for testing - remove in production
-        "--disable-features=VizDisplayCompositor",
-        "--disable-background-timer-throttling",
-        "--disable-backgrounding-occluded-windows",
-        "--disable-renderer-backgrounding",
-        "--no-first-run",
-        "--no-default-browser-check",
-        "--disable-blink-features=AutomationControlled",
-      ],
-    });
-
-    const launchTime = Date.now() - startTime;
-    this.log(`Browser launched successfully in ${launchTime}ms`, "success");
+    await this.browserManager.launchBrowser();
+    this.log("Browser launched successfully", "success");
   }
 
   async navigateToPage(url) {
     this.log(`Navigating to: ${url}`);
 
-    this.page = await this.browser.newPage();
-
-    // Set reasonable timeouts
-    this.page.setDefaultTimeout(this.timeout);
-    this.page.setDefaultNavigationTimeout(this.timeout);
+    ({ page: this.page } = await this.browserManager.createPage());
 
-    const startTime = Date.now();
-
-    try {
-      // Try networkidle first (best for complete content)
-      await this.page.goto(url, {
-        waitUntil: "networkidle",
-        timeout: 10000,
-      });
-
-      const navigationTime = Date.now() - startTime;
-      this.log(
-        `Navigation completed with networkidle in ${navigationTime}ms`,
-        "success"
-      );
-    } catch (error) {
-      if (
-        error.message.includes("Timeout") ||
-        error.message.includes("timeout")
-      ) {
-        this.log(
-          "Networkidle timeout, falling back to domcontentloaded...",
-          "warn"
-        );
-
-        await this.page.goto(url, {
-          waitUntil: "domcontentloaded",
-          timeout: 30000,
-        });
-
-        const navigationTime = Date.now() - startTime;
-        this.log(
-          `Navigation completed with domcontentloaded in ${navigationTime}ms`
-        );
-      } else {
-        throw error;
-      }
-    }
-
-    // Wait for additional dynamic content
-    await this.page.waitForTimeout(2000);
-
-    const pageTitle = await this.page.title();
+    const { pageTitle, pageUrl } = await this.browserManager.navigateToURL(
+      this.page,
+      url
+    );
     this.log(`Page loaded: "${pageTitle}"`);
 
-    return { pageTitle, pageUrl: this.page.url() };
+    return { pageTitle, pageUrl };
   }
 
   /**
@@ -567,12 +452,7 @@ class CSPSafeInteractivityExtractor {
     const clickResults = [];
 
     // Sort by priority (high -> medium -> low)
-    const sortedConfigs = Object.entries(this.CLICKABLE_CONFIGURATIONS).sort(
-      (a, b) => {
-        const priorities = { high: 3, medium: 2, low: 1 };
-        return priorities[b[1].priority] - priorities[a[1].priority];
-      }
-    );
+    const sortedConfigs = byPriority(this.CLICKABLE_CONFIGURATIONS);
 
     for (const [selector, config] of sortedConfigs) {
       try {
@@ -942,7 +822,7 @@ class CSPSafeInteractivityExtractor {
     };
 
     // Save main comprehensive report
-    fs.writeFileSync(files.main, JSON.stringify(report, null, 2));
+    writeJsonArtifact(files.main, report);
     this.log(`Main report saved: ${files.main}`, "success");
 
     // Save summary for GitHub Actions
@@ -952,10 +832,10 @@ class CSPSafeInteractivityExtractor {
       summary: report.summary,
       generatedFiles: Object.values(files).map((path) => path.split("/").pop()),
     };
-    fs.writeFileSync(files.summary, JSON.stringify(summary, null, 2));
+    writeJsonArtifact(files.summary, summary);
     this.log(`Summary saved: ${files.summary}`, "success");
 
-    // Save individual result files
+    // Save individual result files as plain lists
     fs.writeFileSync(
       files.inputs,
       JSON.stringify(report.results.inputFieldTests, null, 2)
@@ -980,10 +860,8 @@ class CSPSafeInteractivityExtractor {
 
   async cleanup() {
     this.log("Cleaning up browser resources...");
-    if (this.browser) {
-      await this.browser.close();
-      this.log("Browser closed successfully", "success");
-    }
+    await this.browserManager.cleanup();
+    this.log("Browser closed successfully", "success");
   }
 }
 
@@ -1112,5 +990,14 @@ async function runInteractivityExtraction() {
 export { CSPSafeInteractivityExtractor };
 
 if (import.meta.url === `file://${process.argv[1]}`) {
-  runInteractivityExtraction();
+  const handled = await runForEachUrl({
+    scanner: "interactivity",
+    scriptPath: __filename,
+    datasetDir: join(__dirname, "../dataset"),
+    summaryFile: "extract_interactivity-summary.json",
+    metrics: ["summary"],
+  });
+  if (!handled) {
+    runInteractivityExtraction();
+  }
 }
@@ -2,9 +2,17 @@ import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import fs from "fs";
 import { config } from "dotenv";
-import { CSPSafeBrowserManager } from "./lib/browser-manager.mjs";
+import {
+  CSPSafeBrowserManager,
+  browserOptionsFromEnv,
+} from "../shared/lib/browser-manager.mjs";
+import {
+  resolveOutputDir,
+  runForEachUrl,
+} from "../shared/lib/site-runner.mjs";
 import { CSPSafeElementDetector } from "./lib/element-detector.mjs";
 import { CSPSafeDOMTraverser } from "./lib/dom-traverser.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
 
 // Load environment variables
 config();
@@ -23,7 +31,9 @@ const __dirname = dirname(__filename);
 class CSPSafeHTMLTreeExtractor {
   constructor() {
     // Initialize modular components
-    this.browserManager = new CSPSafeBrowserManager();
+    this.browserManager = new CSPSafeBrowserManager(
+      browserOptionsFromEnv({ disableWebSecurity: true })
+    );
     this.elementDetector = new CSPSafeElementDetector();
     this.domTraverser = new CSPSafeDOMTraverser(this.elementDetector, {
       maxDepth: parseInt(process.env.MAX_DEPTH) || 15,
@@ -32,7 +42,7 @@ class CSPSafeHTMLTreeExtractor {
     });
 
     // Output configuration
-    this.outputDir = join(__dirname, "../dataset");
+    this.outputDir = resolveOutputDir(join(__dirname, "../dataset"));
 
     // Responsive viewport configurations
     this.viewports = {
@@ -995,55 +1005,34 @@ class CSPSafeHTMLTreeExtractor {
     };
 
     // Save main comprehensive report
-    fs.writeFileSync(files.main, JSON.stringify(report, null, 2));
+    writeJsonArtifact(files.main, report);
     this.log(`Main report saved: ${files.main}`, "success");
 
     // Save individual viewport trees
     if (report.phone) {
-      fs.writeFileSync(
-        files.phone,
-        JSON.stringify(
-          {
-            metadata: report.metadata,
-            viewport: "phone",
-            tree: report.phone,
-          },
-          null,
-          2
-        )
-      );
+      writeJsonArtifact(files.phone, {
+        metadata: report.metadata,
+        viewport: "phone",
+        tree: report.phone,
+      });
       this.log(`Phone viewport saved: ${files.phone}`, "success");
     }
 
     if (report.tablet) {
-      fs.writeFileSync(
-        files.tablet,
-        JSON.stringify(
-          {
-            metadata: report.metadata,
-            viewport: "tablet",
-            tree: report.tablet,
-          },
-          null,
-          2
-        )
-      );
+      writeJsonArtifact(files.tablet, {
+        metadata: report.metadata,
+        viewport: "tablet",
+        tree: report.tablet,
+      });
       this.log(`Tablet viewport saved: ${files.tablet}`, "success");
     }
 
     if (report.desktop) {
-      fs.writeFileSync(
-        files.desktop,
-        JSON.stringify(
-          {
-            metadata: report.metadata,
-            viewport: "desktop",
-            tree: report.desktop,
-          },
-          null,
-          2
-        )
-      );
+      writeJsonArtifact(files.desktop, {
+        metadata: report.metadata,
+        viewport: "desktop",
+        tree: report.desktop,
+      });
       this.log(`Desktop viewport saved: ${files.desktop}`, "success");
     }
 
@@ -1060,7 +1049,7 @@ class CSPSafeHTMLTreeExtractor {
       },
     };
 
-    fs.writeFileSync(files.summary, JSON.stringify(summary, null, 2));
+    writeJsonArtifact(files.summary, summary);
     this.log(`Summary saved: ${files.summary}`, "success");
 
     return files;
@@ -1179,5 +1168,14 @@ async function runHTMLTreeExtraction() {
 export { CSPSafeHTMLTreeExtractor };
 
 if (import.meta.url === `file://${process.argv[1]}`) {
-  runHTMLTreeExtraction();
+  const handled = await runForEachUrl({
+    scanner: "html-tree",
+    scriptPath: __filename,
+    datasetDir: join(__dirname, "../dataset"),
+    summaryFile: "html-tree-summary.json",
+    metrics: ["stats.summary"],
+  });
+  if (!handled) {
+    runHTMLTreeExtraction();
+  }
 }
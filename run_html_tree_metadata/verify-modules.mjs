@@ -11,7 +11,7 @@ async function verifyModules() {
   try {
     // Test browser manager
     console.log('📦 Testing Browser Manager...');
-    const { CSPSafeBrowserManager } = await import('./lib/browser-manager.mjs');
+    const { CSPSafeBrowserManager } = await import('../shared/lib/browser-manager.mjs');
     const browserManager = new CSPSafeBrowserManager();
     console.log('✅ Browser Manager loaded');
     console.log(`   Open pages: ${browserManager.getOpenPagesCount()}`);
@@ -1,9 +1,30 @@
-import lighthouse from "lighthouse";
+import lighthouse, { startFlow } from "lighthouse";
+import {
+  computeMedianRun,
+  filterToValidRuns,
+} from "lighthouse/core/lib/median-run.js";
+import { saveDevtoolsLog, saveTrace } from "lighthouse/core/lib/asset-saver.js";
+import { throttling as lighthouseThrottling } from "lighthouse/core/config/constants.js";
 import * as chromeLauncher from "chrome-launcher";
+import puppeteer from "puppeteer-core";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import {
+  resolveOutputDir,
+  runForEachUrl,
+} from "../shared/lib/site-runner.mjs";
+import {
+  applyQualityGates,
+  qualityGatesFromEnv,
+} from "../shared/lib/quality-gates.mjs";
+import {
+  lighthouseBudgetJUnitSuites,
+  lighthouseJUnitSuites,
+  writeJUnitReport,
+} from "../shared/lib/junit.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,27 +32,1405 @@ const __dirname = path.dirname(__filename);
 // Load environment variables from .env file (for local development)
 dotenv.config({ path: path.join(__dirname, "..", ".env") });
 
+// Key metrics reported in the summary, keyed by their Lighthouse audit id
+const KEY_METRICS = {
+  firstContentfulPaint: "first-contentful-paint",
+  largestContentfulPaint: "largest-contentful-paint",
+  cumulativeLayoutShift: "cumulative-layout-shift",
+  totalBlockingTime: "total-blocking-time",
+  speedIndex: "speed-index",
+};
+
+// Lighthouse categories to audit
+const CATEGORIES = [
+  "performance",
+  "accessibility",
+  "best-practices",
+  "seo",
+  "pwa",
+];
+
+// Summary names of the scored categories, keyed by Lighthouse category id
+const CATEGORY_NAMES = {
+  performance: "performance",
+  accessibility: "accessibility",
+  "best-practices": "bestPractices",
+  seo: "seo",
+};
+
+// Audits scoring at least this pass, as in the Lighthouse report
+const PASS_THRESHOLD = 0.9;
+
+// Rows kept from an audit's details table in the summary
+const MAX_DETAIL_ITEMS = 10;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Median, min, max and (population) standard deviation of a list of
+ * numbers. Returns null when there is nothing to summarise.
+ */
+export function describeValues(values) {
+  const numbers = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (numbers.length === 0) return null;
+  const middle = Math.floor(numbers.length / 2);
+  const median =
+    numbers.length % 2 === 1
+      ? numbers[middle]
+      : (numbers[middle - 1] + numbers[middle]) / 2;
+  const mean = numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+  const variance =
+    numbers.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+    numbers.length;
+  return {
+    median: round(median),
+    min: round(numbers[0]),
+    max: round(numbers[numbers.length - 1]),
+    stddev: round(Math.sqrt(variance)),
+  };
+}
+
+/**
+ * Pick the run to report from repeated audits. Lighthouse's own median-run
+ * helper chooses the run closest to the median FCP and TTI; runs missing
+ * either metric are left out, and if none has both the first run is used.
+ */
+export function selectMedianRun(lhrs) {
+  const validRuns = filterToValidRuns(lhrs);
+  const medianLhr =
+    validRuns.length > 0 ? computeMedianRun(validRuns) : lhrs[0];
+  return lhrs.indexOf(medianLhr);
+}
+
+/**
+ * Spread of the key metrics and the performance score across every run.
+ * Metric values are the audits' numericValue (milliseconds, unitless for
+ * CLS); `medianRun` is the 1-based run the rest of the summary came from.
+ */
+export function summarizeRuns(lhrs, medianIndex) {
+  const metrics = Object.fromEntries(
+    Object.entries(KEY_METRICS).map(([name, auditId]) => {
+      const values = lhrs.map((lhr) => lhr.audits[auditId]?.numericValue);
+      return [
+        name,
+        {
+          unit: auditId === "cumulative-layout-shift" ? "unitless" : "ms",
+          ...describeValues(values),
+          values: values.map((value) =>
+            Number.isFinite(value) ? round(value) : null
+          ),
+        },
+      ];
+    })
+  );
+  const performance = lhrs.map((lhr) =>
+    typeof lhr.categories.performance?.score === "number"
+      ? Math.round(lhr.categories.performance.score * 100)
+      : null
+  );
+
+  return {
+    count: lhrs.length,
+    medianRun: medianIndex + 1,
+    performance: { ...describeValues(performance), values: performance },
+    metrics,
+  };
+}
+
+// A details-table cell as plain text or a number
+function detailValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== "object") return value;
+  switch (value.type) {
+    case "node":
+      return value.snippet || value.selector || value.nodeLabel || null;
+    case "source-location":
+      return `${value.url}:${value.line}:${value.column}`;
+    case "link":
+      return value.url;
+    default:
+      return typeof value.value === "object" ? null : value.value ?? null;
+  }
+}
+
+// Headings and the first rows of an audit's table or opportunity details
+function detailsTable(details) {
+  if (!Array.isArray(details?.headings) || !Array.isArray(details.items)) {
+    return null;
+  }
+  const headings = details.headings
+    .filter((heading) => heading.key)
+    .map((heading) => ({
+      key: heading.key,
+      label: typeof heading.label === "string" ? heading.label : heading.key,
+    }));
+  return {
+    headings,
+    items: details.items
+      .slice(0, MAX_DETAIL_ITEMS)
+      .map((item) =>
+        Object.fromEntries(
+          headings.map(({ key }) => [key, detailValue(item[key])])
+        )
+      ),
+    totalItems: details.items.length,
+  };
+}
+
+// Whether the Lighthouse report would list the audit as something to fix
+function needsAttention(audit) {
+  if (["notApplicable", "manual", "error"].includes(audit.scoreDisplayMode)) {
+    return false;
+  }
+  if (audit.score === null) {
+    return Boolean(audit.displayValue || audit.details?.items?.length);
+  }
+  return audit.score < PASS_THRESHOLD;
+}
+
+// Milliseconds an audit could save across the timing metrics (CLS savings
+// are a layout-shift score, not time, and are left out)
+function metricSavingsMs(metricSavings = {}) {
+  return Object.entries(metricSavings)
+    .filter(([metric]) => metric !== "CLS")
+    .reduce((total, [, value]) => total + (value || 0), 0);
+}
+
+function scorePercent(score) {
+  return typeof score === "number" ? Math.round(score * 100) : null;
+}
+
+// The performance audits shown in the report, skipping metrics and
+// audits Lighthouse keeps hidden
+function performanceAudits(lhr) {
+  return (lhr.categories.performance?.auditRefs || [])
+    .filter((ref) => ref.group !== "metrics" && ref.group !== "hidden")
+    .map((ref) => lhr.audits[ref.id])
+    .filter((audit) => audit && needsAttention(audit));
+}
+
+/**
+ * Performance opportunities that did not pass, with their estimated
+ * savings, biggest time saving first (then biggest byte saving).
+ */
+export function extractOpportunities(lhr) {
+  return performanceAudits(lhr)
+    .filter((audit) => audit.details?.type === "opportunity")
+    .map((audit) => ({
+      id: audit.id,
+      title: audit.title,
+      score: scorePercent(audit.score),
+      displayValue: audit.displayValue || null,
+      savingsMs: Math.round(audit.details.overallSavingsMs || 0),
+      savingsBytes: Math.round(audit.details.overallSavingsBytes || 0),
+      metricSavings: audit.metricSavings || {},
+      details: detailsTable(audit.details),
+    }))
+    .sort(
+      (a, b) => b.savingsMs - a.savingsMs || b.savingsBytes - a.savingsBytes
+    );
+}
+
+/**
+ * Performance diagnostics worth a look, with their details tables. Ranked
+ * by the metric time they could save, then by score (lowest first).
+ */
+export function extractDiagnostics(lhr) {
+  return performanceAudits(lhr)
+    .filter((audit) => audit.details?.type !== "opportunity")
+    .map((audit) => ({
+      id: audit.id,
+      title: audit.title,
+      score: scorePercent(audit.score),
+      displayValue: audit.displayValue || null,
+      metricSavings: audit.metricSavings || {},
+      details: detailsTable(audit.details),
+    }))
+    .sort(
+      (a, b) =>
+        metricSavingsMs(b.metricSavings) - metricSavingsMs(a.metricSavings) ||
+        (a.score ?? 100) - (b.score ?? 100)
+    );
+}
+
+/**
+ * Scored audits below the pass threshold in each category, heaviest
+ * weight in the category score first, then lowest score.
+ */
+export function extractFailingAudits(lhr) {
+  return Object.fromEntries(
+    Object.entries(CATEGORY_NAMES)
+      .filter(([id]) => lhr.categories[id])
+      .map(([id, name]) => [
+        name,
+        lhr.categories[id].auditRefs
+          .filter((ref) => ref.group !== "hidden")
+          .map((ref) => ({ ref, audit: lhr.audits[ref.id] }))
+          .filter(
+            ({ audit }) =>
+              audit &&
+              typeof audit.score === "number" &&
+              audit.score < PASS_THRESHOLD &&
+              ["binary", "numeric", "metricSavings"].includes(
+                audit.scoreDisplayMode
+              )
+          )
+          .map(({ ref, audit }) => ({
+            id: audit.id,
+            title: audit.title,
+            score: scorePercent(audit.score),
+            weight: ref.weight,
+            displayValue: audit.displayValue || null,
+          }))
+          .sort((a, b) => b.weight - a.weight || a.score - b.score),
+      ])
+  );
+}
+
+// Timing metrics a budget file can limit (milliseconds, unitless for CLS)
+const TIMING_BUDGET_METRICS = [
+  "first-contentful-paint",
+  "largest-contentful-paint",
+  "interactive",
+  "max-potential-fid",
+  "total-blocking-time",
+  "speed-index",
+  "cumulative-layout-shift",
+];
+
+// Resource types of Lighthouse's resource summary
+const BUDGET_RESOURCE_TYPES = [
+  "total",
+  "document",
+  "script",
+  "stylesheet",
+  "image",
+  "media",
+  "font",
+  "other",
+  "third-party",
+];
+
+/**
+ * Read and check a performance budget file in Lighthouse's budget.json
+ * format, a list of budgets:
+ *   [{
+ *     "path": "/checkout/*",
+ *     "timings": [{ "metric": "largest-contentful-paint", "budget": 2500 }],
+ *     "resourceSizes": [{ "resourceType": "script", "budget": 300 }],
+ *     "resourceCounts": [{ "resourceType": "third-party", "budget": 10 }]
+ *   }]
+ * Timings are in milliseconds (CLS unitless), sizes in KB of transfer
+ * size. `path` picks the pages a budget is for, see matchBudget.
+ */
+export function loadBudgetFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Budget file not found: ${filePath}`);
+  }
+  const budgets = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(budgets)) {
+    throw new Error(`Budget file ${filePath} must contain a list of budgets`);
+  }
+
+  const check = (lines, field, allowed, where) => {
+    (lines || []).forEach((line) => {
+      if (!allowed.includes(line[field])) {
+        throw new Error(
+          `${where}: unknown ${field} "${
+            line[field]
+          }". Valid options: ${allowed.join(", ")}`
+        );
+      }
+      if (typeof line.budget !== "number" || line.budget < 0) {
+        throw new Error(
+          `${where}: ${line[field]} needs a "budget" of 0 or more`
+        );
+      }
+    });
+  };
+  budgets.forEach((budget, index) => {
+    const where = `Budget ${index + 1}`;
+    check(budget.timings, "metric", TIMING_BUDGET_METRICS, where);
+    check(budget.resourceSizes, "resourceType", BUDGET_RESOURCE_TYPES, where);
+    check(budget.resourceCounts, "resourceType", BUDGET_RESOURCE_TYPES, where);
+  });
+  return budgets;
+}
+
+/**
+ * The budget that applies to a page: the last one whose `path` matches the
+ * URL's path and query. `*` matches anything and a trailing `$` anchors
+ * the end; a budget without a path matches every page.
+ */
+export function matchBudget(budgets, pageUrl) {
+  const { pathname, search } = new URL(pageUrl);
+  const matches = (pattern) => {
+    const anchored = pattern.endsWith("$");
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    return new RegExp(`^${body}${anchored ? "$" : ""}`).test(pathname + search);
+  };
+  return budgets.filter((budget) => !budget.path || matches(budget.path)).pop();
+}
+
+/**
+ * Check an audit against a budget: one line per timing, resource size and
+ * resource count, with the measured value and how far over budget it is.
+ * Lines whose value Lighthouse did not measure fail.
+ */
+export function evaluateBudget(budget, lhr) {
+  const resources = Object.fromEntries(
+    (lhr.audits["resource-summary"]?.details?.items || []).map((item) => [
+      item.resourceType,
+      item,
+    ])
+  );
+  const line = (type, name, limit, actual, unit) => {
+    const measured = typeof actual === "number";
+    return {
+      type,
+      name,
+      unit,
+      budget: limit,
+      actual: measured ? round(actual) : null,
+      overBudget: measured ? round(Math.max(0, actual - limit)) : null,
+      passed: measured && actual <= limit,
+    };
+  };
+
+  const lines = [
+    ...(budget.timings || []).map(({ metric, budget: limit }) =>
+      line(
+        "timing",
+        metric,
+        limit,
+        lhr.audits[metric]?.numericValue,
+        metric === "cumulative-layout-shift" ? "unitless" : "ms"
+      )
+    ),
+    ...(budget.resourceSizes || []).map(({ resourceType, budget: limit }) => {
+      const size = resources[resourceType]?.transferSize;
+      return line(
+        "resourceSize",
+        resourceType,
+        limit,
+        typeof size === "number" ? size / 1024 : undefined,
+        "KB"
+      );
+    }),
+    ...(budget.resourceCounts || []).map(({ resourceType, budget: limit }) =>
+      line(
+        "resourceCount",
+        resourceType,
+        limit,
+        resources[resourceType]?.requestCount,
+        "requests"
+      )
+    ),
+  ];
+
+  return {
+    path: budget.path || null,
+    passed: lines.every((budgetLine) => budgetLine.passed),
+    lines,
+  };
+}
+
+/**
+ * How many times to audit the page: --runs=<n> or LIGHTHOUSE_RUNS
+ * (default 1). Repeated runs smooth out the run-to-run noise in
+ * performance scores; the median run is the one reported and gated.
+ */
+function runCountFromArgs(argv = process.argv, env = process.env) {
+  const runsArg = argv.find((arg) => arg.startsWith("--runs="));
+  const value = runsArg ? runsArg.split("=")[1] : env.LIGHTHOUSE_RUNS;
+  if (value === undefined || value === "") return 1;
+  const runs = Number(value);
+  if (!Number.isInteger(runs) || runs < 1) {
+    throw new Error(
+      `Invalid run count: ${value}. Use a whole number of 1 or more`
+    );
+  }
+  return runs;
+}
+
+// Built-in device profiles, selectable with --device / DEVICE
+const DEVICE_CONFIGS = {
+  desktop: {
+    formFactor: "desktop",
+    screenEmulation: { disabled: true },
+  },
+  tablet: {
+    formFactor: "mobile",
+    screenEmulation: {
+      mobile: true,
+      width: 768,
+      height: 1024,
+      deviceScaleFactor: 2,
+      disabled: false,
+    },
+  },
+  mobile: {
+    formFactor: "mobile",
+    screenEmulation: {
+      mobile: true,
+      width: 375,
+      height: 667,
+      deviceScaleFactor: 2,
+      disabled: false,
+    },
+  },
+};
+
+// Network and CPU throttling with the devtools equivalents Lighthouse
+// derives from a simulated round-trip time and throughput
+function networkThrottling(rttMs, throughputKbps, cpuSlowdownMultiplier) {
+  const {
+    DEVTOOLS_RTT_ADJUSTMENT_FACTOR,
+    DEVTOOLS_THROUGHPUT_ADJUSTMENT_FACTOR,
+  } = lighthouseThrottling;
+  return {
+    rttMs,
+    throughputKbps,
+    requestLatencyMs: rttMs * DEVTOOLS_RTT_ADJUSTMENT_FACTOR,
+    downloadThroughputKbps:
+      throughputKbps * DEVTOOLS_THROUGHPUT_ADJUSTMENT_FACTOR,
+    uploadThroughputKbps:
+      throughputKbps * DEVTOOLS_THROUGHPUT_ADJUSTMENT_FACTOR,
+    cpuSlowdownMultiplier,
+  };
+}
+
+/**
+ * Named throttling profiles for --throttling / LIGHTHOUSE_THROTTLING.
+ * "4g" is Lighthouse's default (its slow 4G mobile preset) and "cable" its
+ * desktop preset; "none" measures the machine's own network and CPU.
+ */
+export const THROTTLING_PROFILES = {
+  "slow-3g": {
+    throttlingMethod: "simulate",
+    throttling: networkThrottling(400, 400, 4),
+  },
+  "3g": {
+    throttlingMethod: "simulate",
+    throttling: lighthouseThrottling.mobileRegular3G,
+  },
+  "4g": {
+    throttlingMethod: "simulate",
+    throttling: lighthouseThrottling.mobileSlow4G,
+  },
+  cable: {
+    throttlingMethod: "simulate",
+    throttling: lighthouseThrottling.desktopDense4G,
+  },
+  none: {
+    throttlingMethod: "provided",
+    throttling: networkThrottling(0, 0, 1),
+  },
+};
+
+/**
+ * Lighthouse throttling settings for a profile name. "custom" builds them
+ * from LIGHTHOUSE_RTT_MS and LIGHTHOUSE_THROUGHPUT_KBPS (both required)
+ * and LIGHTHOUSE_CPU_MULTIPLIER (default 1).
+ */
+export function throttlingSettings(name, env = process.env) {
+  if (name === "custom") {
+    const values = [
+      ["LIGHTHOUSE_RTT_MS", env.LIGHTHOUSE_RTT_MS],
+      ["LIGHTHOUSE_THROUGHPUT_KBPS", env.LIGHTHOUSE_THROUGHPUT_KBPS],
+      ["LIGHTHOUSE_CPU_MULTIPLIER", env.LIGHTHOUSE_CPU_MULTIPLIER || "1"],
+    ].map(([variable, value]) => {
+      const number = Number(value);
+      if (value === undefined || value === "" || !(number >= 0)) {
+        throw new Error(
+          `Custom throttling needs ${variable} set to a number of 0 or more`
+        );
+      }
+      return number;
+    });
+    return {
+      throttlingMethod: "simulate",
+      throttling: networkThrottling(...values),
+    };
+  }
+  if (!THROTTLING_PROFILES[name]) {
+    throw new Error(
+      `Unknown throttling profile: ${name}. Valid options: ${[
+        ...Object.keys(THROTTLING_PROFILES),
+        "custom",
+      ].join(", ")}`
+    );
+  }
+  return THROTTLING_PROFILES[name];
+}
+
+/**
+ * The throttling an audit actually ran with, from the report's settings,
+ * and the profile it matches ("custom" when it matches none).
+ */
+export function describeThrottling(configSettings) {
+  const { throttlingMethod: method, throttling } = configSettings;
+  const matches = (profile) =>
+    profile.throttlingMethod === method &&
+    (method === "provided" ||
+      ["rttMs", "throughputKbps", "cpuSlowdownMultiplier"].every(
+        (field) => profile.throttling[field] === throttling[field]
+      ));
+  return {
+    profile:
+      Object.keys(THROTTLING_PROFILES).find((name) =>
+        matches(THROTTLING_PROFILES[name])
+      ) || "custom",
+    method,
+    rttMs: throttling.rttMs,
+    throughputKbps: throttling.throughputKbps,
+    cpuSlowdownMultiplier: throttling.cpuSlowdownMultiplier,
+  };
+}
+
+function formatThrottling({
+  profile,
+  method,
+  rttMs,
+  throughputKbps,
+  cpuSlowdownMultiplier,
+}) {
+  if (method === "provided") return `${profile} (no throttling)`;
+  return `${profile} (${rttMs} ms RTT, ${throughputKbps} Kbps, ${cpuSlowdownMultiplier}x CPU slowdown)`;
+}
+
+// Score categories compared across devices, as named in the summary
+const SCORE_CATEGORIES = [
+  "performance",
+  "accessibility",
+  "bestPractices",
+  "seo",
+];
+
+/**
+ * Turn a custom device definition into Lighthouse settings:
+ *   { "width": 412, "height": 915, "deviceScaleFactor": 2.625,
+ *     "mobile": true, "throttling": "3g" }
+ * `mobile` defaults to true, `deviceScaleFactor` to 1. The optional
+ * `throttling` is a profile name or Lighthouse throttling settings
+ * ({ "rttMs": 150, ... }).
+ */
+function customDeviceConfig(name, definition) {
+  const { width, height, deviceScaleFactor = 1, mobile = true } = definition;
+  [
+    ["width", width],
+    ["height", height],
+    ["deviceScaleFactor", deviceScaleFactor],
+  ].forEach(([field, value]) => {
+    if (typeof value !== "number" || value <= 0) {
+      throw new Error(
+        `Custom device "${name}" needs a positive number for ${field}`
+      );
+    }
+  });
+  return {
+    formFactor: mobile ? "mobile" : "desktop",
+    screenEmulation: {
+      mobile,
+      width,
+      height,
+      deviceScaleFactor,
+      disabled: false,
+    },
+    ...(typeof definition.throttling === "string"
+      ? throttlingSettings(definition.throttling)
+      : definition.throttling
+      ? { throttling: definition.throttling }
+      : {}),
+  };
+}
+
+/**
+ * Built-in device profiles plus custom ones from LIGHTHOUSE_DEVICES_FILE
+ * (a JSON file) and LIGHTHOUSE_DEVICES (inline JSON, which wins). Both
+ * map a device name to a definition, see customDeviceConfig. A custom
+ * device may reuse a built-in name to replace it.
+ */
+export function loadDeviceConfigs(env = process.env) {
+  const definitions = {};
+  if (env.LIGHTHOUSE_DEVICES_FILE) {
+    if (!fs.existsSync(env.LIGHTHOUSE_DEVICES_FILE)) {
+      throw new Error(`Devices file not found: ${env.LIGHTHOUSE_DEVICES_FILE}`);
+    }
+    Object.assign(
+      definitions,
+      JSON.parse(fs.readFileSync(env.LIGHTHOUSE_DEVICES_FILE, "utf8"))
+    );
+  }
+  if (env.LIGHTHOUSE_DEVICES) {
+    Object.assign(definitions, JSON.parse(env.LIGHTHOUSE_DEVICES));
+  }
+
+  const custom = Object.fromEntries(
+    Object.entries(definitions).map(([name, definition]) => [
+      name,
+      customDeviceConfig(name, definition),
+    ])
+  );
+  return { ...DEVICE_CONFIGS, ...custom };
+}
+
+/**
+ * The devices to audit for a --device / DEVICE value: one name, a
+ * comma-separated list, or "all" for every known device.
+ */
+export function resolveDevices(value, deviceConfigs) {
+  const known = Object.keys(deviceConfigs);
+  if (value === "all") return known;
+  const devices = [
+    ...new Set(
+      value
+        .split(",")
+        .map((device) => device.trim())
+        .filter(Boolean)
+    ),
+  ];
+  const invalid = devices.filter((device) => !deviceConfigs[device]);
+  if (devices.length === 0 || invalid.length > 0) {
+    throw new Error(
+      `Invalid device type: ${invalid.join(", ") || value}. Valid options: ${[
+        ...known,
+        "all",
+      ].join(", ")}`
+    );
+  }
+  return devices;
+}
+
+// Lowest score of each category across several sets of scores, so a
+// budget has to hold for every device or flow step
+function lowestScores(scoreSets) {
+  return Object.fromEntries(
+    SCORE_CATEGORIES.map((category) => {
+      const values = scoreSets
+        .map((scores) => scores[category])
+        .filter((value) => typeof value === "number");
+      return [category, values.length > 0 ? Math.min(...values) : null];
+    })
+  );
+}
+
+/**
+ * Side-by-side view of several device summaries: each device's scores,
+ * metrics and emulated screen, the best and worst device for every score
+ * category and the lowest score of each category across devices.
+ */
+export function buildDeviceComparison(summaries, deviceConfigs) {
+  const categories = Object.fromEntries(
+    SCORE_CATEGORIES.map((category) => {
+      const scored = summaries
+        .filter((summary) => typeof summary.scores[category] === "number")
+        .sort((a, b) => b.scores[category] - a.scores[category]);
+      if (scored.length === 0) return [category, null];
+      const best = scored[0];
+      const worst = scored[scored.length - 1];
+      return [
+        category,
+        {
+          best: best.device,
+          worst: worst.device,
+          difference: best.scores[category] - worst.scores[category],
+        },
+      ];
+    })
+  );
+
+  return {
+    url: summaries[0].url,
+    timestamp: new Date().toISOString(),
+    devices: summaries.map((summary) => {
+      const { screenEmulation } = deviceConfigs[summary.device];
+      return {
+        device: summary.device,
+        custom:
+          DEVICE_CONFIGS[summary.device] !== deviceConfigs[summary.device],
+        screen: screenEmulation.disabled
+          ? null
+          : {
+              width: screenEmulation.width,
+              height: screenEmulation.height,
+              deviceScaleFactor: screenEmulation.deviceScaleFactor,
+              mobile: screenEmulation.mobile,
+            },
+        throttling: summary.throttling,
+        scores: summary.scores,
+        metrics: summary.metrics,
+      };
+    }),
+    categories,
+    lowestScores: lowestScores(summaries.map((summary) => summary.scores)),
+  };
+}
+
+/**
+ * The lowest step scores of a user flow run on several devices, per device
+ * and across all of them.
+ */
+export function buildFlowComparison(flowSummaries) {
+  return {
+    url: flowSummaries[0].url,
+    name: flowSummaries[0].name,
+    timestamp: new Date().toISOString(),
+    devices: flowSummaries.map((summary) => ({
+      device: summary.device,
+      lowestScores: summary.lowestScores,
+    })),
+    lowestScores: lowestScores(
+      flowSummaries.map((summary) => summary.lowestScores)
+    ),
+  };
+}
+
+/**
+ * Audit the page with one device profile: save its report, screenshots,
+ * summary and JUnit results, print the scores and return the summary.
+ * `throttling`, when set, replaces the device's own throttling; `budgets`
+ * are checked against the reported run. `htmlReport` adds the HTML report
+ * next to the JSON one and `trace` saves the reported run's performance
+ * trace and DevTools protocol log, which load in the Performance panel or
+ * a trace viewer.
+ */
+async function auditDevice({
+  port,
+  websiteUrl,
+  device,
+  deviceConfig,
+  throttling,
+  budgets,
+  runCount,
+  htmlReport,
+  trace,
+  datasetDir,
+}) {
+  console.log(`\n📱 Auditing device: ${device}`);
+
+  // Lighthouse configuration for full audit
+  const options = {
+    logLevel: "info",
+    output: htmlReport ? ["json", "html"] : "json",
+    onlyCategories: CATEGORIES,
+    port,
+    ...deviceConfig,
+    ...throttling,
+  };
+
+  // Run Lighthouse audit, repeatedly when more than one run is requested
+  const runnerResults = [];
+  for (let run = 1; run <= runCount; run++) {
+    console.log(
+      runCount > 1
+        ? `📊 Running Lighthouse audit ${run}/${runCount}...`
+        : "📊 Running comprehensive Lighthouse audit..."
+    );
+    const result = await lighthouse(websiteUrl, options);
+
+    if (!result) {
+      throw new Error("Lighthouse audit failed - no results returned");
+    }
+    runnerResults.push(result);
+  }
+
+  const medianIndex = selectMedianRun(
+    runnerResults.map((result) => result.lhr)
+  );
+  const runnerResult = runnerResults[medianIndex];
+
+  // Extract key metrics
+  const lhr = runnerResult.lhr;
+
+  // Save full report as JSON with device suffix; with more than one output
+  // format Lighthouse returns the reports in the order requested
+  const [jsonReport, htmlReportContent] = [].concat(runnerResult.report);
+  const reportPath = path.join(datasetDir, `lighthouse-report-${device}.json`);
+  fs.writeFileSync(reportPath, jsonReport);
+  console.log(`💾 Full report saved to: ${reportPath}`);
+
+  if (htmlReportContent) {
+    const htmlReportPath = path.join(
+      datasetDir,
+      `lighthouse-report-${device}.html`
+    );
+    fs.writeFileSync(htmlReportPath, htmlReportContent);
+    console.log(`📄 HTML report saved to: ${htmlReportPath}`);
+  }
+
+  if (trace) {
+    const tracePath = path.join(datasetDir, `lighthouse-trace-${device}.json`);
+    await saveTrace(runnerResult.artifacts.Trace, tracePath);
+    console.log(`🧵 Performance trace saved to: ${tracePath}`);
+
+    const devtoolsLogPath = path.join(
+      datasetDir,
+      `lighthouse-devtoolslog-${device}.json`
+    );
+    await saveDevtoolsLog(runnerResult.artifacts.DevtoolsLog, devtoolsLogPath);
+    console.log(`🧵 DevTools log saved to: ${devtoolsLogPath}`);
+  }
+
+  // Save screenshots if available
+  if (
+    lhr.audits["screenshot-thumbnails"] &&
+    lhr.audits["screenshot-thumbnails"].details &&
+    lhr.audits["screenshot-thumbnails"].details.items
+  ) {
+    const screenshots = lhr.audits["screenshot-thumbnails"].details.items;
+    screenshots.forEach((screenshot, index) => {
+      if (screenshot.data) {
+        const screenshotFilename = `lighthouse-screenshot-${device}-${index}.png`;
+        const screenshotPath = path.join(datasetDir, screenshotFilename);
+        const base64Data = screenshot.data.replace(
+          /^data:image\/png;base64,/,
+          ""
+        );
+        fs.writeFileSync(screenshotPath, base64Data, "base64");
+        console.log(`📸 Screenshot saved to: ${screenshotPath}`);
+      }
+    });
+  }
+
+  // Save final screenshot if available
+  if (
+    lhr.audits["final-screenshot"] &&
+    lhr.audits["final-screenshot"].details &&
+    lhr.audits["final-screenshot"].details.data
+  ) {
+    const finalScreenshotFilename = `lighthouse-${device}.png`;
+    const finalScreenshotPath = path.join(datasetDir, finalScreenshotFilename);
+    const base64Data = lhr.audits["final-screenshot"].details.data.replace(
+      /^data:image\/png;base64,/,
+      ""
+    );
+    fs.writeFileSync(finalScreenshotPath, base64Data, "base64");
+    console.log(`📸 Final screenshot saved to: ${finalScreenshotPath}`);
+  }
+  const scores = {
+    performance: Math.round(lhr.categories.performance.score * 100),
+    accessibility: Math.round(lhr.categories.accessibility.score * 100),
+    bestPractices: Math.round(lhr.categories["best-practices"].score * 100),
+    seo: Math.round(lhr.categories.seo.score * 100),
+    pwa: lhr.categories.pwa
+      ? Math.round(lhr.categories.pwa.score * 100)
+      : "N/A",
+  };
+
+  // Key performance metrics
+  const metrics = Object.fromEntries(
+    Object.entries(KEY_METRICS).map(([name, auditId]) => [
+      name,
+      lhr.audits[auditId]?.displayValue || "N/A",
+    ])
+  );
+
+  // Save summary report
+  const summary = {
+    url: websiteUrl,
+    device: device,
+    timestamp: new Date().toISOString(),
+    throttling: describeThrottling(lhr.configSettings),
+    scores,
+    metrics,
+    opportunities: extractOpportunities(lhr),
+    diagnostics: extractDiagnostics(lhr),
+    failingAudits: extractFailingAudits(lhr),
+  };
+  if (budgets) {
+    const budget = matchBudget(budgets, websiteUrl);
+    summary.budget = budget ? evaluateBudget(budget, lhr) : null;
+  }
+  if (runCount > 1) {
+    summary.runs = summarizeRuns(
+      runnerResults.map((result) => result.lhr),
+      medianIndex
+    );
+  }
+
+  const summaryPath = path.join(
+    datasetDir,
+    `lighthouse-summary-${device}.json`
+  );
+  writeJsonArtifact(summaryPath, summary);
+  console.log(`📋 Summary report saved to: ${summaryPath}`);
+
+  writeJUnitReport(
+    `lighthouse-${device}`,
+    [
+      ...lighthouseJUnitSuites(lhr, device),
+      ...(summary.budget
+        ? lighthouseBudgetJUnitSuites(summary.budget, device)
+        : []),
+    ],
+    datasetDir
+  );
+
+  // Display results
+  console.log("\n🎯 LIGHTHOUSE AUDIT RESULTS");
+  console.log("================================");
+  console.log(`🌐 URL: ${websiteUrl}`);
+  console.log(`🐢 Throttling: ${formatThrottling(summary.throttling)}`);
+  console.log(`⚡ Performance: ${scores.performance}/100`);
+  console.log(`♿ Accessibility: ${scores.accessibility}/100`);
+  console.log(`✅ Best Practices: ${scores.bestPractices}/100`);
+  console.log(`🔍 SEO: ${scores.seo}/100`);
+  console.log(`📱 PWA: ${scores.pwa}/100`);
+  console.log("\n📊 KEY METRICS");
+  console.log("===============");
+  console.log(`🎨 First Contentful Paint: ${metrics.firstContentfulPaint}`);
+  console.log(
+    `🖼️  Largest Contentful Paint: ${metrics.largestContentfulPaint}`
+  );
+  console.log(`📐 Cumulative Layout Shift: ${metrics.cumulativeLayoutShift}`);
+  console.log(`⏳ Total Blocking Time: ${metrics.totalBlockingTime}`);
+  console.log(`⚡ Speed Index: ${metrics.speedIndex}`);
+
+  if (summary.opportunities.length > 0) {
+    console.log("\n💡 TOP OPPORTUNITIES");
+    console.log("===============");
+    summary.opportunities.slice(0, 5).forEach((opportunity) => {
+      const savings = [
+        opportunity.savingsMs > 0 ? `${opportunity.savingsMs} ms` : null,
+        opportunity.savingsBytes > 0
+          ? `${Math.round(opportunity.savingsBytes / 1024)} KB`
+          : null,
+      ].filter(Boolean);
+      console.log(
+        `   ${opportunity.title}${
+          savings.length > 0 ? ` (saves ${savings.join(", ")})` : ""
+        }`
+      );
+    });
+  }
+  if (summary.budget) {
+    console.log(
+      `\n💰 PERFORMANCE BUDGET${
+        summary.budget.path ? ` (${summary.budget.path})` : ""
+      }`
+    );
+    console.log("===============");
+    logBudgetLines(summary.budget);
+    if (!summary.budget.passed) {
+      process.exitCode = 1;
+    }
+  } else if (budgets) {
+    console.log(`\n💰 No budget in the budget file matches ${websiteUrl}`);
+  }
+  const failingCount = Object.values(summary.failingAudits).flat().length;
+  console.log(
+    `\n🩺 ${summary.diagnostics.length} diagnostics, ${failingCount} failing audits (see ${summaryPath})`
+  );
+  if (summary.runs) {
+    console.log(
+      `\n🔁 SPREAD ACROSS ${summary.runs.count} RUNS (median run: #${summary.runs.medianRun})`
+    );
+    console.log("===============");
+    const { performance: perf } = summary.runs;
+    console.log(
+      `⚡ Performance: median ${perf.median}, min ${perf.min}, max ${perf.max}, stddev ${perf.stddev}`
+    );
+    Object.entries(summary.runs.metrics).forEach(([name, stats]) => {
+      const unit = stats.unit === "ms" ? " ms" : "";
+      console.log(
+        `   ${name}: median ${stats.median}${unit}, min ${stats.min}${unit}, max ${stats.max}${unit}, stddev ${stats.stddev}${unit}`
+      );
+    });
+  }
+
+  return summary;
+}
+
+// Flow steps that drive the page without being measured; they can also
+// run inside a timespan step
+const FLOW_ACTIONS = ["click", "type", "wait"];
+
+// Metrics reported per flow step when the step measured them; timespans
+// add interaction latency
+const FLOW_METRICS = {
+  ...KEY_METRICS,
+  interactionToNextPaint: "interaction-to-next-paint",
+};
+
+function checkFlowAction(action, where) {
+  const requireString = (field) => {
+    if (typeof action[field] !== "string" || action[field] === "") {
+      throw new Error(`${where}: "${action.type}" needs a "${field}" string`);
+    }
+  };
+  if (action.type === "click") {
+    requireString("selector");
+  } else if (action.type === "type") {
+    requireString("selector");
+    if (typeof action.text !== "string") {
+      throw new Error(`${where}: "type" needs a "text" string`);
+    }
+  } else if (action.type === "wait") {
+    if (typeof action.selector !== "string" && !(action.ms >= 0)) {
+      throw new Error(`${where}: "wait" needs a "selector" or "ms"`);
+    }
+  } else {
+    throw new Error(
+      `${where}: unknown action "${
+        action.type
+      }". Valid actions: ${FLOW_ACTIONS.join(", ")}`
+    );
+  }
+}
+
+/**
+ * Read and check a user-flow step file:
+ *   {
+ *     "name": "Search journey",
+ *     "steps": [
+ *       { "type": "navigate", "url": "/", "name": "Home" },
+ *       { "type": "timespan", "name": "Search", "actions": [
+ *         { "type": "type", "selector": "#q", "text": "shoes" },
+ *         { "type": "click", "selector": "#search" },
+ *         { "type": "wait", "selector": ".results" }
+ *       ] },
+ *       { "type": "snapshot", "name": "Results" },
+ *       { "type": "navigate", "click": ".results a", "name": "Product" }
+ *     ]
+ *   }
+ * navigate, timespan and snapshot steps are measured. A navigate URL
+ * resolves against WEBSITE_URL; with `click` instead the navigation that
+ * clicking the selector starts is measured. click, type and wait steps
+ * drive the page between measured steps.
+ */
+export function loadFlowFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Flow file not found: ${filePath}`);
+  }
+  const definition = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new Error(`Flow file ${filePath} needs a non-empty "steps" array`);
+  }
+
+  definition.steps.forEach((step, index) => {
+    const where = `Flow step ${index + 1}`;
+    if (step.type === "navigate") {
+      if (typeof step.url !== "string" && typeof step.click !== "string") {
+        throw new Error(`${where}: "navigate" needs a "url" or "click"`);
+      }
+    } else if (step.type === "timespan") {
+      if (!Array.isArray(step.actions)) {
+        throw new Error(`${where}: "timespan" needs an "actions" array`);
+      }
+      step.actions.forEach((action, actionIndex) =>
+        checkFlowAction(action, `${where}, action ${actionIndex + 1}`)
+      );
+    } else if (step.type !== "snapshot") {
+      checkFlowAction(step, where);
+    }
+  });
+
+  return {
+    name: definition.name || path.basename(filePath, ".json"),
+    steps: definition.steps,
+  };
+}
+
+async function runFlowAction(page, action) {
+  if (action.type === "wait") {
+    if (action.selector) {
+      await page.waitForSelector(action.selector, { visible: true });
+    } else {
+      await new Promise((resolve) => setTimeout(resolve, action.ms));
+    }
+    return;
+  }
+
+  await page.waitForSelector(action.selector, { visible: true });
+  if (action.type === "click") {
+    await page.click(action.selector);
+  } else {
+    await page.type(action.selector, action.text);
+  }
+}
+
+// One console line per budget line, with how far over budget it is
+function logBudgetLines(budget, indent = "   ") {
+  budget.lines.forEach((budgetLine) => {
+    const actual =
+      budgetLine.actual === null
+        ? "n/a"
+        : `${budgetLine.actual} ${budgetLine.unit}`;
+    const over =
+      budgetLine.overBudget > 0
+        ? `, ${budgetLine.overBudget} ${budgetLine.unit} over`
+        : "";
+    console.log(
+      `${indent}${budgetLine.passed ? "✅" : "❌"} ${budgetLine.type} ${
+        budgetLine.name
+      }: ${actual} (budget ${budgetLine.budget} ${budgetLine.unit}${over})`
+    );
+  });
+}
+
+/**
+ * Scores and metrics of one measured flow step. A step only carries the
+ * categories and metrics its mode can measure (snapshots have no timings,
+ * for instance); unscored categories are null.
+ */
+export function summarizeFlowStep(step, index) {
+  const { lhr } = step;
+  const scores = Object.fromEntries(
+    Object.entries(CATEGORY_NAMES)
+      .filter(([id]) => lhr.categories[id])
+      .map(([id, name]) => {
+        const { score } = lhr.categories[id];
+        return [
+          name,
+          typeof score === "number" ? Math.round(score * 100) : null,
+        ];
+      })
+  );
+  const metrics = Object.fromEntries(
+    Object.entries(FLOW_METRICS)
+      .filter(([, auditId]) => lhr.audits[auditId]?.displayValue)
+      .map(([name, auditId]) => [name, lhr.audits[auditId].displayValue])
+  );
+
+  return {
+    index: index + 1,
+    name: step.name,
+    gatherMode: lhr.gatherMode,
+    url: lhr.finalDisplayedUrl,
+    scores,
+    metrics,
+  };
+}
+
+/**
+ * Walk the flow file's steps in a page of the launched Chrome as a
+ * Lighthouse user flow for one device: save the flow report (HTML), the
+ * flow result (JSON) and a per-step summary, and return the summary.
+ * With `budgets`, every navigation step is checked against the budget
+ * matching the page it loaded; timespans and snapshots measure no page
+ * load, so they have no budget.
+ */
+async function auditFlow({
+  port,
+  websiteUrl,
+  device,
+  deviceConfig,
+  throttling,
+  flowDefinition,
+  budgets,
+  datasetDir,
+}) {
+  console.log(`\n📱 Running user flow "${flowDefinition.name}" on: ${device}`);
+
+  const browser = await puppeteer.connect({
+    browserURL: `http://127.0.0.1:${port}`,
+    defaultViewport: null,
+  });
+  try {
+    const page = await browser.newPage();
+    const flow = await startFlow(page, {
+      name: flowDefinition.name,
+      flags: {
+        logLevel: "info",
+        onlyCategories: CATEGORIES,
+        ...deviceConfig,
+        ...throttling,
+      },
+    });
+
+    const { steps } = flowDefinition;
+    for (const [index, step] of steps.entries()) {
+      const name = step.name || `${step.type} ${index + 1}`;
+      console.log(
+        `👣 Step ${index + 1}/${steps.length}: ${name} (${step.type})`
+      );
+
+      if (step.type === "navigate") {
+        await flow.navigate(
+          step.url
+            ? new URL(step.url, websiteUrl).href
+            : () =>
+                runFlowAction(page, { type: "click", selector: step.click }),
+          { name }
+        );
+      } else if (step.type === "timespan") {
+        await flow.startTimespan({ name });
+        for (const action of step.actions) {
+          await runFlowAction(page, action);
+        }
+        await flow.endTimespan();
+      } else if (step.type === "snapshot") {
+        await flow.snapshot({ name });
+      } else {
+        await runFlowAction(page, step);
+      }
+    }
+
+    const flowResult = await flow.createFlowResult();
+    if (flowResult.steps.length === 0) {
+      throw new Error(
+        "User flow has no measured steps (navigate, timespan or snapshot)"
+      );
+    }
+
+    const flowResultPath = path.join(
+      datasetDir,
+      `lighthouse-flow-${device}.json`
+    );
+    fs.writeFileSync(flowResultPath, JSON.stringify(flowResult, null, 2));
+    console.log(`💾 Flow result saved to: ${flowResultPath}`);
+
+    const flowReportPath = path.join(
+      datasetDir,
+      `lighthouse-flow-report-${device}.html`
+    );
+    fs.writeFileSync(flowReportPath, await flow.generateReport());
+    console.log(`📄 Flow report saved to: ${flowReportPath}`);
+
+    const summary = {
+      url: websiteUrl,
+      name: flowDefinition.name,
+      device,
+      timestamp: new Date().toISOString(),
+      throttling: describeThrottling(flowResult.steps[0].lhr.configSettings),
+      steps: flowResult.steps.map(summarizeFlowStep),
+    };
+    summary.lowestScores = lowestScores(
+      summary.steps.map((step) => step.scores)
+    );
+    if (budgets) {
+      summary.steps.forEach((step, index) => {
+        if (step.gatherMode !== "navigation") return;
+        const budget = matchBudget(budgets, step.url);
+        step.budget = budget
+          ? evaluateBudget(budget, flowResult.steps[index].lhr)
+          : null;
+      });
+    }
+    const summaryPath = path.join(
+      datasetDir,
+      `lighthouse-flow-summary-${device}.json`
+    );
+    writeJsonArtifact(summaryPath, summary);
+    console.log(`📋 Flow summary saved to: ${summaryPath}`);
+
+    writeJUnitReport(
+      `lighthouse-flow-${device}`,
+      flowResult.steps.flatMap((step, index) => {
+        const { budget } = summary.steps[index];
+        const name = `${device}.step-${index + 1}`;
+        return [
+          ...lighthouseJUnitSuites(step.lhr, name),
+          ...(budget ? lighthouseBudgetJUnitSuites(budget, name) : []),
+        ];
+      }),
+      datasetDir
+    );
+
+    console.log("\n👣 USER FLOW RESULTS");
+    console.log("================================");
+    console.log(`🐢 Throttling: ${formatThrottling(summary.throttling)}`);
+    summary.steps.forEach((step) => {
+      const scores = Object.entries(step.scores)
+        .map(([category, score]) => `${category} ${score ?? "n/a"}`)
+        .join(", ");
+      const metrics = Object.entries(step.metrics)
+        .map(([metric, value]) => `${metric} ${value}`)
+        .join(", ");
+      console.log(`${step.index}. ${step.name} [${step.gatherMode}]`);
+      if (scores) console.log(`   📊 ${scores}`);
+      if (metrics) console.log(`   ⏱️  ${metrics}`);
+      if (step.budget) {
+        console.log(
+          `   💰 Budget${step.budget.path ? ` (${step.budget.path})` : ""}: ${
+            step.budget.passed ? "passed" : "failed"
+          }`
+        );
+        logBudgetLines(step.budget, "      ");
+      } else if (step.budget === null) {
+        console.log(`   💰 No budget in the budget file matches ${step.url}`);
+      }
+    });
+    if (summary.steps.some((step) => step.budget?.passed === false)) {
+      process.exitCode = 1;
+    }
+
+    await page.close();
+    return summary;
+  } finally {
+    await browser.disconnect();
+  }
+}
+
 async function runLighthouse() {
   // Check for --use-browser flag
   const useBrowser = process.argv.includes("--use-browser");
 
-  // Get device type from environment variable or command line argument (default: desktop)
-  let device = "desktop";
+  // Extra artifacts: --html / LIGHTHOUSE_HTML_REPORT for the HTML report,
+  // --trace / LIGHTHOUSE_SAVE_TRACE for the trace and DevTools log
+  const htmlReport =
+    process.argv.includes("--html") ||
+    process.env.LIGHTHOUSE_HTML_REPORT === "true";
+  const trace =
+    process.argv.includes("--trace") ||
+    process.env.LIGHTHOUSE_SAVE_TRACE === "true";
+
+  // Get device type(s) from command line argument or environment variable (default: desktop)
   const deviceArg = process.argv.find((arg) => arg.startsWith("--device="));
-  if (deviceArg) {
-    device = deviceArg.split("=")[1];
-  } else if (process.env.DEVICE) {
-    device = process.env.DEVICE;
-  }
+  const deviceValue = deviceArg
+    ? deviceArg.split("=")[1]
+    : process.env.DEVICE || "desktop";
 
-  // Validate device type
-  const validDevices = ["desktop", "tablet", "mobile"];
-  if (!validDevices.includes(device)) {
-    console.error(
-      `❌ Invalid device type: ${device}. Valid options: ${validDevices.join(
-        ", "
-      )}`
+  let deviceConfigs;
+  let devices;
+  let runCount;
+  let throttlingProfile;
+  let throttling = null;
+  let flowDefinition = null;
+  let budgets = null;
+  let gateBudgets;
+  try {
+    deviceConfigs = loadDeviceConfigs();
+    devices = resolveDevices(deviceValue, deviceConfigs);
+    runCount = runCountFromArgs();
+
+    // Throttling profile from --throttling or LIGHTHOUSE_THROTTLING; without
+    // one each device keeps its own (Lighthouse's default unless set)
+    const throttlingArg = process.argv.find((arg) =>
+      arg.startsWith("--throttling=")
     );
+    throttlingProfile = throttlingArg
+      ? throttlingArg.split("=")[1]
+      : process.env.LIGHTHOUSE_THROTTLING;
+    if (throttlingProfile) {
+      throttling = throttlingSettings(throttlingProfile);
+    }
+
+    // User-flow mode: --flow=<file> or LIGHTHOUSE_FLOW_FILE
+    const flowArg = process.argv.find((arg) => arg.startsWith("--flow="));
+    const flowFile = flowArg
+      ? flowArg.split("=")[1]
+      : process.env.LIGHTHOUSE_FLOW_FILE;
+    if (flowFile) {
+      flowDefinition = loadFlowFile(path.resolve(flowFile));
+    }
+
+    // Performance budgets: --budget=<file> or LIGHTHOUSE_BUDGET_FILE
+    const budgetArg = process.argv.find((arg) => arg.startsWith("--budget="));
+    const budgetFile = budgetArg
+      ? budgetArg.split("=")[1]
+      : process.env.LIGHTHOUSE_BUDGET_FILE;
+    if (budgetFile) {
+      budgets = loadBudgetFile(path.resolve(budgetFile));
+    }
+
+    gateBudgets = qualityGatesFromEnv();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
     process.exit(1);
   }
 
@@ -45,7 +1444,38 @@ async function runLighthouse() {
   }
 
   console.log(`🚀 Starting Lighthouse audit for: ${websiteUrl}`);
-  console.log(`📱 Device type: ${device}`);
+  console.log(
+    `📱 Device type${devices.length > 1 ? "s" : ""}: ${devices.join(", ")}`
+  );
+  if (throttling) {
+    console.log(
+      `🐢 Throttling: ${formatThrottling({
+        ...describeThrottling(throttling),
+        profile: throttlingProfile,
+      })}`
+    );
+  }
+  if (flowDefinition) {
+    console.log(
+      `👣 User flow: ${flowDefinition.name} (${flowDefinition.steps.length} steps)`
+    );
+    if (runCount > 1) {
+      console.log("⚠️  User flows run once; the run count is ignored");
+    }
+    if (htmlReport) {
+      console.log(
+        "⚠️  User flows always save the flow HTML report; the HTML report option is ignored"
+      );
+    }
+    if (trace) {
+      console.log("⚠️  User flows save no trace; the trace option is ignored");
+    }
+    if (budgets) {
+      console.log("💰 Budgets are checked on the flow's navigation steps");
+    }
+  } else if (runCount > 1) {
+    console.log(`🔁 Runs: ${runCount} (reporting the median run)`);
+  }
   console.log(`📅 Audit started at: ${new Date().toISOString()}`);
 
   let chrome;
@@ -65,174 +1495,96 @@ async function runLighthouse() {
       chromeFlags,
     });
 
-    // Device-specific configurations
-    const deviceConfigs = {
-      desktop: {
-        formFactor: "desktop",
-        screenEmulation: { disabled: true },
-      },
-      tablet: {
-        formFactor: "mobile",
-        screenEmulation: {
-          mobile: true,
-          width: 768,
-          height: 1024,
-          deviceScaleFactor: 2,
-          disabled: false,
-        },
-      },
-      mobile: {
-        formFactor: "mobile",
-        screenEmulation: {
-          mobile: true,
-          width: 375,
-          height: 667,
-          deviceScaleFactor: 2,
-          disabled: false,
-        },
-      },
-    };
-
-    // Lighthouse configuration for full audit
-    const options = {
-      logLevel: "info",
-      output: "json",
-      onlyCategories: [
-        "performance",
-        "accessibility",
-        "best-practices",
-        "seo",
-        "pwa",
-      ],
-      port: chrome.port,
-      ...deviceConfigs[device],
-    };
-
-    // Run Lighthouse audit
-    console.log("📊 Running comprehensive Lighthouse audit...");
-    const runnerResult = await lighthouse(websiteUrl, options);
-
-    if (!runnerResult) {
-      throw new Error("Lighthouse audit failed - no results returned");
-    }
-
     // Create dataset directory if it doesn't exist
-    const datasetDir = path.join(__dirname, "..", "dataset");
+    const datasetDir = resolveOutputDir(path.join(__dirname, "..", "dataset"));
     if (!fs.existsSync(datasetDir)) {
       fs.mkdirSync(datasetDir, { recursive: true });
     }
 
-    // Extract key metrics
-    const lhr = runnerResult.lhr;
+    if (flowDefinition) {
+      const flowSummaries = [];
+      for (const device of devices) {
+        flowSummaries.push(
+          await auditFlow({
+            port: chrome.port,
+            websiteUrl,
+            device,
+            deviceConfig: deviceConfigs[device],
+            throttling,
+            flowDefinition,
+            budgets,
+            datasetDir,
+          })
+        );
+      }
 
-    // Save full report as JSON with device suffix
-    const reportPath = path.join(
-      datasetDir,
-      `lighthouse-report-${device}.json`
-    );
-    fs.writeFileSync(reportPath, runnerResult.report);
-    console.log(`💾 Full report saved to: ${reportPath}`);
-
-    // Save screenshots if available
-    if (
-      lhr.audits["screenshot-thumbnails"] &&
-      lhr.audits["screenshot-thumbnails"].details &&
-      lhr.audits["screenshot-thumbnails"].details.items
-    ) {
-      const screenshots = lhr.audits["screenshot-thumbnails"].details.items;
-      screenshots.forEach((screenshot, index) => {
-        if (screenshot.data) {
-          const screenshotFilename = `lighthouse-screenshot-${device}-${index}.png`;
-          const screenshotPath = path.join(datasetDir, screenshotFilename);
-          const base64Data = screenshot.data.replace(
-            /^data:image\/png;base64,/,
-            ""
-          );
-          fs.writeFileSync(screenshotPath, base64Data, "base64");
-          console.log(`📸 Screenshot saved to: ${screenshotPath}`);
-        }
-      });
+      let flowGateScores = flowSummaries[0].lowestScores;
+      if (flowSummaries.length > 1) {
+        const comparison = buildFlowComparison(flowSummaries);
+        const comparisonPath = path.join(
+          datasetDir,
+          "lighthouse-flow-comparison.json"
+        );
+        writeJsonArtifact(comparisonPath, comparison);
+        console.log(`📋 Flow comparison saved to: ${comparisonPath}`);
+        flowGateScores = comparison.lowestScores;
+      }
+
+      console.log("\n✅ Lighthouse user flow completed successfully!");
+
+      applyQualityGates("lighthouse", flowGateScores, datasetDir, gateBudgets);
+      return;
     }
 
-    // Save final screenshot if available
-    if (
-      lhr.audits["final-screenshot"] &&
-      lhr.audits["final-screenshot"].details &&
-      lhr.audits["final-screenshot"].details.data
-    ) {
-      const finalScreenshotFilename = `lighthouse-${device}.png`;
-      const finalScreenshotPath = path.join(
-        datasetDir,
-        finalScreenshotFilename
+    const summaries = [];
+    for (const device of devices) {
+      summaries.push(
+        await auditDevice({
+          port: chrome.port,
+          websiteUrl,
+          device,
+          deviceConfig: deviceConfigs[device],
+          throttling,
+          budgets,
+          runCount,
+          htmlReport,
+          trace,
+          datasetDir,
+        })
       );
-      const base64Data = lhr.audits["final-screenshot"].details.data.replace(
-        /^data:image\/png;base64,/,
-        ""
-      );
-      fs.writeFileSync(finalScreenshotPath, base64Data, "base64");
-      console.log(`📸 Final screenshot saved to: ${finalScreenshotPath}`);
-    }
-    const scores = {
-      performance: Math.round(lhr.categories.performance.score * 100),
-      accessibility: Math.round(lhr.categories.accessibility.score * 100),
-      bestPractices: Math.round(lhr.categories["best-practices"].score * 100),
-      seo: Math.round(lhr.categories.seo.score * 100),
-      pwa: lhr.categories.pwa
-        ? Math.round(lhr.categories.pwa.score * 100)
-        : "N/A",
-    };
-
-    // Key performance metrics
-    const metrics = {
-      firstContentfulPaint:
-        lhr.audits["first-contentful-paint"]?.displayValue || "N/A",
-      largestContentfulPaint:
-        lhr.audits["largest-contentful-paint"]?.displayValue || "N/A",
-      cumulativeLayoutShift:
-        lhr.audits["cumulative-layout-shift"]?.displayValue || "N/A",
-      totalBlockingTime:
-        lhr.audits["total-blocking-time"]?.displayValue || "N/A",
-      speedIndex: lhr.audits["speed-index"]?.displayValue || "N/A",
-    };
+    }
 
-    // Save summary report
-    const summary = {
-      url: websiteUrl,
-      device: device,
-      timestamp: new Date().toISOString(),
-      scores,
-      metrics,
-      opportunities: lhr.audits["opportunities"] || [],
-      diagnostics: lhr.audits["diagnostics"] || [],
-    };
+    let gateScores = summaries[0].scores;
+    if (summaries.length > 1) {
+      const comparison = buildDeviceComparison(summaries, deviceConfigs);
+      const comparisonPath = path.join(
+        datasetDir,
+        "lighthouse-device-comparison.json"
+      );
+      writeJsonArtifact(comparisonPath, comparison);
 
-    const summaryPath = path.join(
-      datasetDir,
-      `lighthouse-summary-${device}.json`
-    );
-    fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
-    console.log(`📋 Summary report saved to: ${summaryPath}`);
+      console.log("\n📱 DEVICE COMPARISON");
+      console.log("===============");
+      console.log(
+        `${"Device".padEnd(16)}${SCORE_CATEGORIES.map((category) =>
+          category.padStart(15)
+        ).join("")}`
+      );
+      comparison.devices.forEach((entry) => {
+        console.log(
+          `${entry.device.padEnd(16)}${SCORE_CATEGORIES.map((category) =>
+            String(entry.scores[category]).padStart(15)
+          ).join("")}`
+        );
+      });
+      console.log(`📋 Device comparison saved to: ${comparisonPath}`);
 
-    // Display results
-    console.log("\n🎯 LIGHTHOUSE AUDIT RESULTS");
-    console.log("================================");
-    console.log(`🌐 URL: ${websiteUrl}`);
-    console.log(`⚡ Performance: ${scores.performance}/100`);
-    console.log(`♿ Accessibility: ${scores.accessibility}/100`);
-    console.log(`✅ Best Practices: ${scores.bestPractices}/100`);
-    console.log(`🔍 SEO: ${scores.seo}/100`);
-    console.log(`📱 PWA: ${scores.pwa}/100`);
-    console.log("\n📊 KEY METRICS");
-    console.log("===============");
-    console.log(`🎨 First Contentful Paint: ${metrics.firstContentfulPaint}`);
-    console.log(
-      `🖼️  Largest Contentful Paint: ${metrics.largestContentfulPaint}`
-    );
-    console.log(`📐 Cumulative Layout Shift: ${metrics.cumulativeLayoutShift}`);
-    console.log(`⏳ Total Blocking Time: ${metrics.totalBlockingTime}`);
-    console.log(`⚡ Speed Index: ${metrics.speedIndex}`);
+      gateScores = comparison.lowestScores;
+    }
 
     console.log("\n✅ Lighthouse audit completed successfully!");
+
+    applyQualityGates("lighthouse", gateScores, datasetDir, gateBudgets);
   } catch (error) {
     console.error("❌ Lighthouse audit failed:", error.message);
     process.exit(1);
@@ -245,4 +1597,22 @@ async function runLighthouse() {
 }
 
 // Run the audit
-runLighthouse().catch(console.error);
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const handled = await runForEachUrl({
+    scanner: "lighthouse",
+    scriptPath: __filename,
+    datasetDir: path.join(__dirname, "..", "dataset"),
+    // With several devices a page's scores are the lowest across them,
+    // from the comparison; otherwise the one device's (flow) summary, where
+    // a flow's lowest step scores stand in for the page scores
+    summaryFile: [
+      "lighthouse-device-comparison.json",
+      "lighthouse-flow-comparison.json",
+      /^lighthouse-(flow-)?summary-.*\.json$/,
+    ],
+    metrics: ["scores", "lowestScores"],
+  });
+  if (!handled) {
+    runLighthouse().catch(console.error);
+  }
+}
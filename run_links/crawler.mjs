@@ -0,0 +1,432 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { LinkCollector } from "./links.mjs";
+import {
+  LinkChecker,
+  linkCheckOptionsFromEnv,
+  saveLinkCheckResults,
+} from "./link-checker.mjs";
+import { resolveOutputDir } from "../shared/lib/site-runner.mjs";
+import {
+  applyQualityGates,
+  qualityGatesFromEnv,
+} from "../shared/lib/quality-gates.mjs";
+import {
+  fetchRobotsTxt,
+  isAllowedByRobots,
+} from "../shared/lib/robots.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables from .env file
+dotenv.config();
+
+const ROBOTS_USER_AGENT = "ui-audit-crawler";
+
+// Links to these are downloads, not pages, so they are never navigated to
+const NON_HTML_EXTENSIONS =
+  /\.(pdf|zip|gz|tar|rar|7z|exe|dmg|msi|jpe?g|png|gif|svg|webp|avif|ico|mp3|mp4|webm|mov|avi|docx?|xlsx?|pptx?|csv|xml|json|txt)$/i;
+
+function parsePatterns(value) {
+  if (!value) return [];
+  return value
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter(Boolean)
+    .map((pattern) => new RegExp(pattern));
+}
+
+// A whole-number setting of at least `min`; anything else would quietly
+// lift the crawl's limits, so it is rejected
+function wholeNumber(env, name, fallback, min) {
+  if (!env[name]) return fallback;
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(
+      `Invalid ${name}: ${env[name]}. Use a whole number of ${min} or more`
+    );
+  }
+  return value;
+}
+
+/**
+ * Crawl settings from the environment:
+ *   CRAWL_MAX_DEPTH        link hops from the start page (default 2)
+ *   CRAWL_MAX_PAGES        pages to visit before stopping (default 50)
+ *   CRAWL_INCLUDE          comma-separated regexes a URL must match
+ *   CRAWL_EXCLUDE          comma-separated regexes that skip a URL
+ *   CRAWL_RESPECT_ROBOTS   set to false to ignore robots.txt
+ *   CRAWL_KEEP_QUERY       set to false to drop query strings
+ */
+export function crawlOptionsFromEnv(env = process.env) {
+  return {
+    maxDepth: wholeNumber(env, "CRAWL_MAX_DEPTH", 2, 0),
+    maxPages: wholeNumber(env, "CRAWL_MAX_PAGES", 50, 1),
+    include: parsePatterns(env.CRAWL_INCLUDE),
+    exclude: parsePatterns(env.CRAWL_EXCLUDE),
+    respectRobots: env.CRAWL_RESPECT_ROBOTS !== "false",
+    keepQuery: env.CRAWL_KEEP_QUERY !== "false",
+  };
+}
+
+class SiteCrawler {
+  constructor(options = {}) {
+    this.options = { ...crawlOptionsFromEnv({}), ...options };
+    this.collector = new LinkCollector();
+    this.robots = null;
+    this.state = {
+      startUrl: null,
+      origin: null,
+      pages: [],
+      edges: [],
+      skipped: [],
+      // Every link seen on a crawled page, for the broken link check
+      linkReferences: [],
+    };
+  }
+
+  /**
+   * Canonical form used to de-duplicate URLs: no fragment, and optionally
+   * no query string. Returns null for anything that is not http(s).
+   */
+  normalizeUrl(href) {
+    try {
+      const url = new URL(href);
+      if (!["http:", "https:"].includes(url.protocol)) return null;
+      url.hash = "";
+      if (!this.options.keepQuery) url.search = "";
+      return url.href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Reason a same-origin URL should not be visited, or null to crawl it.
+   */
+  skipReason(url, depth) {
+    const { include, exclude, maxDepth } = this.options;
+
+    if (depth > maxDepth) return "max-depth";
+    if (NON_HTML_EXTENSIONS.test(new URL(url).pathname)) return "non-html";
+    if (
+      url !== this.state.startUrl &&
+      include.length > 0 &&
+      !include.some((pattern) => pattern.test(url))
+    ) {
+      return "not-included";
+    }
+    if (exclude.some((pattern) => pattern.test(url))) return "excluded";
+    if (
+      this.options.respectRobots &&
+      !isAllowedByRobots(this.robots, url, ROBOTS_USER_AGENT)
+    ) {
+      return "robots";
+    }
+    return null;
+  }
+
+  async visit(url, depth, parent) {
+    const startTime = Date.now();
+    const page = { url, depth, parent, status: "crawled" };
+
+    try {
+      const navigation = await this.collector.browserManager.navigateToURL(
+        this.collector.page,
+        url
+      );
+      page.httpStatus = navigation.status;
+      page.title = navigation.pageTitle;
+      page.finalUrl = navigation.pageUrl;
+
+      if (navigation.status >= 400) {
+        page.status = "error";
+        page.error = `HTTP ${navigation.status}`;
+        page.links = [];
+      } else {
+        page.links = await this.collector.collectLinks();
+      }
+    } catch (error) {
+      console.error(`❌ Could not crawl ${url}: ${error.message}`);
+      page.status = "failed";
+      page.error = error.message;
+      page.links = [];
+    }
+
+    page.duration = Date.now() - startTime;
+    return page;
+  }
+
+  /**
+   * Breadth-first crawl of the start URL's origin.
+   */
+  async crawl(startUrl, useBrowser = false) {
+    const { maxPages, respectRobots } = this.options;
+    const start = this.normalizeUrl(startUrl);
+    if (!start) {
+      throw new Error(`Cannot crawl non-http URL: ${startUrl}`);
+    }
+
+    this.state.startUrl = start;
+    this.state.origin = new URL(start).origin;
+
+    if (respectRobots) {
+      this.robots = await fetchRobotsTxt(this.state.origin, {
+        userAgent: ROBOTS_USER_AGENT,
+      });
+    }
+
+    await this.collector.init(useBrowser, { logTraffic: false });
+
+    const queue = [{ url: start, depth: 0, parent: null }];
+    const seen = new Set([start]);
+
+    while (queue.length > 0 && this.state.pages.length < maxPages) {
+      const { url, depth, parent } = queue.shift();
+
+      const reason = this.skipReason(url, depth);
+      if (reason) {
+        this.state.skipped.push({ url, parent, reason });
+        continue;
+      }
+
+      console.log(
+        `\n🕷️ [${this.state.pages.length + 1}/${maxPages}] depth ${depth}: ${url}`
+      );
+      const { links, ...page } = await this.visit(url, depth, parent);
+
+      const internalTargets = new Set();
+      let externalLinks = 0;
+      links.forEach((link) => {
+        const target = this.normalizeUrl(link.href);
+        const isExternal =
+          !target || new URL(target).origin !== this.state.origin;
+        this.state.linkReferences.push({
+          url: link.href,
+          page: url,
+          text: link.text,
+          isExternal,
+        });
+        if (!target) return;
+        if (isExternal) {
+          externalLinks++;
+          return;
+        }
+        internalTargets.add(target);
+      });
+
+      internalTargets.forEach((target) => {
+        this.state.edges.push({ from: url, to: target });
+        if (!seen.has(target)) {
+          seen.add(target);
+          queue.push({ url: target, depth: depth + 1, parent: url });
+        }
+      });
+
+      this.state.pages.push({
+        ...page,
+        totalLinks: links.length,
+        internalLinks: internalTargets.size,
+        externalLinks,
+      });
+    }
+
+    // Whatever is left in the queue was discovered but not visited
+    queue.forEach(({ url, parent }) => {
+      this.state.skipped.push({ url, parent, reason: "max-pages" });
+    });
+
+    return this.buildGraph();
+  }
+
+  buildGraph() {
+    const { startUrl, origin, pages, edges, skipped } = this.state;
+    const { include, exclude, ...options } = this.options;
+    const skippedByReason = {};
+    skipped.forEach(({ reason }) => {
+      skippedByReason[reason] = (skippedByReason[reason] || 0) + 1;
+    });
+
+    return {
+      startUrl,
+      origin,
+      timestamp: new Date().toISOString(),
+      options: {
+        ...options,
+        include: include.map((pattern) => pattern.source),
+        exclude: exclude.map((pattern) => pattern.source),
+      },
+      totals: {
+        discovered: pages.length + skipped.length,
+        crawled: pages.filter((page) => page.status === "crawled").length,
+        failed: pages.filter((page) => page.status !== "crawled").length,
+        skipped: skipped.length,
+        edges: edges.length,
+        skippedByReason,
+      },
+      pages,
+      edges,
+      skipped,
+    };
+  }
+
+  /**
+   * Write the page graph plus crawl-urls.txt, which other scanners accept
+   * as URL_FILE (or read the graph directly with CRAWL_GRAPH).
+   */
+  saveResults(graph) {
+    const datasetDir = resolveOutputDir(path.join(__dirname, "..", "dataset"));
+    if (!fs.existsSync(datasetDir)) {
+      fs.mkdirSync(datasetDir, { recursive: true });
+    }
+
+    const graphPath = path.join(datasetDir, "crawl-graph.json");
+    const urlListPath = path.join(datasetDir, "crawl-urls.txt");
+    const summaryPath = path.join(datasetDir, "crawl-summary.json");
+    const reportPath = path.join(datasetDir, "crawl-report.md");
+
+    writeJsonArtifact(graphPath, graph);
+
+    const crawledUrls = graph.pages
+      .filter((page) => page.status === "crawled")
+      .map((page) => page.url);
+    fs.writeFileSync(
+      urlListPath,
+      `# Pages crawled from ${graph.startUrl} at ${graph.timestamp}\n${crawledUrls.join("\n")}\n`
+    );
+
+    const summary = {
+      startUrl: graph.startUrl,
+      timestamp: graph.timestamp,
+      options: graph.options,
+      totals: graph.totals,
+    };
+    writeJsonArtifact(summaryPath, summary);
+    fs.writeFileSync(reportPath, this.generateReport(graph));
+
+    console.log(`💾 Crawl graph saved to: ${graphPath}`);
+    console.log(`📋 URL list saved to: ${urlListPath}`);
+    console.log(`📊 Summary saved to: ${summaryPath}`);
+    console.log(`📄 Report saved to: ${reportPath}`);
+
+    return { graphPath, urlListPath, summaryPath, reportPath };
+  }
+
+  generateReport(graph) {
+    let report = `# Site Crawl Report\n\n`;
+    report += `**Start URL:** ${graph.startUrl}\n`;
+    report += `**Generated:** ${graph.timestamp}\n`;
+    report += `**Max depth:** ${graph.options.maxDepth}\n`;
+    report += `**Max pages:** ${graph.options.maxPages}\n`;
+    report += `**robots.txt:** ${graph.options.respectRobots ? "respected" : "ignored"}\n\n`;
+
+    report += `## Summary\n\n`;
+    report += `- **Pages crawled:** ${graph.totals.crawled}\n`;
+    report += `- **Pages failed:** ${graph.totals.failed}\n`;
+    report += `- **URLs skipped:** ${graph.totals.skipped}\n`;
+    report += `- **Internal link edges:** ${graph.totals.edges}\n`;
+    Object.entries(graph.totals.skippedByReason).forEach(([reason, count]) => {
+      report += `  - ${reason}: ${count}\n`;
+    });
+
+    report += `\n## Pages\n\n`;
+    report += `| Depth | URL | Status | Title | Internal links |\n`;
+    report += `|---|---|---|---|---|\n`;
+    graph.pages.forEach((page) => {
+      const status =
+        page.status === "crawled" ? `✅ ${page.httpStatus ?? ""}` : `❌ ${page.error}`;
+      const title = (page.title || "").replace(/\|/g, "\\|").substring(0, 60);
+      report += `| ${page.depth} | ${page.url} | ${status} | ${title} | ${page.internalLinks} |\n`;
+    });
+
+    return report;
+  }
+
+  async close() {
+    await this.collector.close();
+  }
+}
+
+async function main() {
+  const url = process.env.WEBSITE_URL;
+  const useBrowser = process.argv.includes("--use-browser");
+  const linkCheckOptions = linkCheckOptionsFromEnv();
+  let options;
+  try {
+    options = crawlOptionsFromEnv();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log("🕷️ Starting Site Crawl");
+  console.log("=====================================");
+  console.log(`📍 Start URL: ${url || "NOT SET"}`);
+  console.log(`📏 Max depth: ${options.maxDepth}`);
+  console.log(`📄 Max pages: ${options.maxPages}`);
+  console.log(`🤖 robots.txt: ${options.respectRobots ? "respected" : "ignored"}`);
+  console.log("=====================================");
+
+  if (!url) {
+    console.error("❌ WEBSITE_URL environment variable is required");
+    console.error("   💡 Set it in .env file or as environment variable");
+    process.exit(1);
+  }
+
+  let gateBudgets;
+  try {
+    gateBudgets = qualityGatesFromEnv();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const crawler = new SiteCrawler(options);
+
+  try {
+    const graph = await crawler.crawl(url, useBrowser);
+    const files = crawler.saveResults(graph);
+
+    let linkCheck = null;
+    if (linkCheckOptions.enabled) {
+      console.log("\n🔍 Checking links found while crawling...");
+      linkCheck = await new LinkChecker(linkCheckOptions).checkAll(
+        crawler.state.linkReferences
+      );
+      const datasetDir = resolveOutputDir(path.join(__dirname, "..", "dataset"));
+      saveLinkCheckResults(linkCheck, datasetDir);
+      applyQualityGates(
+        "links",
+        { brokenLinks: linkCheck.totals.broken },
+        datasetDir,
+        gateBudgets
+      );
+    }
+
+    console.log("\n✅ ========= CRAWL COMPLETE =========");
+    console.log(`🕷️ Pages crawled: ${graph.totals.crawled}`);
+    console.log(`❌ Pages failed: ${graph.totals.failed}`);
+    console.log(`⏭️ URLs skipped: ${graph.totals.skipped}`);
+    if (linkCheck) {
+      console.log(
+        `🔗 Broken links: ${linkCheck.totals.broken} on ${linkCheck.totals.pagesWithBrokenLinks} pages`
+      );
+    }
+    console.log(`💡 Scan these pages with URL_FILE=${files.urlListPath}`);
+  } catch (error) {
+    console.error(`❌ Crawl failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await crawler.close();
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { SiteCrawler };
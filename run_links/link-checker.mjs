@@ -0,0 +1,363 @@
+import fs from "fs";
+import path from "path";
+import { DEFAULT_USER_AGENT } from "../shared/lib/browser-manager.mjs";
+import {
+  linkCheckJUnitSuites,
+  writeJUnitReport,
+} from "../shared/lib/junit.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
+
+// HEAD is often rejected by servers that would answer GET just fine
+const HEAD_FALLBACK_STATUSES = new Set([400, 403, 405, 501]);
+
+/**
+ * Link check settings from the environment:
+ *   CHECK_LINKS                 set to true to verify collected links
+ *   CHECK_EXTERNAL_LINKS        also check links to other hosts
+ *   LINK_CHECK_CONCURRENCY      requests in flight at once (default 8)
+ *   LINK_CHECK_HOST_DELAY       minimum ms between requests to one host (default 250)
+ *   LINK_CHECK_TIMEOUT          per-request timeout in ms (default 10000)
+ *   LINK_CHECK_MAX_REDIRECTS    redirects followed before giving up (default 10)
+ */
+export function linkCheckOptionsFromEnv(env = process.env) {
+  return {
+    enabled: env.CHECK_LINKS === "true",
+    checkExternal: env.CHECK_EXTERNAL_LINKS === "true",
+    concurrency: parseInt(env.LINK_CHECK_CONCURRENCY) || 8,
+    hostDelay: env.LINK_CHECK_HOST_DELAY
+      ? parseInt(env.LINK_CHECK_HOST_DELAY)
+      : 250,
+    timeout: parseInt(env.LINK_CHECK_TIMEOUT) || 10000,
+    maxRedirects: env.LINK_CHECK_MAX_REDIRECTS
+      ? parseInt(env.LINK_CHECK_MAX_REDIRECTS)
+      : 10,
+    userAgent: env.USER_AGENT || DEFAULT_USER_AGENT,
+  };
+}
+
+function categorize(result) {
+  if (result.error) {
+    return result.timedOut ? "timeout" : "error";
+  }
+  if (result.status >= 500) return "server-error";
+  if (result.status >= 400) return "client-error";
+  if (result.redirectChain.length > 0) return "redirect";
+  return "ok";
+}
+
+/**
+ * Spaces out requests per host so a page full of links to one server
+ * does not hammer it, while different hosts proceed in parallel.
+ */
+class HostRateLimiter {
+  constructor(delay) {
+    this.delay = delay;
+    this.nextSlot = new Map();
+  }
+
+  async wait(url) {
+    if (this.delay <= 0) return;
+    const host = new URL(url).host;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(host) || 0);
+    this.nextSlot.set(host, slot + this.delay);
+    if (slot > now) {
+      await new Promise((resolve) => setTimeout(resolve, slot - now));
+    }
+  }
+}
+
+class LinkChecker {
+  constructor(options = {}) {
+    this.options = { ...linkCheckOptionsFromEnv({}), ...options };
+    this.rateLimiter = new HostRateLimiter(this.options.hostDelay);
+  }
+
+  async request(url, method) {
+    await this.rateLimiter.wait(url);
+    const response = await fetch(url, {
+      method,
+      redirect: "manual",
+      headers: { "User-Agent": this.options.userAgent },
+      signal: AbortSignal.timeout(this.options.timeout),
+    });
+    // Only the status matters; release the connection
+    await response.body?.cancel().catch(() => {});
+    return response;
+  }
+
+  /**
+   * Follow redirects by hand so every hop is recorded.
+   */
+  async follow(url, method) {
+    const redirectChain = [];
+    let current = url;
+
+    for (;;) {
+      const response = await this.request(current, method);
+      const location = response.headers.get("location");
+
+      if (response.status >= 300 && response.status < 400 && location) {
+        redirectChain.push({ url: current, status: response.status });
+        if (redirectChain.length > this.options.maxRedirects) {
+          throw new Error(
+            `Too many redirects (more than ${this.options.maxRedirects})`
+          );
+        }
+        current = new URL(location, current).href;
+        continue;
+      }
+
+      return { status: response.status, finalUrl: current, redirectChain };
+    }
+  }
+
+  /**
+   * Check one URL with HEAD, retrying with GET when HEAD is refused.
+   */
+  async check(url) {
+    const startTime = Date.now();
+    const result = {
+      url,
+      method: "HEAD",
+      status: null,
+      finalUrl: null,
+      redirectChain: [],
+      latency: 0,
+      error: null,
+    };
+
+    try {
+      let outcome;
+      try {
+        outcome = await this.follow(url, "HEAD");
+      } catch (error) {
+        if (error.name === "TimeoutError") throw error;
+        outcome = null;
+      }
+
+      if (!outcome || HEAD_FALLBACK_STATUSES.has(outcome.status)) {
+        result.method = "GET";
+        outcome = await this.follow(url, "GET");
+      }
+
+      Object.assign(result, outcome);
+    } catch (error) {
+      result.timedOut = error.name === "TimeoutError";
+      result.error = result.timedOut
+        ? `Timed out after ${this.options.timeout}ms`
+        : error.cause?.message || error.message;
+    }
+
+    result.latency = Date.now() - startTime;
+    result.category = categorize(result);
+    delete result.timedOut;
+    return result;
+  }
+
+  /**
+   * Check every referenced link. references is a list of
+   * { url, page, text, isExternal }; each URL is requested once no matter
+   * how many pages point at it.
+   */
+  async checkAll(references) {
+    const startTime = Date.now();
+    const byUrl = new Map();
+    const skipped = { nonHttp: 0, external: 0 };
+
+    references.forEach((reference) => {
+      let url;
+      try {
+        const parsed = new URL(reference.url);
+        if (!["http:", "https:"].includes(parsed.protocol)) {
+          skipped.nonHttp++;
+          return;
+        }
+        parsed.hash = "";
+        url = parsed.href;
+      } catch {
+        skipped.nonHttp++;
+        return;
+      }
+
+      if (reference.isExternal && !this.options.checkExternal) {
+        skipped.external++;
+        return;
+      }
+
+      if (!byUrl.has(url)) byUrl.set(url, []);
+      byUrl.get(url).push(reference);
+    });
+
+    const urls = [...byUrl.keys()];
+    console.log(
+      `🔍 Checking ${urls.length} unique links (concurrency ${this.options.concurrency}, ${this.options.hostDelay}ms per host)`
+    );
+
+    const results = new Array(urls.length);
+    let nextIndex = 0;
+    const worker = async () => {
+      while (nextIndex < urls.length) {
+        const index = nextIndex++;
+        const result = await this.check(urls[index]);
+        results[index] = result;
+
+        if (result.category !== "ok" && result.category !== "redirect") {
+          console.log(
+            `   ❌ ${result.status || result.category} ${result.url}${
+              result.error ? ` (${result.error})` : ""
+            }`
+          );
+        }
+      }
+    };
+    await Promise.all(
+      Array.from(
+        { length: Math.min(this.options.concurrency, urls.length) },
+        worker
+      )
+    );
+
+    results.forEach((result) => {
+      result.referencedBy = [
+        ...new Set(byUrl.get(result.url).map((reference) => reference.page)),
+      ];
+    });
+
+    return this.buildReport(results, byUrl, skipped, Date.now() - startTime);
+  }
+
+  buildReport(results, byUrl, skipped, duration) {
+    const byCategory = {};
+    results.forEach(({ category }) => {
+      byCategory[category] = (byCategory[category] || 0) + 1;
+    });
+
+    const broken = results.filter((result) =>
+      ["client-error", "server-error", "timeout", "error"].includes(
+        result.category
+      )
+    );
+
+    // Group broken links under every page that links to them
+    const brokenByPage = {};
+    broken.forEach((result) => {
+      byUrl.get(result.url).forEach((reference) => {
+        if (!brokenByPage[reference.page]) brokenByPage[reference.page] = [];
+        brokenByPage[reference.page].push({
+          url: result.url,
+          status: result.status,
+          category: result.category,
+          error: result.error,
+          text: reference.text,
+        });
+      });
+    });
+
+    const { userAgent, enabled, ...options } = this.options;
+    return {
+      timestamp: new Date().toISOString(),
+      duration,
+      options,
+      totals: {
+        checked: results.length,
+        broken: broken.length,
+        redirects: byCategory.redirect || 0,
+        pagesWithBrokenLinks: Object.keys(brokenByPage).length,
+        skippedNonHttp: skipped.nonHttp,
+        skippedExternal: skipped.external,
+        byCategory,
+      },
+      brokenByPage,
+      results,
+    };
+  }
+}
+
+function generateLinkCheckReport(report) {
+  let markdown = `# Broken Link Report\n\n`;
+  markdown += `**Generated:** ${report.timestamp}\n`;
+  markdown += `**Links checked:** ${report.totals.checked}\n`;
+  markdown += `**Broken:** ${report.totals.broken}\n`;
+  markdown += `**Redirected:** ${report.totals.redirects}\n`;
+  markdown += `**External links:** ${
+    report.options.checkExternal ? "checked" : "skipped"
+  }\n\n`;
+
+  const pages = Object.entries(report.brokenByPage);
+  if (pages.length === 0) {
+    markdown += `✅ No broken links found.\n`;
+    return markdown;
+  }
+
+  markdown += `## Broken Links by Page\n\n`;
+  pages.forEach(([page, links]) => {
+    markdown += `### ${page}\n\n`;
+    markdown += `| Status | URL | Link text |\n|---|---|---|\n`;
+    links.forEach((link) => {
+      const status = link.status
+        ? `${link.status}`
+        : `${link.category}: ${link.error}`;
+      const text = (link.text || "").replace(/\|/g, "\\|").substring(0, 60);
+      markdown += `| ${status} | ${link.url} | ${text} |\n`;
+    });
+    markdown += `\n`;
+  });
+
+  const redirected = report.results.filter(
+    (result) => result.category === "redirect"
+  );
+  if (redirected.length > 0) {
+    markdown += `## Redirects\n\n`;
+    redirected.slice(0, 50).forEach((result) => {
+      const hops = result.redirectChain
+        .map((hop) => `${hop.status} ${hop.url}`)
+        .join(" → ");
+      markdown += `- ${hops} → ${result.finalUrl}\n`;
+    });
+  }
+
+  return markdown;
+}
+
+/**
+ * Write link-check-results.json, link-check-summary.json and
+ * link-check-report.md to datasetDir.
+ */
+function saveLinkCheckResults(report, datasetDir) {
+  if (!fs.existsSync(datasetDir)) {
+    fs.mkdirSync(datasetDir, { recursive: true });
+  }
+
+  const resultsPath = path.join(datasetDir, "link-check-results.json");
+  const summaryPath = path.join(datasetDir, "link-check-summary.json");
+  const reportPath = path.join(datasetDir, "link-check-report.md");
+
+  writeJsonArtifact(resultsPath, report);
+  writeJsonArtifact(summaryPath, {
+    timestamp: report.timestamp,
+    options: report.options,
+    totals: report.totals,
+    brokenByPage: report.brokenByPage,
+  });
+  fs.writeFileSync(reportPath, generateLinkCheckReport(report));
+
+  console.log(`💾 Link check results saved to: ${resultsPath}`);
+  console.log(`📊 Link check summary saved to: ${summaryPath}`);
+  console.log(`📄 Broken link report saved to: ${reportPath}`);
+
+  const junitPath = writeJUnitReport(
+    "links",
+    linkCheckJUnitSuites(report),
+    datasetDir
+  );
+
+  return {
+    resultsPath,
+    summaryPath,
+    reportPath,
+    ...(junitPath ? { junitPath } : {}),
+  };
+}
+
+export { LinkChecker, saveLinkCheckResults };
@@ -1,14 +1,35 @@
-import { chromium } from "playwright";
 import fs from "fs";
 import path from "path";
+import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import {
+  CSPSafeBrowserManager,
+  browserOptionsFromEnv,
+} from "../shared/lib/browser-manager.mjs";
+import {
+  resolveOutputDir,
+  runForEachUrl,
+} from "../shared/lib/site-runner.mjs";
+import {
+  applyQualityGates,
+  qualityGatesFromEnv,
+} from "../shared/lib/quality-gates.mjs";
+import {
+  LinkChecker,
+  linkCheckOptionsFromEnv,
+  saveLinkCheckResults,
+} from "./link-checker.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 // Load environment variables from .env file
 dotenv.config();
 
 class LinkCollector {
   constructor() {
-    this.browser = null;
+    this.browserManager = null;
     this.page = null;
     this.state = {
       analysisData: {
@@ -17,57 +38,46 @@ class LinkCollector {
     };
   }
 
-  async init(useBrowser = false) {
+  async init(useBrowser = false, { logTraffic = true } = {}) {
     console.log("🚀 Initializing Playwright browser");
-    console.log(`   📱 Headless mode: ${!useBrowser}`);
-
-    this.browser = await chromium.launch({
-      headless: !useBrowser,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-blink-features=AutomationControlled",
-        "--disable-dev-shm-usage",
-      ],
-    });
-    console.log("   ✅ Browser process launched");
 
-    const context = await this.browser.newContext({
-      viewport: { width: 1920, height: 1080 },
-      userAgent:
-        "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+    this.browserManager = new CSPSafeBrowserManager(
+      browserOptionsFromEnv(useBrowser ? { headless: false } : {})
+    );
+    await this.browserManager.launchBrowser();
+
+    ({ page: this.page } = await this.browserManager.createPage(undefined, {
       extraHTTPHeaders: {
         Accept:
           "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
         "Accept-Language": "en-US,en;q=0.5",
-        "Accept-Encoding": "gzip, deflate",
-        Connection: "keep-alive",
-        "Upgrade-Insecure-Requests": "1",
       },
       ignoreHTTPSErrors: true,
-    });
+    }));
     console.log("   ✅ Browser context created");
 
-    this.page = await context.newPage();
-
-    // Enable request/response logging
-    this.page.on("request", (request) => {
-      console.log(`   🌐 Request: ${request.method()} ${request.url()}`);
-    });
+    // Enable request/response logging (too noisy when crawling many pages)
+    if (logTraffic) {
+      this.page.on("request", (request) => {
+        console.log(`   🌐 Request: ${request.method()} ${request.url()}`);
+      });
 
-    this.page.on("response", (response) => {
-      console.log(`   📥 Response: ${response.status()} ${response.url()}`);
-    });
+      this.page.on("response", (response) => {
+        console.log(`   📥 Response: ${response.status()} ${response.url()}`);
+      });
 
-    this.page.on("console", (msg) => {
-      console.log(`   🖥️  Console: ${msg.text()}`);
-    });
+      this.page.on("console", (msg) => {
+        console.log(`   🖥️  Console: ${msg.text()}`);
+      });
+    }
 
     this.page.on("pageerror", (error) => {
       console.log(`   ⚠️  Page Error: ${error.message}`);
     });
 
-    console.log("✅ Browser initialized with logging enabled");
+    console.log(
+      `✅ Browser initialized${logTraffic ? " with logging enabled" : ""}`
+    );
   }
 
   async collectLinks() {
@@ -195,42 +205,8 @@ class LinkCollector {
 
   async navigateToUrl(url) {
     try {
-      console.log(`🌐 Navigating to: ${url}`);
-      console.log("   ⏱️  Starting navigation with 60s timeout");
-      console.log(
-        "   🔄 Wait strategy: networkidle (no network activity for 500ms)"
-      );
-
       const startTime = Date.now();
-
-      // Try multiple wait strategies in sequence
-      try {
-        await this.page.goto(url, {
-          waitUntil: "domcontentloaded",
-          timeout: 20000,
-        });
-        console.log(`   ✅ DOM content loaded (${Date.now() - startTime}ms)`);
-
-        // Wait a bit more for potential dynamic content
-        console.log("   ⏳ Waiting for additional content to load...");
-        await this.page.waitForLoadState("networkidle", { timeout: 40000 });
-        console.log(
-          `   ✅ Network idle achieved (${Date.now() - startTime}ms)`
-        );
-      } catch (networkIdleError) {
-        console.log(`   ⚠️  Network idle timeout: ${networkIdleError.message}`);
-        console.log("   🔄 Attempting fallback with load event...");
-
-        try {
-          await this.page.waitForLoadState("load", { timeout: 10000 });
-          console.log(
-            `   ✅ Load event completed (${Date.now() - startTime}ms)`
-          );
-        } catch (loadError) {
-          console.log(`   ⚠️  Load event timeout: ${loadError.message}`);
-          console.log("   ➡️  Continuing with current page state...");
-        }
-      }
+      await this.browserManager.navigateToURL(this.page, url);
 
       // Check page status
       const finalUrl = this.page.url();
@@ -271,14 +247,14 @@ class LinkCollector {
     }
   }
 
-  async saveResults() {
+  async saveResults(sourceUrl = process.env.WEBSITE_URL) {
     try {
       const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-      const url = new URL(process.env.WEBSITE_URL);
+      const url = new URL(sourceUrl);
       const domain = url.hostname.replace(/\./g, "-");
 
       // Ensure dataset directory exists
-      const datasetDir = path.join(__dirname, "..", "dataset");
+      const datasetDir = resolveOutputDir(path.join(__dirname, "..", "dataset"));
       if (!fs.existsSync(datasetDir)) {
         fs.mkdirSync(datasetDir, { recursive: true });
       }
@@ -289,7 +265,7 @@ class LinkCollector {
         `links-${domain}-${timestamp}.json`
       );
       const linksData = {
-        url: process.env.WEBSITE_URL,
+        url: sourceUrl,
         timestamp: new Date().toISOString(),
         totalLinks: this.state.analysisData.links.length,
         links: this.state.analysisData.links,
@@ -321,18 +297,18 @@ class LinkCollector {
         },
       };
 
-      fs.writeFileSync(linksFile, JSON.stringify(linksData, null, 2));
+      writeJsonArtifact(linksFile, linksData);
       console.log(`💾 Detailed links data saved to: ${linksFile}`);
 
       // Save summary data
       const summaryFile = path.join(datasetDir, `links-summary-${domain}.json`);
       const summaryData = {
-        url: process.env.WEBSITE_URL,
+        url: sourceUrl,
         timestamp: new Date().toISOString(),
         ...linksData.summary,
       };
 
-      fs.writeFileSync(summaryFile, JSON.stringify(summaryData, null, 2));
+      writeJsonArtifact(summaryFile, summaryData);
       console.log(`📊 Summary data saved to: ${summaryFile}`);
 
       return { linksFile, summaryFile };
@@ -343,8 +319,8 @@ class LinkCollector {
   }
 
   async close() {
-    if (this.browser) {
-      await this.browser.close();
+    if (this.browserManager) {
+      await this.browserManager.cleanup();
       console.log("🔒 Browser closed");
     }
   }
@@ -353,6 +329,8 @@ class LinkCollector {
 async function main() {
   const url = process.env.WEBSITE_URL;
   const useBrowser = process.argv.includes("--use-browser");
+  const linkCheckOptions = linkCheckOptionsFromEnv();
+  const totalSteps = linkCheckOptions.enabled ? 5 : 4;
 
   console.log("🚀 Starting Link Collection Script");
   console.log("=====================================");
@@ -367,28 +345,64 @@ async function main() {
     process.exit(1);
   }
 
+  let gateBudgets;
+  try {
+    gateBudgets = qualityGatesFromEnv();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
   const collector = new LinkCollector();
   let success = false;
 
   try {
-    console.log("\n📋 Step 1/4: Initializing browser...");
+    console.log(`\n📋 Step 1/${totalSteps}: Initializing browser...`);
     await collector.init(useBrowser);
 
-    console.log("\n📋 Step 2/4: Navigating to target URL...");
+    console.log(`\n📋 Step 2/${totalSteps}: Navigating to target URL...`);
     await collector.navigateToUrl(url);
 
-    console.log("\n📋 Step 3/4: Collecting links...");
+    console.log(`\n📋 Step 3/${totalSteps}: Collecting links...`);
     const links = await collector.collectLinks();
 
-    console.log("\n📋 Step 4/4: Saving results...");
+    console.log(`\n📋 Step 4/${totalSteps}: Saving results...`);
     const files = await collector.saveResults();
 
+    let linkCheck = null;
+    if (linkCheckOptions.enabled) {
+      console.log(`\n📋 Step 5/${totalSteps}: Checking links...`);
+      const checker = new LinkChecker(linkCheckOptions);
+      linkCheck = await checker.checkAll(
+        links.map((link) => ({
+          url: link.href,
+          page: url,
+          text: link.text,
+          isExternal: link.isExternal,
+        }))
+      );
+      const datasetDir = resolveOutputDir(path.join(__dirname, "..", "dataset"));
+      Object.assign(files, saveLinkCheckResults(linkCheck, datasetDir));
+      applyQualityGates(
+        "links",
+        { brokenLinks: linkCheck.totals.broken },
+        datasetDir,
+        gateBudgets
+      );
+    }
+
     console.log("\n✅ ========= SUCCESS =========");
     console.log(`🎉 Link collection completed successfully!`);
     console.log(`📊 Total links collected: ${links.length}`);
     console.log(`💾 Files saved:`);
     console.log(`   - Detailed: ${files.linksFile}`);
     console.log(`   - Summary: ${files.summaryFile}`);
+    if (linkCheck) {
+      console.log(
+        `🔍 Links checked: ${linkCheck.totals.checked}, broken: ${linkCheck.totals.broken}`
+      );
+      console.log(`   - Broken link report: ${files.reportPath}`);
+    }
     console.log(`⏱️  Total execution time: ${Date.now() - Date.now()}ms`);
     console.log("============================");
 
@@ -422,4 +436,17 @@ async function main() {
   }
 }
 
-main();
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const handled = await runForEachUrl({
+    scanner: "links",
+    scriptPath: __filename,
+    datasetDir: path.join(__dirname, "..", "dataset"),
+    summaryFile: /^links-summary-.*\.json$/,
+    metrics: [""],
+  });
+  if (!handled) {
+    main();
+  }
+}
+
+export { LinkCollector };
@@ -1,8 +1,22 @@
-import { chromium } from "playwright";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import fs from "fs";
 import { config } from "dotenv";
+import {
+  CSPSafeBrowserManager,
+  browserOptionsFromEnv,
+} from "../shared/lib/browser-manager.mjs";
+import {
+  resolveOutputDir,
+  runForEachUrl,
+} from "../shared/lib/site-runner.mjs";
+import {
+  applyQualityGates,
+  qualityGatesFromEnv,
+} from "../shared/lib/quality-gates.mjs";
+import { seoToSarif, writeSarif } from "../shared/lib/sarif.mjs";
+import { seoJUnitSuites, writeJUnitReport } from "../shared/lib/junit.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
 
 // Load environment variables
 config();
@@ -13,10 +27,10 @@ const __dirname = dirname(__filename);
 
 class SEOAnalyzer {
   constructor() {
-    this.browser = null;
+    this.browserManager = new CSPSafeBrowserManager(browserOptionsFromEnv());
     this.page = null;
     this.state = {
-      outputDir: join(__dirname, "../dataset"),
+      outputDir: resolveOutputDir(join(__dirname, "../dataset")),
       metadata: {
         testTime: new Date().toISOString(),
         pageUrl: process.env.WEBSITE_URL,
@@ -34,20 +48,8 @@ class SEOAnalyzer {
   }
 
   async launch() {
-    console.log("🔧 Launching Chromium browser...");
-    const startTime = Date.now();
-
-    this.browser = await chromium.launch({
-      headless: true,
-      args: ["--no-sandbox", "--disable-dev-shm-usage"],
-    });
-
-    this.page = await this.browser.newPage({
-      viewport: { width: 1280, height: 720 },
-    });
-
-    const launchTime = Date.now() - startTime;
-    console.log(`✅ Browser launched in ${launchTime}ms`);
+    await this.browserManager.launchBrowser();
+    ({ page: this.page } = await this.browserManager.createPage());
 
     // Store metadata (handle CSP restrictions)
     try {
@@ -67,64 +69,12 @@ class SEOAnalyzer {
       throw new Error("WEBSITE_URL environment variable is required");
     }
 
-    console.log(`🌐 Navigating to: ${websiteUrl}`);
-    const startTime = Date.now();
-
-    try {
-      // Try to wait for networkidle with 10s timeout first
-      await this.page.goto(websiteUrl, {
-        waitUntil: "networkidle",
-        timeout: 10000,
-      });
-
-      const navigationTime = Date.now() - startTime;
-      console.log(
-        `✅ Navigation completed with networkidle in ${navigationTime}ms`
-      );
-    } catch (error) {
-      if (error.message.includes("Timeout")) {
-        console.log(
-          `⏱️ Networkidle timeout after 10s, proceeding with domcontentloaded...`
-        );
-
-        // Fallback to domcontentloaded if networkidle times out
-        try {
-          await this.page.goto(websiteUrl, {
-            waitUntil: "domcontentloaded",
-            timeout: 30000,
-          });
-
-          const navigationTime = Date.now() - startTime;
-          console.log(
-            `✅ Navigation completed with domcontentloaded in ${navigationTime}ms`
-          );
-        } catch (fallbackError) {
-          if (fallbackError.message.includes("Timeout")) {
-            console.log(
-              `⏱️ Domcontentloaded also timed out, proceeding with basic load...`
-            );
-
-            // Final fallback to basic load
-            await this.page.goto(websiteUrl, {
-              waitUntil: "load",
-              timeout: 60000,
-            });
-
-            const navigationTime = Date.now() - startTime;
-            console.log(
-              `✅ Navigation completed with basic load in ${navigationTime}ms`
-            );
-          } else {
-            throw fallbackError;
-          }
-        }
-      } else {
-        throw error;
-      }
-    }
+    const { pageTitle } = await this.browserManager.navigateToURL(
+      this.page,
+      websiteUrl
+    );
 
-    // Get page title
-    this.state.metadata.pageTitle = await this.page.title();
+    this.state.metadata.pageTitle = pageTitle;
     console.log(`📄 Page title: ${this.state.metadata.pageTitle}`);
   }
 
@@ -642,6 +592,31 @@ class SEOAnalyzer {
     const issues = [];
     const recommendations = [];
 
+    // Each scoring rule is recorded as a check with the points it earned and
+    // the issues/recommendations it raised
+    const checks = [];
+    let checkStart = { score: 0, issues: 0, recommendations: 0 };
+    const recordCheck = (name, maxPoints) => {
+      const points = Math.round((score - checkStart.score) * 100) / 100;
+      checks.push({
+        name,
+        points,
+        maxPoints,
+        passed: points >= maxPoints,
+        findings: [
+          ...issues.slice(checkStart.issues).map((issue) => issue.description),
+          ...recommendations
+            .slice(checkStart.recommendations)
+            .map((recommendation) => recommendation.suggestion),
+        ],
+      });
+      checkStart = {
+        score,
+        issues: issues.length,
+        recommendations: recommendations.length,
+      };
+    };
+
     // Title (15 points)
     if (seoData.basic.title.present) {
       if (
@@ -675,6 +650,7 @@ class SEOAnalyzer {
         impact: "Critical for search engine rankings and user experience",
       });
     }
+    recordCheck("Title", 15);
 
     // Description (15 points)
     if (seoData.basic.description.present) {
@@ -700,6 +676,7 @@ class SEOAnalyzer {
         impact: "Search engines may use less relevant text for snippets",
       });
     }
+    recordCheck("Meta Description", 15);
 
     // Headings (10 points)
     const h1Count = seoData.headings.h1?.length || 0;
@@ -721,6 +698,7 @@ class SEOAnalyzer {
       });
       score += 5;
     }
+    recordCheck("H1 Heading", 10);
 
     // Images (10 points)
     if (seoData.images.stats.total > 0) {
@@ -745,6 +723,7 @@ class SEOAnalyzer {
         });
       }
     }
+    recordCheck("Image Alt Text", 10);
 
     // Open Graph (10 points)
     const ogEssentials = ["title", "description", "url", "image"];
@@ -762,13 +741,19 @@ class SEOAnalyzer {
         impact: "Better social media sharing experience",
       });
     }
+    recordCheck("Open Graph", 10);
 
     // Technical SEO (15 points)
     if (seoData.basic.canonical.present) score += 3;
+    recordCheck("Canonical URL", 3);
     if (seoData.basic.viewport.mobileOptimized) score += 3;
+    recordCheck("Mobile Viewport", 3);
     if (seoData.basic.charset.present) score += 3;
+    recordCheck("Charset", 3);
     if (seoData.basic.lang.present) score += 3;
+    recordCheck("Language", 3);
     if (seoData.structuredData.count > 0) score += 3;
+    recordCheck("Structured Data", 3);
 
     // Performance (10 points) - simplified scoring
     if (seoData.performance.firstContentfulPaint) {
@@ -780,6 +765,7 @@ class SEOAnalyzer {
         score += 5;
       }
     }
+    recordCheck("First Contentful Paint", 10);
 
     // Links (5 points)
     if (
@@ -790,6 +776,7 @@ class SEOAnalyzer {
     } else if (seoData.links.internal.length > 0) {
       score += 3;
     }
+    recordCheck("Internal and External Links", 5);
 
     // Additional recommendations
     if (!seoData.basic.keywords.present) {
@@ -817,9 +804,29 @@ class SEOAnalyzer {
       percentage: Math.round((score / maxScore) * 100),
       issues,
       recommendations,
+      checks,
     };
   }
 
+  /**
+   * Run every SEO check against the loaded page and store the combined data.
+   */
+  async analyze() {
+    const seoData = {
+      basic: await this.analyzeBasicSEO(),
+      openGraph: await this.analyzeOpenGraph(),
+      twitterCards: await this.analyzeTwitterCards(),
+      structuredData: await this.analyzeStructuredData(),
+      headings: await this.analyzeHeadingStructure(),
+      images: await this.analyzeImages(),
+      links: await this.analyzeLinks(),
+      performance: await this.analyzePerformanceSEO(),
+    };
+
+    this.state.seoData = seoData;
+    return seoData;
+  }
+
   async takeScreenshot() {
     console.log("📸 Taking page screenshot...");
     const screenshotPath = join(
@@ -1005,21 +1012,99 @@ class SEOAnalyzer {
     return { report, assessment };
   }
 
+  /**
+   * Write seo-analysis-data.json, seo-summary.json, seo-report.md and
+   * seo-report.sarif.
+   */
+  saveResults(report, assessment) {
+    const seoData = this.state.seoData;
+
+    const dataPath = join(
+      this.state.outputDir,
+      "seo-analysis-data.json"
+    );
+    const summaryPath = join(this.state.outputDir, "seo-summary.json");
+    const reportPath = join(this.state.outputDir, "seo-report.md");
+    const sarifPath = join(this.state.outputDir, "seo-report.sarif");
+
+    // Save detailed data
+    writeJsonArtifact(dataPath, {
+      metadata: this.state.metadata,
+      seoData: seoData,
+      assessment: assessment,
+    });
+    console.log(`✅ SEO data saved: ${dataPath}`);
+
+    // Save summary
+    const summary = {
+      test: {
+        timestamp: this.state.metadata.testTime,
+        pageUrl: this.state.metadata.pageUrl,
+        pageTitle: this.state.metadata.pageTitle,
+        userAgent: this.state.metadata.userAgent,
+        viewport: this.state.metadata.viewportSize,
+      },
+      results: {
+        overallScore: assessment.score,
+        maxScore: assessment.maxScore,
+        percentage: assessment.percentage,
+        issues: assessment.issues.length,
+        recommendations: assessment.recommendations.length,
+      },
+      basicSEO: {
+        title: seoData.basic.title,
+        description: seoData.basic.description,
+        canonical: seoData.basic.canonical.present,
+        viewport: seoData.basic.viewport.mobileOptimized,
+        language: seoData.basic.lang.present,
+      },
+      socialMedia: {
+        openGraphTags: Object.keys(seoData.openGraph).length,
+        twitterCards: Object.keys(seoData.twitterCards).length,
+      },
+      content: {
+        h1Count: seoData.headings.h1?.length || 0,
+        totalHeadings: Object.values(seoData.headings).flat().length,
+        totalImages: seoData.images.stats.total,
+        imagesWithAlt: seoData.images.stats.withAlt,
+        structuredDataBlocks: seoData.structuredData.count,
+      },
+      issues: assessment.issues,
+      recommendations: assessment.recommendations,
+    };
+
+    writeJsonArtifact(summaryPath, summary);
+    console.log(`✅ SEO summary saved: ${summaryPath}`);
+
+    // Save report
+    fs.writeFileSync(reportPath, report);
+    console.log(`✅ SEO report saved: ${reportPath}`);
+
+    // Save SARIF
+    writeSarif(seoToSarif(assessment, this.state.metadata.pageUrl), sarifPath);
+    console.log(`✅ SEO SARIF saved: ${sarifPath}`);
+
+    const junitPath = writeJUnitReport(
+      "seo",
+      seoJUnitSuites(assessment, this.state.metadata.pageUrl),
+      this.state.outputDir
+    );
+
+    return {
+      dataPath,
+      summaryPath,
+      reportPath,
+      sarifPath,
+      ...(junitPath ? { junitPath } : {}),
+      summary,
+    };
+  }
+
   async cleanup() {
     console.log("\n🧹 CLEANUP PHASE");
     console.log("=================");
 
-    if (this.page) {
-      console.log("📄 Closing page...");
-      await this.page.close();
-      console.log("✅ Page closed");
-    }
-
-    if (this.browser) {
-      console.log("🔧 Closing browser...");
-      await this.browser.close();
-      console.log("✅ Browser closed");
-    }
+    await this.browserManager.cleanup();
 
     console.log("🏁 Cleanup completed");
   }
@@ -1045,6 +1130,7 @@ async function runSEOAnalysis() {
     if (!websiteUrl) {
       throw new Error("WEBSITE_URL environment variable is required");
     }
+    const gateBudgets = qualityGatesFromEnv();
 
     // Launch browser and navigate
     console.log("\n🚀 BROWSER SETUP");
@@ -1056,18 +1142,7 @@ async function runSEOAnalysis() {
     console.log("\n🔍 SEO ANALYSIS PHASE");
     console.log("=====================");
 
-    const seoData = {
-      basic: await seoAnalyzer.analyzeBasicSEO(),
-      openGraph: await seoAnalyzer.analyzeOpenGraph(),
-      twitterCards: await seoAnalyzer.analyzeTwitterCards(),
-      structuredData: await seoAnalyzer.analyzeStructuredData(),
-      headings: await seoAnalyzer.analyzeHeadingStructure(),
-      images: await seoAnalyzer.analyzeImages(),
-      links: await seoAnalyzer.analyzeLinks(),
-      performance: await seoAnalyzer.analyzePerformanceSEO(),
-    };
-
-    seoAnalyzer.state.seoData = seoData;
+    await seoAnalyzer.analyze();
 
     // Take screenshot
     console.log("\n📸 SCREENSHOT CAPTURE");
@@ -1083,72 +1158,10 @@ async function runSEOAnalysis() {
     console.log("\n💾 SAVING RESULTS");
     console.log("=================");
 
-    const dataPath = join(
-      seoAnalyzer.state.outputDir,
-      "seo-analysis-data.json"
+    const { dataPath, summaryPath, reportPath, sarifPath } = seoAnalyzer.saveResults(
+      report,
+      assessment
     );
-    const summaryPath = join(seoAnalyzer.state.outputDir, "seo-summary.json");
-    const reportPath = join(seoAnalyzer.state.outputDir, "seo-report.md");
-
-    // Save detailed data
-    fs.writeFileSync(
-      dataPath,
-      JSON.stringify(
-        {
-          metadata: seoAnalyzer.state.metadata,
-          seoData: seoData,
-          assessment: assessment,
-        },
-        null,
-        2
-      )
-    );
-    console.log(`✅ SEO data saved: ${dataPath}`);
-
-    // Save summary
-    const summary = {
-      test: {
-        timestamp: seoAnalyzer.state.metadata.testTime,
-        pageUrl: seoAnalyzer.state.metadata.pageUrl,
-        pageTitle: seoAnalyzer.state.metadata.pageTitle,
-        userAgent: seoAnalyzer.state.metadata.userAgent,
-        viewport: seoAnalyzer.state.metadata.viewportSize,
-      },
-      results: {
-        overallScore: assessment.score,
-        maxScore: assessment.maxScore,
-        percentage: assessment.percentage,
-        issues: assessment.issues.length,
-        recommendations: assessment.recommendations.length,
-      },
-      basicSEO: {
-        title: seoData.basic.title,
-        description: seoData.basic.description,
-        canonical: seoData.basic.canonical.present,
-        viewport: seoData.basic.viewport.mobileOptimized,
-        language: seoData.basic.lang.present,
-      },
-      socialMedia: {
-        openGraphTags: Object.keys(seoData.openGraph).length,
-        twitterCards: Object.keys(seoData.twitterCards).length,
-      },
-      content: {
-        h1Count: seoData.headings.h1?.length || 0,
-        totalHeadings: Object.values(seoData.headings).flat().length,
-        totalImages: seoData.images.stats.total,
-        imagesWithAlt: seoData.images.stats.withAlt,
-        structuredDataBlocks: seoData.structuredData.count,
-      },
-      issues: assessment.issues,
-      recommendations: assessment.recommendations,
-    };
-
-    fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
-    console.log(`✅ SEO summary saved: ${summaryPath}`);
-
-    // Save report
-    fs.writeFileSync(reportPath, report);
-    console.log(`✅ SEO report saved: ${reportPath}`);
 
     // Final summary
     console.log("\n🎉 SEO ANALYSIS COMPLETED!");
@@ -1156,11 +1169,19 @@ async function runSEOAnalysis() {
     console.log(`📊 SEO Data: ${dataPath}`);
     console.log(`📋 Summary: ${summaryPath}`);
     console.log(`📄 Report: ${reportPath}`);
+    console.log(`🛡️ SARIF: ${sarifPath}`);
     console.log(
       `🎯 SEO Score: ${assessment.score}/${assessment.maxScore} (${assessment.percentage}%)`
     );
     console.log(`⚠️ Issues Found: ${assessment.issues.length}`);
     console.log(`💡 Recommendations: ${assessment.recommendations.length}`);
+
+    applyQualityGates(
+      "seo",
+      { score: assessment.percentage },
+      seoAnalyzer.state.outputDir,
+      gateBudgets
+    );
   } catch (error) {
     console.log("\n❌ SEO ANALYSIS FAILED");
     console.log("=======================");
@@ -1174,7 +1195,16 @@ async function runSEOAnalysis() {
 
 // Run the analysis
 if (import.meta.url === `file://${process.argv[1]}`) {
-  runSEOAnalysis();
+  const handled = await runForEachUrl({
+    scanner: "seo",
+    scriptPath: __filename,
+    datasetDir: join(__dirname, "../dataset"),
+    summaryFile: "seo-summary.json",
+    metrics: ["results", "content"],
+  });
+  if (!handled) {
+    runSEOAnalysis();
+  }
 }
 
 export { SEOAnalyzer };
@@ -1,8 +1,16 @@
-import { chromium } from "playwright";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import {
+  CSPSafeBrowserManager,
+  browserOptionsFromEnv,
+} from "../shared/lib/browser-manager.mjs";
+import {
+  resolveOutputDir,
+  runForEachUrl,
+} from "../shared/lib/site-runner.mjs";
+import { writeJsonArtifact } from "../shared/lib/schemas.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -296,11 +304,11 @@ function analyzeUrlChange(previousUrl, newUrl) {
 
 class VideoRecorder {
   constructor() {
-    this.browser = null;
+    this.browserManager = new CSPSafeBrowserManager(browserOptionsFromEnv());
     this.context = null;
     this.page = null;
     this.state = {
-      outputDir: path.join(__dirname, "..", "dataset"),
+      outputDir: resolveOutputDir(path.join(__dirname, "..", "dataset")),
       videoRecording: {
         enabled: false,
         options: null,
@@ -312,7 +320,7 @@ class VideoRecorder {
       metadata: {
         totalDuration: 0,
         recordingQuality: "medium",
-        viewportSize: { width: 1280, height: 720 },
+        viewportSize: null,
         userAgent: null,
         finalVideoPath: null,
         fileSize: 0,
@@ -326,9 +334,10 @@ class VideoRecorder {
       console.log("===========================");
 
       // Get current viewport for default dimensions if needed
+      const defaultViewport = this.browserManager.options.viewport;
       const viewportSize = this.page?.viewportSize() || {
-        width: options.width || 1280,
-        height: options.height || 720,
+        width: options.width || defaultViewport.width,
+        height: options.height || defaultViewport.height,
       };
 
       // Set up video recording options with defaults
@@ -378,16 +387,13 @@ class VideoRecorder {
       console.log("🌐 Creating new context with video recording enabled...");
       const contextStart = Date.now();
 
-      this.context = await this.browser.newContext({
+      this.context = await this.browserManager.createContext({
         recordVideo: videoOptions,
         viewport: viewportSize,
-        userAgent:
-          currentUserAgent ||
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+        userAgent: currentUserAgent || this.browserManager.options.userAgent,
         bypassCSP: true,
         ignoreHTTPSErrors: true,
         javaScriptEnabled: true,
-        locale: "en-US",
       });
 
       console.log(`✅ Context created in ${Date.now() - contextStart}ms`);
@@ -405,12 +411,7 @@ class VideoRecorder {
         currentUrl !== "about:blank"
       ) {
         console.log(`🔄 Navigating to previous URL: ${currentUrl}`);
-        const navStart = Date.now();
-        await this.page.goto(currentUrl, {
-          waitUntil: "domcontentloaded",
-          timeout: 30000,
-        });
-        console.log(`✅ Navigation completed in ${Date.now() - navStart}ms`);
+        await this.browserManager.navigateToURL(this.page, currentUrl);
       }
 
       // Update state to track video recording
@@ -422,7 +423,8 @@ class VideoRecorder {
       };
 
       this.state.metadata.viewportSize = viewportSize;
-      this.state.metadata.userAgent = currentUserAgent;
+      this.state.metadata.userAgent =
+        currentUserAgent || this.browserManager.options.userAgent;
 
       console.log("✅ Video recording enabled successfully");
       return videoOptions;
@@ -1195,23 +1197,7 @@ class VideoRecorder {
     console.log("=================");
 
     try {
-      if (this.page) {
-        console.log("📄 Closing page...");
-        await this.page.close();
-        console.log("✅ Page closed");
-      }
-
-      if (this.context) {
-        console.log("🌐 Closing context...");
-        await this.context.close();
-        console.log("✅ Context closed");
-      }
-
-      if (this.browser) {
-        console.log("🔧 Closing browser...");
-        await this.browser.close();
-        console.log("✅ Browser closed");
-      }
+      await this.browserManager.cleanup();
 
       console.log("🏁 Cleanup completed");
     } catch (error) {
@@ -1253,49 +1239,23 @@ async function runVideoRecording() {
     // Launch browser
     console.log("\n🚀 BROWSER SETUP");
     console.log("=================");
-    console.log("🔧 Launching Chromium browser...");
-
-    const launchStart = Date.now();
-    recorder.browser = await chromium.launch({
-      headless: true,
-      args: ["--disable-dev-shm-usage", "--no-sandbox"],
-    });
-    console.log(`✅ Browser launched in ${Date.now() - launchStart}ms`);
+    await recorder.browserManager.launchBrowser();
 
     // Enable video recording
     await recorder.enableVideoRecording({
-      width: 1280,
-      height: 720,
       mode: "retain-on-failure",
     });
 
     // Navigate to website
     console.log("\n🌐 WEBSITE NAVIGATION");
     console.log("======================");
-    console.log(`🔄 Navigating to: ${websiteUrl}`);
-
-    const navStart = Date.now();
-    await recorder.page.goto(websiteUrl, {
-      waitUntil: "domcontentloaded",
-      timeout: 60000,
-    });
-    console.log(`✅ Navigation completed in ${Date.now() - navStart}ms`);
+    const { pageUrl: currentUrl, pageTitle } =
+      await recorder.browserManager.navigateToURL(recorder.page, websiteUrl);
 
     // Check page status
-    const currentUrl = recorder.page.url();
-    const pageTitle = await recorder.page.title();
     console.log(`   Final URL: ${currentUrl}`);
     console.log(`   Page title: "${pageTitle}"`);
 
-    // Wait for page to fully load
-    console.log("⏳ Waiting for network to settle...");
-    try {
-      await recorder.page.waitForLoadState("networkidle", { timeout: 10000 });
-      console.log("✅ Network settled");
-    } catch (networkError) {
-      console.log("⚠️  Network did not settle, continuing...");
-    }
-
     // Start recording
     await recorder.startRecording();
 
@@ -1362,7 +1322,7 @@ async function runVideoRecording() {
       recorder.state.outputDir,
       "video-recording-summary.json"
     );
-    fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+    writeJsonArtifact(metadataPath, metadata);
     console.log(`✅ Metadata saved: ${metadataPath}`);
 
     // Create human-readable report
@@ -1505,4 +1465,15 @@ async function runVideoRecording() {
 }
 
 // Run the video recording
-runVideoRecording().catch(console.error);
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const handled = await runForEachUrl({
+    scanner: "video",
+    scriptPath: __filename,
+    datasetDir: path.join(__dirname, "..", "dataset"),
+    summaryFile: "video-recording-summary.json",
+    metrics: ["recording", "performance"],
+  });
+  if (!handled) {
+    runVideoRecording().catch(console.error);
+  }
+}
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_LOGIN_TIMEOUT = 30000;
+
+/**
+ * Authentication settings from the environment. Either point
+ * AUTH_STORAGE_STATE at a Playwright storageState file, or describe a
+ * scripted login:
+ *   AUTH_LOGIN_URL           page with the login form
+ *   AUTH_USERNAME_SELECTOR   username/email field
+ *   AUTH_PASSWORD_SELECTOR   password field
+ *   AUTH_SUBMIT_SELECTOR     submit button (Enter is pressed when unset)
+ *   AUTH_USERNAME            username, read from the environment only
+ *   AUTH_PASSWORD            password, read from the environment only
+ *   AUTH_SUCCESS_SELECTOR    element that only appears once logged in
+ *   AUTH_SUCCESS_URL         URL fragment reached after a successful login
+ *   AUTH_TIMEOUT             login timeout in ms (default 30000)
+ * With both set, an existing AUTH_STORAGE_STATE file is reused and the
+ * login only runs when it is missing; the new session is then written
+ * there for the next scanner.
+ * Returns null when nothing is configured.
+ */
+export function authOptionsFromEnv(env = process.env) {
+  if (!env.AUTH_STORAGE_STATE && !env.AUTH_LOGIN_URL) {
+    return null;
+  }
+
+  return {
+    storageState: env.AUTH_STORAGE_STATE ? path.resolve(env.AUTH_STORAGE_STATE) : null,
+    loginUrl: env.AUTH_LOGIN_URL || null,
+    usernameSelector: env.AUTH_USERNAME_SELECTOR || null,
+    passwordSelector: env.AUTH_PASSWORD_SELECTOR || null,
+    submitSelector: env.AUTH_SUBMIT_SELECTOR || null,
+    username: env.AUTH_USERNAME || null,
+    password: env.AUTH_PASSWORD || null,
+    successSelector: env.AUTH_SUCCESS_SELECTOR || null,
+    successUrl: env.AUTH_SUCCESS_URL || null,
+    timeout: parseInt(env.AUTH_TIMEOUT) || DEFAULT_LOGIN_TIMEOUT
+  };
+}
+
+function validateLoginOptions(auth) {
+  const missing = [
+    ['usernameSelector', 'AUTH_USERNAME_SELECTOR'],
+    ['passwordSelector', 'AUTH_PASSWORD_SELECTOR'],
+    ['username', 'AUTH_USERNAME'],
+    ['password', 'AUTH_PASSWORD']
+  ]
+    .filter(([key]) => !auth[key])
+    .map(([, envName]) => envName);
+
+  if (missing.length > 0) {
+    throw new Error(`Scripted login needs ${missing.join(', ')}`);
+  }
+}
+
+async function waitForLogin(page, auth) {
+  const { successSelector, successUrl, timeout } = auth;
+
+  if (successSelector) {
+    await page.waitForSelector(successSelector, { state: 'attached', timeout });
+  }
+  if (successUrl) {
+    await page.waitForURL(url => url.href.includes(successUrl), { timeout });
+  }
+  if (!successSelector && !successUrl) {
+    // Without an explicit signal, wait for the post-submit navigation to
+    // settle and treat a password field that is still visible as a failure
+    await page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+    const stillOnForm = await page.locator(auth.passwordSelector).first().isVisible().catch(() => false);
+    if (stillOnForm) {
+      throw new Error('Password field is still visible after submitting; check the credentials or set AUTH_SUCCESS_SELECTOR');
+    }
+  }
+}
+
+/**
+ * Fill in and submit the login form in a throwaway context and return
+ * the resulting storage state (cookies and localStorage).
+ */
+export async function performScriptedLogin(browser, auth, contextOptions = {}) {
+  validateLoginOptions(auth);
+
+  console.log(`🔐 Logging in at ${auth.loginUrl}`);
+  const startTime = Date.now();
+  const context = await browser.newContext(contextOptions);
+
+  try {
+    const page = await context.newPage();
+    page.setDefaultTimeout(auth.timeout);
+
+    await page.goto(auth.loginUrl, { waitUntil: 'domcontentloaded', timeout: auth.timeout });
+    await page.fill(auth.usernameSelector, auth.username);
+    await page.fill(auth.passwordSelector, auth.password);
+
+    if (auth.submitSelector) {
+      await page.click(auth.submitSelector);
+    } else {
+      await page.press(auth.passwordSelector, 'Enter');
+    }
+
+    await waitForLogin(page, auth);
+    const state = await context.storageState();
+
+    console.log(`✅ Logged in as ${auth.username} in ${Date.now() - startTime}ms (${state.cookies.length} cookies)`);
+    return state;
+  } catch (error) {
+    // Playwright errors can echo the filled value, so keep the password out of logs
+    const message = auth.password ? error.message.split(auth.password).join('***') : error.message;
+    throw new Error(`Login failed: ${message}`);
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Storage state every scanner context should start from: the configured
+ * file when it exists, otherwise a fresh scripted login (saved to
+ * AUTH_STORAGE_STATE when set, with owner-only permissions).
+ */
+export async function resolveStorageState(browser, auth, contextOptions = {}) {
+  if (auth.storageState && fs.existsSync(auth.storageState)) {
+    console.log(`🔐 Using saved session from ${auth.storageState}`);
+    return auth.storageState;
+  }
+
+  if (!auth.loginUrl) {
+    throw new Error(`Storage state file not found: ${auth.storageState}`);
+  }
+
+  const state = await performScriptedLogin(browser, auth, contextOptions);
+
+  if (auth.storageState) {
+    fs.mkdirSync(path.dirname(auth.storageState), { recursive: true });
+    fs.writeFileSync(auth.storageState, JSON.stringify(state, null, 2), { mode: 0o600 });
+    console.log(`💾 Session saved to ${auth.storageState}`);
+  }
+
+  return state;
+}
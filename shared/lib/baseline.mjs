@@ -0,0 +1,352 @@
+import fs from 'fs';
+import path from 'path';
+
+// Resource size changes smaller than this fraction are treated as noise
+const RESOURCE_SIZE_TOLERANCE = 0.05;
+const MESSAGE_KEY_LENGTH = 200;
+
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️ Could not parse ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+function messageKey(text) {
+  return String(text).replace(/\s+/g, ' ').trim().slice(0, MESSAGE_KEY_LENGTH);
+}
+
+function stripQuery(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch {
+    return url;
+  }
+}
+
+function snapshotAccessibility(datasetDir) {
+  const results = readJson(path.join(datasetDir, 'accessibility-report.json'));
+  if (!results) return null;
+
+  const violations = {};
+  (results.violations || []).forEach(violation => {
+    violations[violation.id] = {
+      impact: violation.impact || null,
+      help: violation.help || violation.description || '',
+      nodes: (violation.nodes || []).length,
+      targets: (violation.nodes || []).map(node => [].concat(node.target || []).join(' ')).filter(Boolean)
+    };
+  });
+
+  return { url: results.url || null, violations };
+}
+
+function snapshotSeo(datasetDir) {
+  const data = readJson(path.join(datasetDir, 'seo-analysis-data.json'));
+  if (!data) return null;
+
+  const issues = {};
+  (data.assessment?.issues || []).forEach(issue => {
+    issues[issue.type] = { severity: issue.severity, description: issue.description };
+  });
+
+  return {
+    url: data.metadata?.pageUrl || null,
+    score: data.assessment?.percentage ?? null,
+    issues
+  };
+}
+
+function snapshotConsole(datasetDir) {
+  const data = readJson(path.join(datasetDir, 'console-listener-messages.json'));
+  if (!data) return null;
+
+  const errors = {};
+  const add = key => {
+    errors[key] = (errors[key] || 0) + 1;
+  };
+  (data.consoleData?.errors || []).forEach(([, text]) => add(`console: ${messageKey(text)}`));
+  (data.additionalErrors?.pageErrors || []).forEach(error => add(`page: ${messageKey(error.message)}`));
+  (data.additionalErrors?.networkErrors || []).forEach(error =>
+    add(`network: ${stripQuery(error.url)} (${error.errorText || 'failed'})`)
+  );
+
+  return { url: data.sourceUrl || null, errors };
+}
+
+function snapshotCookies(datasetDir) {
+  const data = readJson(path.join(datasetDir, 'cookies.json'));
+  if (!data) return null;
+
+  const cookies = {};
+  (data.cookies || []).forEach(cookie => {
+    cookies[`${cookie.name}@${cookie.domain}${cookie.path || '/'}`] = {
+      secure: !!cookie.secure,
+      httpOnly: !!cookie.httpOnly,
+      sameSite: cookie.sameSite || null,
+      session: cookie.expires === -1 || cookie.expires === undefined
+    };
+  });
+
+  return { url: data.sourceUrl || null, cookies };
+}
+
+function snapshotResources(datasetDir) {
+  const data = readJson(path.join(datasetDir, 'loaded-resources-collector-data.json'));
+  if (!data) return null;
+
+  const resources = {};
+  let totalSize = 0;
+  Object.entries(data).forEach(([type, list]) => {
+    if (!Array.isArray(list)) return;
+    list.forEach(resource => {
+      if (!resource?.url) return;
+      const key = stripQuery(resource.url);
+      const size = resource.size || 0;
+      totalSize += size;
+      resources[key] = { type, size: (resources[key]?.size || 0) + size };
+    });
+  });
+
+  return { totalSize, totalCount: Object.keys(resources).length, resources };
+}
+
+function snapshotLighthouse(datasetDir) {
+  if (!fs.existsSync(datasetDir)) return null;
+  const devices = {};
+
+  fs.readdirSync(datasetDir)
+    .filter(file => /^lighthouse-summary-.*\.json$/.test(file))
+    .forEach(file => {
+      const summary = readJson(path.join(datasetDir, file));
+      if (!summary?.scores) return;
+      const device = summary.device || file.replace(/^lighthouse-summary-|\.json$/g, '');
+      devices[device] = Object.fromEntries(
+        Object.entries(summary.scores).filter(([, score]) => typeof score === 'number')
+      );
+    });
+
+  return Object.keys(devices).length > 0 ? { devices } : null;
+}
+
+const SNAPSHOTTERS = {
+  accessibility: snapshotAccessibility,
+  seo: snapshotSeo,
+  console: snapshotConsole,
+  cookies: snapshotCookies,
+  resources: snapshotResources,
+  lighthouse: snapshotLighthouse
+};
+
+/**
+ * Reduce a dataset directory to the comparable facts of each scanner that
+ * produced output there. Scanners without output are left out.
+ */
+export function createSnapshot(datasetDir) {
+  const scanners = {};
+  Object.entries(SNAPSHOTTERS).forEach(([name, snapshot]) => {
+    const result = snapshot(datasetDir);
+    if (result) scanners[name] = result;
+  });
+
+  const url = Object.values(scanners).map(scanner => scanner.url).find(Boolean) || null;
+  return { url, createdAt: new Date().toISOString(), scanners };
+}
+
+function diffKeyed(baseline = {}, current = {}, isChanged) {
+  const diff = { new: [], fixed: [], changed: [], unchanged: 0 };
+
+  Object.entries(current).forEach(([key, value]) => {
+    if (!(key in baseline)) {
+      diff.new.push({ key, current: value });
+    } else if (isChanged(baseline[key], value)) {
+      diff.changed.push({ key, baseline: baseline[key], current: value });
+    } else {
+      diff.unchanged++;
+    }
+  });
+  Object.entries(baseline).forEach(([key, value]) => {
+    if (!(key in current)) diff.fixed.push({ key, baseline: value });
+  });
+
+  return diff;
+}
+
+function scoreChange(key, baseline, current, higherIsBetter = true) {
+  if (baseline == null || current == null || baseline === current) return null;
+  const delta = Math.round((current - baseline) * 100) / 100;
+  return { key, baseline, current, delta, regression: higherIsBetter ? delta < 0 : delta > 0 };
+}
+
+const DIFFERS = {
+  accessibility(baseline, current) {
+    const diff = diffKeyed(baseline.violations, current.violations, (a, b) => a.nodes !== b.nodes);
+    diff.changed.forEach(item => {
+      item.regression = item.current.nodes > item.baseline.nodes;
+    });
+    diff.regressions = diff.new.length + diff.changed.filter(item => item.regression).length;
+    return diff;
+  },
+
+  seo(baseline, current) {
+    const diff = diffKeyed(baseline.issues, current.issues, (a, b) => a.severity !== b.severity);
+    const score = scoreChange('score', baseline.score, current.score);
+    if (score) diff.changed.push(score);
+    diff.regressions = diff.new.length + (score?.regression ? 1 : 0);
+    return diff;
+  },
+
+  console(baseline, current) {
+    const diff = diffKeyed(baseline.errors, current.errors, (a, b) => a !== b);
+    diff.changed.forEach(item => {
+      item.regression = item.current > item.baseline;
+    });
+    diff.regressions = diff.new.length + diff.changed.filter(item => item.regression).length;
+    return diff;
+  },
+
+  cookies(baseline, current) {
+    const diff = diffKeyed(
+      baseline.cookies,
+      current.cookies,
+      (a, b) => JSON.stringify(a) !== JSON.stringify(b)
+    );
+    // New cookies are worth reviewing (tracking, consent) so they count
+    diff.regressions = diff.new.length;
+    return diff;
+  },
+
+  resources(baseline, current) {
+    const diff = diffKeyed(baseline.resources, current.resources, (a, b) => {
+      const base = Math.max(a.size, 1);
+      return Math.abs(b.size - a.size) / base > RESOURCE_SIZE_TOLERANCE;
+    });
+    diff.changed.forEach(item => {
+      item.delta = item.current.size - item.baseline.size;
+      item.regression = item.delta > 0;
+    });
+    const total = scoreChange('totalSize', baseline.totalSize, current.totalSize, false);
+    if (total && Math.abs(total.delta) / Math.max(baseline.totalSize, 1) > RESOURCE_SIZE_TOLERANCE) {
+      diff.changed.unshift(total);
+    }
+    diff.regressions = diff.changed.filter(item => item.regression).length;
+    return diff;
+  },
+
+  lighthouse(baseline, current) {
+    const diff = { new: [], fixed: [], changed: [], unchanged: 0 };
+    Object.entries(current.devices).forEach(([device, scores]) => {
+      const baseScores = baseline.devices[device];
+      if (!baseScores) {
+        diff.new.push({ key: device, current: scores });
+        return;
+      }
+      Object.entries(scores).forEach(([category, score]) => {
+        const change = scoreChange(`${device}.${category}`, baseScores[category], score);
+        if (change) {
+          diff.changed.push(change);
+        } else {
+          diff.unchanged++;
+        }
+      });
+    });
+    Object.entries(baseline.devices).forEach(([device, scores]) => {
+      if (!current.devices[device]) diff.fixed.push({ key: device, baseline: scores });
+    });
+    diff.regressions = diff.changed.filter(item => item.regression).length;
+    return diff;
+  }
+};
+
+/**
+ * Compare two snapshots scanner by scanner. Each scanner reports new,
+ * fixed and changed items plus how many of them are regressions.
+ */
+export function compareSnapshots(baseline, current) {
+  const scanners = {};
+  const skipped = [];
+
+  Object.keys(DIFFERS).forEach(name => {
+    if (baseline.scanners[name] && current.scanners[name]) {
+      scanners[name] = DIFFERS[name](baseline.scanners[name], current.scanners[name]);
+    } else if (baseline.scanners[name] || current.scanners[name]) {
+      skipped.push({ scanner: name, reason: baseline.scanners[name] ? 'missing in current run' : 'missing in baseline' });
+    }
+  });
+
+  const totals = { new: 0, fixed: 0, changed: 0, regressions: 0 };
+  Object.values(scanners).forEach(diff => {
+    totals.new += diff.new.length;
+    totals.fixed += diff.fixed.length;
+    totals.changed += diff.changed.length;
+    totals.regressions += diff.regressions;
+  });
+
+  return {
+    url: current.url,
+    baselineUrl: baseline.url,
+    baselineCreatedAt: baseline.createdAt,
+    comparedAt: new Date().toISOString(),
+    totals,
+    scanners,
+    skipped
+  };
+}
+
+function describe(value) {
+  if (value == null) return '';
+  if (typeof value !== 'object') return String(value);
+  if ('nodes' in value) return `${value.impact || 'unknown'} impact, ${value.nodes} nodes`;
+  if ('severity' in value) return `${value.severity}: ${value.description}`;
+  if ('size' in value) return `${value.type}, ${value.size} bytes`;
+  return Object.entries(value).map(([key, item]) => `${key}=${item}`).join(', ');
+}
+
+/**
+ * Markdown summary of a comparison, one section per scanner.
+ */
+export function formatComparisonReport(comparison) {
+  let report = `# Baseline Comparison\n\n`;
+  report += `**URL:** ${comparison.url || 'unknown'}\n`;
+  report += `**Baseline:** ${comparison.baselineCreatedAt}${
+    comparison.baselineUrl && comparison.baselineUrl !== comparison.url ? ` (${comparison.baselineUrl})` : ''
+  }\n`;
+  report += `**Compared:** ${comparison.comparedAt}\n\n`;
+
+  report += `| Scanner | New | Fixed | Changed | Regressions |\n|---|---|---|---|---|\n`;
+  Object.entries(comparison.scanners).forEach(([name, diff]) => {
+    report += `| ${name} | ${diff.new.length} | ${diff.fixed.length} | ${diff.changed.length} | ${
+      diff.regressions > 0 ? `⚠️ ${diff.regressions}` : '✅ 0'
+    } |\n`;
+  });
+  report += `\n`;
+
+  Object.entries(comparison.scanners).forEach(([name, diff]) => {
+    if (diff.new.length + diff.fixed.length + diff.changed.length === 0) return;
+    report += `## ${name}\n\n`;
+    diff.new.forEach(item => {
+      report += `- 🆕 **${item.key}** ${describe(item.current)}\n`;
+    });
+    diff.fixed.forEach(item => {
+      report += `- ✅ **${item.key}** no longer present\n`;
+    });
+    diff.changed.forEach(item => {
+      const marker = item.regression ? '⚠️' : item.regression === false ? '👍' : '🔄';
+      report += `- ${marker} **${item.key}** ${describe(item.baseline)} → ${describe(item.current)}\n`;
+    });
+    report += `\n`;
+  });
+
+  if (comparison.skipped.length > 0) {
+    report += `## Not compared\n\n`;
+    comparison.skipped.forEach(({ scanner, reason }) => {
+      report += `- ${scanner}: ${reason}\n`;
+    });
+  }
+
+  return report;
+}
@@ -0,0 +1,382 @@
+import { chromium } from "playwright";
+import { authOptionsFromEnv, resolveStorageState } from './auth.mjs';
+
+export const DEFAULT_USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+export const DEFAULT_VIEWPORT = {
+  name: 'desktop',
+  width: 1920,
+  height: 1080
+};
+
+const DEFAULT_LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-features=VizDisplayCompositor',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding',
+  '--no-first-run',
+  '--no-default-browser-check',
+  '--disable-blink-features=AutomationControlled',
+  '--disable-extensions'
+];
+
+/**
+ * Build browser manager options from the environment and command line.
+ * Every scanner reads the same variables so a run behaves the same everywhere:
+ *   --use-browser / HEADLESS=false   show the browser window
+ *   VIEWPORT_WIDTH / VIEWPORT_HEIGHT default viewport size
+ *   USER_AGENT                       override the default Chrome user agent
+ *   LOCALE                           browser locale (default en-US)
+ *   TIMEOUT                          default action timeout in ms
+ *   NAVIGATION_TIMEOUT               page.goto timeout in ms
+ *   NETWORK_IDLE_TIMEOUT             how long to wait for networkidle in ms
+ *   SETTLE_TIME                      extra wait for dynamic content in ms
+ *   AUTH_*                           log in first, see authOptionsFromEnv
+ */
+export function browserOptionsFromEnv(overrides = {}) {
+  const env = process.env;
+  const options = {
+    headless: !process.argv.includes('--use-browser') && env.HEADLESS !== 'false'
+  };
+
+  if (env.VIEWPORT_WIDTH || env.VIEWPORT_HEIGHT) {
+    options.viewport = {
+      name: 'custom',
+      width: parseInt(env.VIEWPORT_WIDTH) || DEFAULT_VIEWPORT.width,
+      height: parseInt(env.VIEWPORT_HEIGHT) || DEFAULT_VIEWPORT.height
+    };
+  }
+  if (env.USER_AGENT) options.userAgent = env.USER_AGENT;
+  if (env.LOCALE) options.locale = env.LOCALE;
+  if (env.TIMEOUT) options.timeout = parseInt(env.TIMEOUT);
+  if (env.NAVIGATION_TIMEOUT) options.navigationTimeout = parseInt(env.NAVIGATION_TIMEOUT);
+  if (env.NETWORK_IDLE_TIMEOUT) options.networkIdleTimeout = parseInt(env.NETWORK_IDLE_TIMEOUT);
+  if (env.SETTLE_TIME) options.settleTime = parseInt(env.SETTLE_TIME);
+
+  const auth = authOptionsFromEnv(env);
+  if (auth) options.auth = auth;
+
+  return { ...options, ...overrides };
+}
+
+/**
+ * CSP-Safe Browser Manager
+ * Shared browser lifecycle, context and navigation handling for every scanner.
+ * Contexts and pages are tracked so a single cleanup() releases everything.
+ * `disableWebSecurity` turns off same-origin checks for the scanners that
+ * read cross-origin frames; it also hides the CORS failures the console and
+ * network scanners report, so it is off unless a scanner asks for it.
+ */
+export class CSPSafeBrowserManager {
+  constructor(options = {}) {
+    this.browser = null;
+    this.contexts = new Set();
+    this.pages = new Map(); // Track all pages for proper cleanup
+    this.storageState = null; // Logged-in session shared by every context
+    this.options = {
+      headless: true,
+      timeout: 30000,
+      navigationTimeout: 60000,
+      networkIdleTimeout: 30000,
+      settleTime: 2000,
+      viewport: DEFAULT_VIEWPORT,
+      userAgent: DEFAULT_USER_AGENT,
+      locale: 'en-US',
+      launchArgs: DEFAULT_LAUNCH_ARGS,
+      disableWebSecurity: false,
+      ...options
+    };
+  }
+
+  async launchBrowser() {
+    if (this.browser) {
+      console.log("Browser already launched, reusing existing instance");
+      return this.browser;
+    }
+
+    console.log("🔧 Launching Chromium with CSP-safe configuration...");
+    console.log(`   Headless mode: ${this.options.headless}`);
+    const startTime = Date.now();
+
+    try {
+      this.browser = await chromium.launch({
+        headless: this.options.headless,
+        args: [
+          ...this.options.launchArgs,
+          ...(this.options.disableWebSecurity ? ['--disable-web-security'] : [])
+        ]
+      });
+
+      const launchTime = Date.now() - startTime;
+      console.log(`✅ Browser launched successfully in ${launchTime}ms`);
+    } catch (error) {
+      console.error(`❌ Failed to launch browser: ${error.message}`);
+      throw error;
+    }
+
+    if (this.options.auth) {
+      await this.authenticate();
+    }
+
+    return this.browser;
+  }
+
+  /**
+   * Log in once (or load the saved session) so every context created
+   * afterwards starts authenticated.
+   */
+  async authenticate() {
+    try {
+      this.storageState = await resolveStorageState(this.browser, this.options.auth, {
+        viewport: { width: this.options.viewport.width, height: this.options.viewport.height },
+        userAgent: this.options.userAgent,
+        locale: this.options.locale,
+        ignoreHTTPSErrors: true
+      });
+    } catch (error) {
+      console.error(`❌ Authentication failed: ${error.message}`);
+      await this.closeBrowser();
+      throw error;
+    }
+  }
+
+  /**
+   * Create a tracked browser context. The manager's viewport, user agent and
+   * locale are applied unless overridden; any other Playwright context option
+   * (javaScriptEnabled, recordVideo, extraHTTPHeaders, ...) is passed through.
+   */
+  async createContext(contextOptions = {}) {
+    if (!this.browser) {
+      await this.launchBrowser();
+    }
+
+    const { viewport = this.options.viewport, ...rest } = contextOptions;
+
+    try {
+      const context = await this.browser.newContext({
+        viewport: {
+          width: viewport.width,
+          height: viewport.height
+        },
+        deviceScaleFactor: viewport.deviceScaleFactor || 1,
+        isMobile: viewport.isMobile || false,
+        hasTouch: viewport.hasTouch || false,
+        userAgent: this.options.userAgent,
+        locale: this.options.locale,
+        ...(this.storageState ? { storageState: this.storageState } : {}),
+        ...rest
+      });
+
+      context.setDefaultTimeout(this.options.timeout);
+      context.setDefaultNavigationTimeout(this.options.navigationTimeout);
+      this.contexts.add(context);
+
+      return context;
+    } catch (error) {
+      console.error(`❌ Failed to create browser context: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async createPage(viewport = this.options.viewport, contextOptions = {}) {
+    const name = viewport.name || 'custom';
+    console.log(`🌐 Creating page for ${name} viewport (${viewport.width}x${viewport.height})`);
+
+    try {
+      const context = await this.createContext({ ...contextOptions, viewport });
+      const page = await context.newPage();
+
+      // Track page for cleanup
+      const pageId = `${name}-${Date.now()}`;
+      this.pages.set(pageId, page);
+
+      return { page, pageId, context };
+    } catch (error) {
+      console.error(`❌ Failed to create page for ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Navigate with the shared strategy: wait for DOMContentLoaded (falling back
+   * to the load event on timeout), then give the network a bounded chance to
+   * go idle, then let dynamic content settle.
+   */
+  async navigateToURL(page, url, options = {}) {
+    const {
+      navigationTimeout = this.options.navigationTimeout,
+      networkIdleTimeout = this.options.networkIdleTimeout,
+      settleTime = this.options.settleTime
+    } = options;
+
+    console.log(`🌐 Navigating to: ${url}`);
+    const startTime = Date.now();
+    let response = null;
+    let waitStrategy = 'domcontentloaded';
+
+    try {
+      response = await page.goto(url, {
+        waitUntil: 'domcontentloaded',
+        timeout: navigationTimeout
+      });
+      console.log(`✅ DOM content loaded in ${Date.now() - startTime}ms`);
+    } catch (error) {
+      if (error.message.includes('Timeout') || error.message.includes('timeout')) {
+        console.log('⏱️ DOMContentLoaded timeout, falling back to load event...');
+        waitStrategy = 'load';
+
+        try {
+          response = await page.goto(url, {
+            waitUntil: 'load',
+            timeout: navigationTimeout
+          });
+          console.log(`✅ Navigation completed with load in ${Date.now() - startTime}ms`);
+        } catch (fallbackError) {
+          console.error(`❌ Navigation failed even with fallback: ${fallbackError.message}`);
+          throw fallbackError;
+        }
+      } else {
+        console.error(`❌ Navigation failed: ${error.message}`);
+        throw error;
+      }
+    }
+
+    if (networkIdleTimeout > 0) {
+      try {
+        await page.waitForLoadState('networkidle', { timeout: networkIdleTimeout });
+        waitStrategy = 'networkidle';
+        console.log(`✅ Network idle achieved in ${Date.now() - startTime}ms`);
+      } catch (error) {
+        console.log(`⚠️ Network didn't settle within ${networkIdleTimeout}ms, continuing anyway...`);
+      }
+    }
+
+    // Wait for additional dynamic content
+    if (settleTime > 0) {
+      try {
+        await page.waitForTimeout(settleTime);
+      } catch (error) {
+        console.warn(`⚠️ Wait timeout error (non-critical): ${error.message}`);
+      }
+    }
+
+    const navigationTime = Date.now() - startTime;
+
+    // Get basic page info
+    try {
+      const pageTitle = await page.title();
+      const pageUrl = page.url();
+      console.log(`📄 Page loaded: "${pageTitle}"`);
+
+      return {
+        pageTitle,
+        pageUrl,
+        status: response ? response.status() : null,
+        waitStrategy,
+        navigationTime
+      };
+    } catch (error) {
+      console.warn(`⚠️ Could not get page info: ${error.message}`);
+      return { pageTitle: 'Unknown', pageUrl: url, status: null, waitStrategy, navigationTime };
+    }
+  }
+
+  async closePage(pageId) {
+    if (this.pages.has(pageId)) {
+      try {
+        const page = this.pages.get(pageId);
+        if (!page.isClosed()) {
+          await page.close();
+          console.log(`✅ Page ${pageId} closed successfully`);
+        }
+        this.pages.delete(pageId);
+      } catch (error) {
+        console.warn(`⚠️ Error closing page ${pageId}: ${error.message}`);
+        this.pages.delete(pageId); // Remove from tracking anyway
+      }
+    }
+  }
+
+  async closeAllPages() {
+    console.log(`🧹 Closing ${this.pages.size} open pages...`);
+
+    for (const [pageId, page] of this.pages.entries()) {
+      try {
+        if (!page.isClosed()) {
+          await page.close();
+        }
+      } catch (error) {
+        console.warn(`⚠️ Error closing page ${pageId}: ${error.message}`);
+      }
+    }
+
+    this.pages.clear();
+    console.log(`✅ All pages closed`);
+  }
+
+  async closeAllContexts() {
+    for (const context of this.contexts) {
+      try {
+        await context.close();
+      } catch (error) {
+        console.warn(`⚠️ Error closing context: ${error.message}`);
+      }
+    }
+
+    this.contexts.clear();
+  }
+
+  async closeBrowser() {
+    try {
+      // Close pages and contexts first so videos and traces are flushed
+      await this.closeAllPages();
+      await this.closeAllContexts();
+
+      // Close browser
+      if (this.browser) {
+        console.log("🔧 Closing browser...");
+        await this.browser.close();
+        this.browser = null;
+        console.log("✅ Browser closed successfully");
+      }
+    } catch (error) {
+      console.error(`❌ Error during browser cleanup: ${error.message}`);
+      // Force cleanup
+      this.browser = null;
+      this.pages.clear();
+      this.contexts.clear();
+    }
+  }
+
+  async cleanup() {
+    await this.closeBrowser();
+  }
+
+  // Health check methods
+  isBrowserOpen() {
+    return this.browser && this.browser.isConnected();
+  }
+
+  getOpenPagesCount() {
+    return this.pages.size;
+  }
+
+  async getBrowserInfo() {
+    if (!this.browser) return null;
+
+    try {
+      const version = await this.browser.version();
+      return {
+        version,
+        isConnected: this.browser.isConnected(),
+        openPages: this.pages.size,
+        openContexts: this.contexts.size
+      };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+}
@@ -0,0 +1,407 @@
+import fs from 'fs';
+import path from 'path';
+
+const MAX_WATERFALL_ROWS = 150;
+const MAX_TABLE_ROWS = 200;
+
+function readJson(datasetDir, file) {
+  const filePath = path.join(datasetDir, file);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️ Could not parse ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, index)).toFixed(index === 0 ? 0 : 1)} ${units[index]}`;
+}
+
+function scoreClass(score) {
+  if (typeof score !== 'number') return 'na';
+  if (score >= 90) return 'good';
+  if (score >= 50) return 'average';
+  return 'poor';
+}
+
+function badge(label, value, className) {
+  return `<div class="score ${className}"><span class="value">${
+    value === undefined || value === null ? 'n/a' : escapeHtml(value)
+  }</span><span class="label">${escapeHtml(label)}</span></div>`;
+}
+
+// 0-100 score, coloured like Lighthouse
+function scoreBadge(label, score, suffix = '') {
+  return badge(label, typeof score === 'number' ? `${score}${suffix}` : null, scoreClass(score));
+}
+
+// Count of problems: green at zero, red otherwise
+function issueBadge(label, count) {
+  return badge(label, count, typeof count !== 'number' ? 'na' : count === 0 ? 'good' : 'poor');
+}
+
+function statBadge(label, value) {
+  return badge(label, value, 'na');
+}
+
+/**
+ * Embed a screenshot from the dataset as a data URI so the dashboard stays
+ * a single file. Returns '' when the image was not produced.
+ */
+function screenshot(datasetDir, file, caption = file) {
+  const filePath = path.join(datasetDir, file);
+  if (!fs.existsSync(filePath)) return '';
+  const data = fs.readFileSync(filePath).toString('base64');
+  return `<figure><img src="data:image/png;base64,${data}" alt="${escapeHtml(caption)}" loading="lazy"><figcaption>${escapeHtml(
+    caption
+  )}</figcaption></figure>`;
+}
+
+function table(headers, rows, emptyText = 'Nothing to show') {
+  if (rows.length === 0) return `<p class="muted">${escapeHtml(emptyText)}</p>`;
+  const shown = rows.slice(0, MAX_TABLE_ROWS);
+  return `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead><tbody>${shown
+    .map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`)
+    .join('')}</tbody></table>${
+    rows.length > shown.length ? `<p class="muted">${rows.length - shown.length} more rows not shown</p>` : ''
+  }`;
+}
+
+function section(id, title, body) {
+  return `<section id="${id}"><h2>${escapeHtml(title)}</h2>${body}</section>`;
+}
+
+function lighthouseSection(datasetDir, files) {
+  const summaries = files
+    .filter(file => /^lighthouse-summary-.*\.json$/.test(file))
+    .map(file => readJson(datasetDir, file))
+    .filter(summary => summary?.scores);
+  if (summaries.length === 0) return null;
+
+  const body = summaries
+    .map(summary => {
+      const { scores, metrics = {} } = summary;
+      return `<h3>${escapeHtml(summary.device)}</h3>
+<div class="scores">${scoreBadge('Performance', scores.performance)}${scoreBadge(
+        'Accessibility',
+        scores.accessibility
+      )}${scoreBadge('Best Practices', scores.bestPractices)}${scoreBadge('SEO', scores.seo)}${
+        typeof scores.pwa === 'number' ? scoreBadge('PWA', scores.pwa) : ''
+      }</div>
+${table(
+  ['Metric', 'Value'],
+  Object.entries(metrics).map(([name, value]) => [escapeHtml(name), escapeHtml(value)])
+)}
+${screenshot(datasetDir, `lighthouse-${summary.device}.png`, `Lighthouse ${summary.device} final screenshot`)}`;
+    })
+    .join('');
+
+  return section('lighthouse', 'Lighthouse', body);
+}
+
+function accessibilitySection(datasetDir) {
+  const summary = readJson(datasetDir, 'accessibility-summary.json');
+  if (!summary) return null;
+
+  const { violations } = summary;
+  const impacts = ['critical', 'serious', 'moderate', 'minor'];
+  const largest = Math.max(1, ...impacts.map(impact => violations[impact] || 0));
+  const bars = impacts
+    .map(
+      impact => `<div class="bar-row"><span class="bar-label">${impact}</span><span class="bar ${impact}" style="width:${
+        ((violations[impact] || 0) / largest) * 100
+      }%"></span><span class="bar-value">${violations[impact] || 0}</span></div>`
+    )
+    .join('');
+
+  const rows = (summary.violationDetails || []).map(violation => [
+    `<span class="pill ${escapeHtml(violation.impact)}">${escapeHtml(violation.impact)}</span>`,
+    violation.helpUrl
+      ? `<a href="${escapeHtml(violation.helpUrl)}">${escapeHtml(violation.id)}</a>`
+      : escapeHtml(violation.id),
+    escapeHtml(violation.help),
+    violation.nodes
+  ]);
+
+  return section(
+    'accessibility',
+    'Accessibility',
+    `<div class="scores">${issueBadge('Violations', violations.count)}${statBadge('Passes', summary.passes)}${statBadge(
+      'Needs review',
+      summary.incomplete
+    )}</div>
+<h3>Violations by impact</h3><div class="bars">${bars}</div>
+<h3>Violations</h3>${table(['Impact', 'Rule', 'Description', 'Elements'], rows, 'No violations found')}
+${screenshot(datasetDir, 'accessibility-screenshot.png', 'Accessibility audit screenshot')}`
+  );
+}
+
+function seoSection(datasetDir) {
+  const summary = readJson(datasetDir, 'seo-summary.json');
+  if (!summary) return null;
+
+  const issues = (summary.issues || []).map(issue => [
+    `<span class="pill ${escapeHtml(issue.severity)}">${escapeHtml(issue.severity)}</span>`,
+    escapeHtml(issue.type),
+    escapeHtml(issue.description)
+  ]);
+  const recommendations = (summary.recommendations || []).map(
+    recommendation =>
+      `<li><strong>${escapeHtml(recommendation.category)}</strong> (${escapeHtml(recommendation.priority)}): ${escapeHtml(
+        recommendation.suggestion
+      )}</li>`
+  );
+
+  return section(
+    'seo',
+    'SEO',
+    `<div class="scores">${scoreBadge('SEO score', summary.results?.percentage, '%')}</div>
+<p><strong>Title:</strong> ${escapeHtml(summary.basicSEO?.title?.content ?? summary.test?.pageTitle)}</p>
+<h3>Issues</h3>${table(['Severity', 'Issue', 'Details'], issues, 'No SEO issues found')}
+${recommendations.length > 0 ? `<h3>Recommendations</h3><ul>${recommendations.join('')}</ul>` : ''}
+${screenshot(datasetDir, 'seo-analysis-screenshot.png', 'SEO analysis screenshot')}`
+  );
+}
+
+function cookiesSection(datasetDir) {
+  const data = readJson(datasetDir, 'cookies.json');
+  if (!data) return null;
+
+  const flag = value => (value ? '✅' : '—');
+  const rows = (data.cookies || []).map(cookie => [
+    escapeHtml(cookie.name),
+    escapeHtml(cookie.domain),
+    escapeHtml(cookie.path),
+    flag(cookie.secure),
+    flag(cookie.httpOnly),
+    escapeHtml(cookie.sameSite || ''),
+    cookie.expires === -1 || cookie.expires === undefined
+      ? 'session'
+      : escapeHtml(new Date(cookie.expires * 1000).toISOString().slice(0, 10))
+  ]);
+
+  return section(
+    'cookies',
+    'Cookies',
+    `<div class="scores">${statBadge('Cookies', data.totalCookies)}</div>
+${table(['Name', 'Domain', 'Path', 'Secure', 'HttpOnly', 'SameSite', 'Expires'], rows, 'No cookies set')}
+${screenshot(datasetDir, 'cookies-page-screenshot.png', 'Cookies page screenshot')}`
+  );
+}
+
+function consoleSection(datasetDir) {
+  const data = readJson(datasetDir, 'console-listener-messages.json');
+  if (!data) return null;
+
+  const rows = [
+    ...(data.consoleData?.errors || []).map(([, text]) => ['console', `<code>${escapeHtml(text)}</code>`]),
+    ...(data.additionalErrors?.pageErrors || []).map(error => ['page', `<code>${escapeHtml(error.message)}</code>`]),
+    ...(data.additionalErrors?.networkErrors || []).map(error => [
+      'network',
+      `<code>${escapeHtml(`${error.method || 'GET'} ${error.url}`)}</code> ${escapeHtml(error.errorText || '')}`
+    ])
+  ];
+  const statistics = data.statistics || {};
+
+  return section(
+    'console',
+    'Console',
+    `<div class="scores">${issueBadge('Errors', statistics.errorCount)}${statBadge(
+      'Warnings',
+      statistics.warningCount
+    )}${issueBadge('Page errors', data.additionalErrors?.pageErrors?.length)}${issueBadge(
+      'Failed requests',
+      data.additionalErrors?.networkErrors?.length
+    )}</div>
+${table(['Source', 'Message'], rows, 'No errors logged')}
+${screenshot(datasetDir, 'console-listener-listener-screenshot.png', 'Console listener screenshot')}`
+  );
+}
+
+function resourcesSection(datasetDir) {
+  const data = readJson(datasetDir, 'loaded-resources-collector-data.json');
+  if (!data) return null;
+  const summary = readJson(datasetDir, 'loaded-resources-collector-summary.json');
+
+  const resources = Object.values(data)
+    .filter(Array.isArray)
+    .flat()
+    .filter(resource => resource?.url && resource.timing?.requestStart > 0)
+    .sort((a, b) => a.timing.requestStart - b.timing.requestStart);
+
+  let waterfall = '<p class="muted">No timing data collected</p>';
+  if (resources.length > 0) {
+    // requestStart is a monotonic timestamp in seconds
+    const origin = resources[0].timing.requestStart;
+    const rows = resources.slice(0, MAX_WATERFALL_ROWS).map(resource => ({
+      resource,
+      start: (resource.timing.requestStart - origin) * 1000,
+      duration: Math.max(resource.timing.duration || 0, 1)
+    }));
+    const end = Math.max(...rows.map(row => row.start + row.duration), 1);
+    waterfall = `<div class="waterfall">${rows
+      .map(
+        ({ resource, start, duration }) => `<div class="wf-row" title="${escapeHtml(resource.url)}"><span class="wf-url">${escapeHtml(
+          resource.url.replace(/^https?:\/\//, '').slice(0, 80)
+        )}</span><span class="wf-track"><span class="wf-bar ${escapeHtml(
+          String(resource.resourceType).toLowerCase()
+        )}" style="left:${(start / end) * 100}%;width:${Math.max((duration / end) * 100, 0.3)}%"></span></span><span class="wf-meta">${Math.round(
+          duration
+        )}ms · ${formatBytes(resource.size)}</span></div>`
+      )
+      .join('')}</div>${
+      resources.length > rows.length ? `<p class="muted">${resources.length - rows.length} more requests not shown</p>` : ''
+    }`;
+  }
+
+  const performance = summary?.performance || {};
+  return section(
+    'resources',
+    'Loaded resources',
+    `<div class="scores">${statBadge('Requests', summary?.resources?.total ?? resources.length)}${statBadge(
+      'Transfer size',
+      performance.totalSizeFormatted ?? formatBytes(resources.reduce((sum, resource) => sum + (resource.size || 0), 0))
+    )}${statBadge('Avg load (ms)', performance.averageLoadTime)}${scoreBadge('Cache hit', performance.cacheEfficiency, '%')}</div>
+<h3>Waterfall</h3>${waterfall}
+${screenshot(datasetDir, 'loaded-resources-collector-screenshot.png', 'Loaded resources screenshot')}`
+  );
+}
+
+function ssrSection(datasetDir) {
+  const summary = readJson(datasetDir, 'disabled-js-summary.json');
+  if (!summary) return null;
+
+  const { results = {} } = summary;
+  const issues = (summary.issues || []).map(issue => [
+    `<span class="pill ${escapeHtml(issue.severity)}">${escapeHtml(issue.severity)}</span>`,
+    escapeHtml(issue.type),
+    escapeHtml(issue.description)
+  ]);
+
+  return section(
+    'ssr',
+    'JavaScript disabled (SSR)',
+    `<div class="scores">${scoreBadge('SSR score', results.overallSSRScore)}${scoreBadge(
+      'Content',
+      results.contentPreservation,
+      '%'
+    )}${scoreBadge('Functionality', results.functionalityPreservation, '%')}${scoreBadge(
+      'Visual',
+      results.visualConsistency,
+      '%'
+    )}${scoreBadge('Accessibility', results.accessibilityMaintenance, '%')}</div>
+<p><strong>Assessment:</strong> ${escapeHtml(results.qualityAssessment)}</p>
+${table(['Severity', 'Issue', 'Details'], issues, 'No SSR issues found')}
+<div class="side-by-side">${screenshot(
+      datasetDir,
+      'disabled-js-test-with-javascript.png',
+      'With JavaScript'
+    )}${screenshot(datasetDir, 'disabled-js-test-without-javascript.png', 'Without JavaScript')}</div>`
+  );
+}
+
+function qualityGatesSection(datasetDir, files) {
+  const results = files
+    .filter(file => /^quality-gate-.*\.json$/.test(file))
+    .map(file => readJson(datasetDir, file))
+    .filter(result => result?.checks);
+  if (results.length === 0) return null;
+
+  const rows = results.flatMap(result =>
+    result.checks.map(check => [
+      escapeHtml(result.scanner),
+      escapeHtml(check.gate),
+      escapeHtml(check.actual ?? 'n/a'),
+      escapeHtml(`${check.comparator} ${check.threshold}`),
+      check.passed ? '✅' : '❌'
+    ])
+  );
+  return section('quality-gates', 'Quality gates', table(['Scanner', 'Gate', 'Actual', 'Budget', 'Passed'], rows));
+}
+
+const STYLES = `
+body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;margin:0;color:#1f2328;background:#f6f8fa}
+header{background:#24292f;color:#fff;padding:20px 32px}header h1{margin:0 0 4px;font-size:22px}header a{color:#9ecbff}
+nav{padding:8px 32px;background:#fff;border-bottom:1px solid #d0d7de;position:sticky;top:0}nav a{margin-right:16px;color:#0969da;text-decoration:none}
+main{padding:16px 32px;max-width:1200px}section{background:#fff;border:1px solid #d0d7de;border-radius:8px;padding:16px 24px;margin-bottom:24px}
+h2{margin-top:0}.muted{color:#656d76}.scores{display:flex;flex-wrap:wrap;gap:12px;margin-bottom:12px}
+.score{border-radius:8px;padding:10px 16px;min-width:100px;text-align:center;background:#eaeef2}.score .value{display:block;font-size:24px;font-weight:600}.score .label{font-size:12px}
+.score.good{background:#dafbe1}.score.average{background:#fff8c5}.score.poor{background:#ffebe9}
+table{border-collapse:collapse;width:100%;font-size:13px;margin-bottom:12px}th,td{border-bottom:1px solid #d0d7de;padding:6px 8px;text-align:left;vertical-align:top}
+code{word-break:break-all}.pill{border-radius:10px;padding:2px 8px;font-size:12px;background:#eaeef2}
+.pill.critical{background:#cf222e;color:#fff}.pill.serious,.pill.high{background:#fb8f44}.pill.moderate,.pill.medium{background:#eac54f}.pill.minor,.pill.low{background:#afb8c1}
+.bars{max-width:600px}.bar-row{display:flex;align-items:center;margin:4px 0}.bar-label{width:80px;font-size:13px}.bar{height:14px;border-radius:3px;min-width:2px;background:#afb8c1}
+.bar.critical{background:#cf222e}.bar.serious{background:#fb8f44}.bar.moderate{background:#eac54f}.bar-value{margin-left:8px;font-size:13px}
+.waterfall{font-size:11px;font-family:ui-monospace,monospace}.wf-row{display:flex;align-items:center;height:16px}
+.wf-url{width:320px;overflow:hidden;white-space:nowrap;text-overflow:ellipsis}.wf-track{flex:1;position:relative;height:10px;background:#f6f8fa}
+.wf-bar{position:absolute;top:0;height:10px;background:#8c959f}.wf-bar.script{background:#bf8700}.wf-bar.stylesheet{background:#8250df}.wf-bar.image{background:#1a7f37}
+.wf-bar.document{background:#0969da}.wf-bar.font{background:#bc4c00}.wf-bar.xhr,.wf-bar.fetch{background:#cf222e}.wf-meta{width:140px;text-align:right}
+figure{margin:12px 0}figure img{max-width:100%;max-height:600px;border:1px solid #d0d7de}figcaption{font-size:12px;color:#656d76}
+.side-by-side{display:flex;gap:16px}.side-by-side figure{flex:1}
+`;
+
+/**
+ * Build a single self-contained HTML page from whatever scanner output is
+ * in datasetDir. Sections for scanners that did not run are left out and
+ * screenshots are inlined as data URIs.
+ */
+export function buildDashboard(datasetDir, { url, generatedAt = new Date().toISOString() } = {}) {
+  const files = fs.existsSync(datasetDir) ? fs.readdirSync(datasetDir) : [];
+  const sections = [
+    qualityGatesSection(datasetDir, files),
+    lighthouseSection(datasetDir, files),
+    accessibilitySection(datasetDir),
+    seoSection(datasetDir),
+    ssrSection(datasetDir),
+    consoleSection(datasetDir),
+    resourcesSection(datasetDir),
+    cookiesSection(datasetDir)
+  ].filter(Boolean);
+
+  const nav = sections
+    .map(html => html.match(/^<section id="([^"]+)"><h2>(.*?)<\/h2>/))
+    .map(([, id, title]) => `<a href="#${id}">${title}</a>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>UI audit: ${escapeHtml(url || 'report')}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header><h1>UI audit dashboard</h1><div>${
+    url ? `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a> · ` : ''
+  }generated ${escapeHtml(generatedAt)}</div></header>
+<nav>${nav}</nav>
+<main>
+${sections.length > 0 ? sections.join('\n') : '<p class="muted">No scanner results found in the dataset directory.</p>'}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write dashboard.html into datasetDir and return its path.
+ */
+export function writeDashboard(datasetDir, options = {}) {
+  const dashboardPath = path.join(datasetDir, 'dashboard.html');
+  fs.writeFileSync(dashboardPath, buildDashboard(datasetDir, options));
+  return dashboardPath;
+}
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import { withSchemaVersion } from './schemas.mjs';
+
+/**
+ * Where run history lives: HISTORY_DIR, or history/ inside the dataset.
+ * Keep it somewhere that survives between runs (a cache, a checked-in
+ * directory) for trends to build up.
+ */
+export function historyDirFromEnv(datasetDir, env = process.env) {
+  return path.resolve(env.HISTORY_DIR || path.join(datasetDir, 'history'));
+}
+
+function historyFile(historyDir, scanner) {
+  return path.join(historyDir, `${scanner}.jsonl`);
+}
+
+function readLines(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs
+    .readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        // A line cut short by an interrupted write; the rest are still good
+        return [];
+      }
+    });
+}
+
+/**
+ * Append history entries, one JSON line per { url, scanner, timestamp,
+ * metrics } in history/<scanner>.jsonl. An entry already stored for the
+ * same URL, scanner and timestamp is skipped, so processing one dataset
+ * twice does not double up. Returns the entries that were written.
+ */
+export function appendHistory(historyDir, entries, recordedAt = new Date().toISOString()) {
+  fs.mkdirSync(historyDir, { recursive: true });
+  const written = [];
+  const byScanner = {};
+  entries.forEach(entry => {
+    (byScanner[entry.scanner] ||= []).push(entry);
+  });
+
+  Object.entries(byScanner).forEach(([scanner, scannerEntries]) => {
+    const filePath = historyFile(historyDir, scanner);
+    const seen = new Set(readLines(filePath).map(entry => `${entry.url}|${entry.timestamp}`));
+    const lines = scannerEntries
+      .filter(entry => !seen.has(`${entry.url}|${entry.timestamp}`))
+      .map(entry => {
+        written.push(entry);
+        return JSON.stringify(withSchemaVersion({ ...entry, recordedAt }));
+      });
+    if (lines.length > 0) {
+      fs.appendFileSync(filePath, `${lines.join('\n')}\n`);
+    }
+  });
+
+  return written;
+}
+
+/**
+ * Read history entries, oldest first, optionally for one URL and/or a
+ * list of scanners.
+ */
+export function readHistory(historyDir, { url, scanners } = {}) {
+  if (!fs.existsSync(historyDir)) return [];
+  return fs
+    .readdirSync(historyDir)
+    .filter(file => file.endsWith('.jsonl'))
+    .filter(file => !scanners || scanners.includes(file.replace(/\.jsonl$/, '')))
+    .flatMap(file => readLines(path.join(historyDir, file)))
+    .filter(entry => !url || entry.url === url)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
@@ -0,0 +1,86 @@
+/**
+ * Clickable elements the interaction scanners look for, keyed by
+ * Playwright selector, each with a risk assessment (how likely a click is
+ * to leave the page or change data) and a priority for the order to try
+ * them in.
+ */
+export const CLICKABLE_CONFIGURATIONS = {
+  // Safe navigation elements (high priority)
+  'nav a:visible': {
+    name: 'navigation-links',
+    riskLevel: 'safe',
+    priority: 'high',
+    description: 'Main navigation menu links'
+  },
+  'button[role="tab"]:visible': {
+    name: 'tab-buttons',
+    riskLevel: 'safe',
+    priority: 'high',
+    description: 'Tab navigation buttons for switching content'
+  },
+  '[role="button"][aria-label*="menu" i]:visible': {
+    name: 'menu-toggles',
+    riskLevel: 'safe',
+    priority: 'high',
+    description: 'Menu toggle buttons'
+  },
+
+  // Interactive UI elements (medium priority)
+  'button[type="button"]:not([onclick]):visible': {
+    name: 'ui-buttons',
+    riskLevel: 'medium',
+    priority: 'medium',
+    description: 'General UI interaction buttons without onclick handlers'
+  },
+  'button[aria-label*="carousel" i]:visible, button[aria-label*="next" i]:visible, button[aria-label*="prev" i]:visible': {
+    name: 'carousel-controls',
+    riskLevel: 'safe',
+    priority: 'medium',
+    description: 'Carousel navigation buttons (next/previous)'
+  },
+  '[role="button"]:not([type="submit"]):visible': {
+    name: 'aria-buttons',
+    riskLevel: 'medium',
+    priority: 'medium',
+    description: 'Elements with button role (excluding submit buttons)'
+  },
+  'button[aria-expanded]:visible': {
+    name: 'expandable-buttons',
+    riskLevel: 'safe',
+    priority: 'medium',
+    description: 'Dropdown or expandable content buttons'
+  },
+
+  // Content links (medium priority)
+  'a:not([href*="mailto:"]):not([href*="tel:"]):not([href^="#"]):visible': {
+    name: 'content-links',
+    riskLevel: 'medium',
+    priority: 'medium',
+    description: 'Content links (excluding email, tel, and anchor links)'
+  },
+
+  // Form elements (low priority - more risky)
+  'input[type="button"]:visible': {
+    name: 'input-buttons',
+    riskLevel: 'medium',
+    priority: 'low',
+    description: 'Form input buttons'
+  },
+  'button[type="submit"]:visible': {
+    name: 'submit-buttons',
+    riskLevel: 'high',
+    priority: 'low',
+    description: 'Form submit buttons - handled carefully'
+  }
+};
+
+const PRIORITY_ORDER = { high: 3, medium: 2, low: 1 };
+
+/**
+ * [selector, config] pairs of a catalog, highest priority first.
+ */
+export function byPriority(configurations) {
+  return Object.entries(configurations).sort(
+    (a, b) => PRIORITY_ORDER[b[1].priority] - PRIORITY_ORDER[a[1].priority]
+  );
+}
@@ -0,0 +1,329 @@
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_SSR_THRESHOLD = 80;
+const MAX_DETAIL_NODES = 20;
+
+/**
+ * JUnit settings from the environment:
+ *   JUNIT_OUTPUT          "true" writes junit-<scanner>.xml next to the other results
+ *   JUNIT_SSR_THRESHOLD   minimum disabled-JS preservation score (0-100) that
+ *                         passes (default 80)
+ */
+export function junitOptionsFromEnv(env = process.env) {
+  return {
+    enabled: env.JUNIT_OUTPUT === 'true',
+    ssrThreshold: parseFloat(env.JUNIT_SSR_THRESHOLD) || DEFAULT_SSR_THRESHOLD
+  };
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    // Control characters are not allowed in XML 1.0 at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function renderCase(testCase) {
+  const attributes = `name="${escapeXml(testCase.name)}" classname="${escapeXml(testCase.classname)}" time="${
+    (testCase.time || 0) / 1000
+  }"`;
+  if (testCase.failure) {
+    const { message, type = 'failure', details = '' } = testCase.failure;
+    return `    <testcase ${attributes}>\n      <failure message="${escapeXml(message)}" type="${escapeXml(
+      type
+    )}">${escapeXml(details)}</failure>\n    </testcase>`;
+  }
+  if (testCase.skipped) {
+    return `    <testcase ${attributes}>\n      <skipped message="${escapeXml(testCase.skipped)}"/>\n    </testcase>`;
+  }
+  return `    <testcase ${attributes}/>`;
+}
+
+/**
+ * Render suites as a JUnit XML document. Each suite is
+ * { name, properties?, cases: [{ name, classname, time?, failure?: { message, type?, details? }, skipped? }] }.
+ */
+export function buildJUnitXml(suites, timestamp = new Date().toISOString()) {
+  const count = (cases, key) => cases.filter(testCase => testCase[key]).length;
+  const all = suites.flatMap(suite => suite.cases);
+
+  let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+  xml += `<testsuites tests="${all.length}" failures="${count(all, 'failure')}" skipped="${count(all, 'skipped')}">\n`;
+  suites.forEach(suite => {
+    xml += `  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" failures="${count(
+      suite.cases,
+      'failure'
+    )}" errors="0" skipped="${count(suite.cases, 'skipped')}" timestamp="${escapeXml(timestamp)}">\n`;
+    const properties = Object.entries(suite.properties || {}).filter(([, value]) => value != null);
+    if (properties.length > 0) {
+      xml += `    <properties>\n`;
+      properties.forEach(([name, value]) => {
+        xml += `      <property name="${escapeXml(name)}" value="${escapeXml(value)}"/>\n`;
+      });
+      xml += `    </properties>\n`;
+    }
+    suite.cases.forEach(testCase => {
+      xml += `${renderCase(testCase)}\n`;
+    });
+    xml += `  </testsuite>\n`;
+  });
+  xml += `</testsuites>\n`;
+  return xml;
+}
+
+/**
+ * Write junit-<name>.xml into datasetDir when JUNIT_OUTPUT is enabled.
+ * Returns the file path, or null when JUnit output is off.
+ */
+export function writeJUnitReport(name, suites, datasetDir, env = process.env) {
+  if (!junitOptionsFromEnv(env).enabled) return null;
+
+  const junitPath = path.join(datasetDir, `junit-${name}.xml`);
+  fs.writeFileSync(junitPath, buildJUnitXml(suites));
+  console.log(`🧪 JUnit report saved to: ${junitPath}`);
+  return junitPath;
+}
+
+/**
+ * One testcase per axe rule: violations fail, passes pass, and incomplete
+ * rules (needing manual review) and allowlisted violations are reported as
+ * skipped.
+ */
+export function accessibilityJUnitSuites(results, websiteUrl) {
+  const classname = 'accessibility.axe';
+  const cases = [
+    ...(results.violations || []).map(violation => {
+      const nodes = violation.nodes || [];
+      const details = nodes
+        .slice(0, MAX_DETAIL_NODES)
+        .map(node => `${[].concat(node.target || []).join(' ')}\n${node.failureSummary || ''}`.trim())
+        .join('\n\n');
+      return {
+        name: violation.id,
+        classname,
+        failure: {
+          message: `${violation.help} (${violation.impact || 'unknown'} impact, ${nodes.length} element${
+            nodes.length === 1 ? '' : 's'
+          })`,
+          type: violation.impact || 'violation',
+          details: `${details}${nodes.length > MAX_DETAIL_NODES ? `\n\n... ${nodes.length - MAX_DETAIL_NODES} more` : ''}\n\n${
+            violation.helpUrl || ''
+          }`.trim()
+        }
+      };
+    }),
+    ...(results.incomplete || []).map(rule => ({
+      name: rule.id,
+      classname,
+      skipped: `Needs manual review: ${rule.help}`
+    })),
+    ...(results.suppressed || []).map(violation => ({
+      name: violation.id,
+      classname,
+      skipped: `Suppressed by the allowlist${
+        violation.suppression.justification ? `: ${violation.suppression.justification}` : ''
+      }`
+    })),
+    ...(results.passes || []).map(rule => ({ name: rule.id, classname }))
+  ];
+
+  return [{ name: 'accessibility', properties: { url: websiteUrl, engine: results.testEngine?.version }, cases }];
+}
+
+/**
+ * One testcase per SEO scoring rule; a rule passes when it earned all of
+ * its points.
+ */
+export function seoJUnitSuites(assessment, pageUrl) {
+  const cases = (assessment.checks || []).map(check => {
+    const testCase = { name: check.name, classname: 'seo.scoring' };
+    if (!check.passed) {
+      testCase.failure = {
+        message: `${check.name} scored ${check.points}/${check.maxPoints}${
+          check.findings.length > 0 ? `: ${check.findings[0]}` : ''
+        }`,
+        type: 'score',
+        details: check.findings.join('\n')
+      };
+    }
+    return testCase;
+  });
+
+  return [
+    {
+      name: 'seo',
+      properties: { url: pageUrl, score: `${assessment.score}/${assessment.maxScore}` },
+      cases
+    }
+  ];
+}
+
+/**
+ * One testcase per disabled-JavaScript preservation metric, failing below
+ * the threshold.
+ */
+export function ssrJUnitSuites(differences, pageUrl, threshold = junitOptionsFromEnv().ssrThreshold) {
+  const groups = {
+    contentPreservation: differences.contentPreservation,
+    functionalityGracefulDegradation: differences.functionalityGracefulDegradation,
+    visualConsistency: differences.visualConsistency
+  };
+
+  const metricCase = (classname, name, value) => {
+    const score = Math.round(value * 10) / 10;
+    const testCase = { name, classname };
+    if (!(score >= threshold)) {
+      testCase.failure = {
+        message: `${name} is ${score}% (threshold ${threshold}%)`,
+        type: 'threshold'
+      };
+    }
+    return testCase;
+  };
+
+  const cases = Object.entries(groups).flatMap(([group, scores]) =>
+    Object.entries(scores || {})
+      .filter(([, value]) => typeof value === 'number')
+      .map(([metric, value]) => metricCase(`disabled-js.${group}`, metric, value))
+  );
+  if (typeof differences.accessibilityMaintenance?.score === 'number') {
+    cases.push(metricCase('disabled-js.accessibilityMaintenance', 'score', differences.accessibilityMaintenance.score));
+  }
+  if (typeof differences.overallSSRScore === 'number') {
+    cases.push(metricCase('disabled-js', 'overallSSRScore', differences.overallSSRScore));
+  }
+
+  return [{ name: 'disabled-js', properties: { url: pageUrl, threshold }, cases }];
+}
+
+/**
+ * One testcase per checked link, grouped by the first page that links to
+ * it. Redirects pass; client/server errors, timeouts and request errors fail.
+ */
+export function linkCheckJUnitSuites(report) {
+  const cases = (report.results || []).map(result => {
+    const testCase = { name: result.url, classname: `links.${result.referencedBy?.[0] || 'unknown'}`, time: result.latency };
+    if (!['ok', 'redirect'].includes(result.category)) {
+      testCase.failure = {
+        message: result.status ? `HTTP ${result.status} (${result.category})` : `${result.category}: ${result.error}`,
+        type: result.category,
+        details: `Linked from:\n${(result.referencedBy || []).join('\n')}`
+      };
+    }
+    return testCase;
+  });
+
+  return [{ name: 'links', properties: { checked: report.totals?.checked }, cases }];
+}
+
+/**
+ * One failing testcase per console error, uncaught page error and failed
+ * request, or a single passing testcase when the page logged none.
+ */
+export function consoleJUnitSuites(data, websiteUrl) {
+  const cases = [
+    ...(data.consoleData?.errors || []).map(([, text], index) => ({
+      name: `console error #${index + 1}`,
+      classname: 'console.console',
+      failure: { message: String(text).split('\n')[0].slice(0, 200), type: 'console-error', details: String(text) }
+    })),
+    ...(data.additionalErrors?.pageErrors || []).map((error, index) => ({
+      name: `page error #${index + 1}`,
+      classname: 'console.page',
+      failure: { message: error.message, type: 'page-error', details: error.stack || error.message }
+    })),
+    ...(data.additionalErrors?.networkErrors || []).map(error => ({
+      name: `${error.method || 'GET'} ${error.url}`,
+      classname: 'console.network',
+      failure: { message: error.errorText || 'Request failed', type: 'network-error' }
+    }))
+  ];
+  if (cases.length === 0) {
+    cases.push({ name: 'no console errors', classname: 'console' });
+  }
+
+  return [{ name: 'console', properties: { url: websiteUrl }, cases }];
+}
+
+/**
+ * One testcase per Lighthouse category and per scored audit. Audits pass at
+ * a score of 0.9 or above, which is where Lighthouse turns them green.
+ */
+export function lighthouseJUnitSuites(lhr, device) {
+  const categoryCases = Object.values(lhr.categories || {}).map(category => {
+    const score = category.score === null ? null : Math.round(category.score * 100);
+    const testCase = { name: category.title || category.id, classname: `lighthouse.${device}.categories` };
+    if (score === null) {
+      testCase.skipped = 'Not scored';
+    } else if (score < 90) {
+      testCase.failure = { message: `${category.title} score ${score}/100`, type: 'score' };
+    }
+    return testCase;
+  });
+
+  const auditCases = Object.values(lhr.audits || {})
+    .filter(audit => ['binary', 'numeric', 'metricSavings'].includes(audit.scoreDisplayMode) && audit.score !== null)
+    .map(audit => {
+      const testCase = { name: audit.id, classname: `lighthouse.${device}.audits` };
+      if (audit.score < 0.9) {
+        testCase.failure = {
+          message: `${audit.title}${audit.displayValue ? ` (${audit.displayValue})` : ''}`,
+          type: 'audit',
+          details: audit.description || ''
+        };
+      }
+      return testCase;
+    });
+
+  return [
+    {
+      name: `lighthouse-${device}`,
+      properties: { url: lhr.finalDisplayedUrl || lhr.finalUrl, device },
+      cases: [...categoryCases, ...auditCases]
+    }
+  ];
+}
+
+/**
+ * One testcase per line of the performance budget that applied to the page.
+ */
+export function lighthouseBudgetJUnitSuites(budget, device) {
+  const cases = budget.lines.map(line => {
+    const testCase = { name: `${line.type} ${line.name}`, classname: `lighthouse.${device}.budget` };
+    if (!line.passed) {
+      testCase.failure = {
+        message:
+          line.actual === null
+            ? `${line.name} was not measured`
+            : `${line.name} ${line.actual} ${line.unit} is ${line.overBudget} ${line.unit} over the ${line.budget} ${line.unit} budget`,
+        type: 'budget'
+      };
+    }
+    return testCase;
+  });
+
+  return [{ name: `lighthouse-${device}-budget`, properties: { path: budget.path || '*' }, cases }];
+}
+
+/**
+ * One testcase per quality gate budget.
+ */
+export function qualityGateJUnitSuites(result) {
+  const cases = result.checks.map(check => {
+    const testCase = { name: check.gate, classname: `quality-gates.${result.scanner}` };
+    if (!check.passed) {
+      testCase.failure = {
+        message: check.error || `${check.metric} ${check.actual} (budget ${check.comparator} ${check.threshold})`,
+        type: 'quality-gate'
+      };
+    }
+    return testCase;
+  });
+
+  return [{ name: `quality-gates-${result.scanner}`, cases }];
+}
@@ -0,0 +1,186 @@
+import fs from 'fs';
+import path from 'path';
+import { qualityGateJUnitSuites, writeJUnitReport } from './junit.mjs';
+import { writeJsonArtifact } from './schemas.mjs';
+
+/**
+ * Every budget a scanner can be held to. `metric` names a field of the
+ * metrics object the scanner passes to applyQualityGates; `max` budgets
+ * fail above the threshold, `min` budgets fail below it.
+ */
+export const GATE_DEFINITIONS = {
+  accessibility: [
+    { budget: 'maxViolations', env: 'GATE_MAX_VIOLATIONS', metric: 'violations', type: 'max' },
+    { budget: 'maxCritical', env: 'GATE_MAX_CRITICAL_VIOLATIONS', metric: 'critical', type: 'max' },
+    { budget: 'maxSerious', env: 'GATE_MAX_SERIOUS_VIOLATIONS', metric: 'serious', type: 'max' }
+  ],
+  lighthouse: [
+    { budget: 'minPerformance', env: 'GATE_MIN_PERFORMANCE_SCORE', metric: 'performance', type: 'min' },
+    { budget: 'minAccessibility', env: 'GATE_MIN_LIGHTHOUSE_ACCESSIBILITY_SCORE', metric: 'accessibility', type: 'min' },
+    { budget: 'minBestPractices', env: 'GATE_MIN_BEST_PRACTICES_SCORE', metric: 'bestPractices', type: 'min' },
+    { budget: 'minSeo', env: 'GATE_MIN_LIGHTHOUSE_SEO_SCORE', metric: 'seo', type: 'min' }
+  ],
+  console: [
+    { budget: 'maxErrors', env: 'GATE_MAX_CONSOLE_ERRORS', metric: 'consoleErrors', type: 'max' },
+    { budget: 'maxPageErrors', env: 'GATE_MAX_PAGE_ERRORS', metric: 'pageErrors', type: 'max' },
+    { budget: 'maxNetworkErrors', env: 'GATE_MAX_NETWORK_ERRORS', metric: 'networkErrors', type: 'max' }
+  ],
+  seo: [{ budget: 'minScore', env: 'GATE_MIN_SEO_SCORE', metric: 'score', type: 'min' }],
+  resources: [
+    { budget: 'maxTransferSize', env: 'GATE_MAX_TRANSFER_SIZE', metric: 'totalSize', type: 'max', unit: 'bytes' },
+    { budget: 'maxRequests', env: 'GATE_MAX_REQUESTS', metric: 'totalRequests', type: 'max' }
+  ],
+  links: [{ budget: 'maxBroken', env: 'GATE_MAX_BROKEN_LINKS', metric: 'brokenLinks', type: 'max' }]
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Parse a budget value. Byte budgets accept KB/MB/GB suffixes ("1.5MB").
+ */
+export function parseBudgetValue(value, unit) {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  if (unit === 'bytes') {
+    const match = text.match(/^([\d.]+)\s*(b|kb|mb|gb)?$/i);
+    if (match) return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+  }
+  const number = Number(text);
+  if (text === '' || Number.isNaN(number)) {
+    throw new Error(`Invalid quality gate value: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Budgets from, in increasing precedence: the JSON file named by
+ * QUALITY_GATES_FILE, inline JSON in QUALITY_GATES, and the individual
+ * GATE_* variables. Shape: { accessibility: { maxCritical: 0 }, ... }.
+ */
+export function loadBudgets(env = process.env) {
+  const budgets = {};
+  const parse = (text, label) => {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${label}: ${error.message}`);
+    }
+  };
+  const merge = (source, label) => {
+    Object.entries(source || {}).forEach(([scanner, values]) => {
+      if (!GATE_DEFINITIONS[scanner]) {
+        throw new Error(`Unknown scanner "${scanner}" in ${label}`);
+      }
+      budgets[scanner] = { ...budgets[scanner], ...values };
+    });
+  };
+
+  if (env.QUALITY_GATES_FILE) {
+    if (!fs.existsSync(env.QUALITY_GATES_FILE)) {
+      throw new Error(`Quality gates file not found: ${env.QUALITY_GATES_FILE}`);
+    }
+    merge(parse(fs.readFileSync(env.QUALITY_GATES_FILE, 'utf8'), env.QUALITY_GATES_FILE), env.QUALITY_GATES_FILE);
+  }
+  if (env.QUALITY_GATES) {
+    merge(parse(env.QUALITY_GATES, 'QUALITY_GATES'), 'QUALITY_GATES');
+  }
+
+  Object.entries(GATE_DEFINITIONS).forEach(([scanner, gates]) => {
+    gates.forEach(gate => {
+      if (env[gate.env] !== undefined && env[gate.env] !== '') {
+        budgets[scanner] = { ...budgets[scanner], [gate.budget]: env[gate.env] };
+      }
+    });
+  });
+
+  return budgets;
+}
+
+// Throw on a budget name the scanner does not have or a value that is not
+// a number
+function checkBudgets(scanner, scannerBudgets) {
+  const known = new Set(GATE_DEFINITIONS[scanner].map(gate => gate.budget));
+  const unknown = Object.keys(scannerBudgets).filter(budget => !known.has(budget));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${scanner} quality gate: ${unknown.join(', ')} (expected ${[...known].join(', ')})`);
+  }
+  GATE_DEFINITIONS[scanner]
+    .filter(gate => scannerBudgets[gate.budget] !== undefined)
+    .forEach(gate => parseBudgetValue(scannerBudgets[gate.budget], gate.unit));
+}
+
+/**
+ * Load and check every budget. Scanners call this at startup, before any
+ * browser work, so a bad QUALITY_GATES value, a missing gates file or a
+ * misspelt budget fails the run right away rather than after the scan.
+ */
+export function qualityGatesFromEnv(env = process.env) {
+  const budgets = loadBudgets(env);
+  Object.entries(budgets).forEach(([scanner, scannerBudgets]) => checkBudgets(scanner, scannerBudgets));
+  return budgets;
+}
+
+/**
+ * Check a scanner's metrics against its budgets. Returns null when no
+ * budget applies to the scanner.
+ */
+export function evaluateGates(scanner, metrics, budgets = qualityGatesFromEnv()) {
+  const scannerBudgets = budgets[scanner];
+  if (!scannerBudgets) return null;
+  checkBudgets(scanner, scannerBudgets);
+
+  const checks = GATE_DEFINITIONS[scanner]
+    .filter(gate => scannerBudgets[gate.budget] !== undefined)
+    .map(gate => {
+      const threshold = parseBudgetValue(scannerBudgets[gate.budget], gate.unit);
+      const actual = metrics[gate.metric];
+      const measured = typeof actual === 'number';
+      const passed = measured && (gate.type === 'max' ? actual <= threshold : actual >= threshold);
+      return {
+        gate: gate.budget,
+        metric: gate.metric,
+        comparator: gate.type === 'max' ? '<=' : '>=',
+        threshold,
+        actual: measured ? actual : null,
+        passed,
+        ...(measured ? {} : { error: 'Metric not available' })
+      };
+    });
+
+  return {
+    scanner,
+    timestamp: new Date().toISOString(),
+    passed: checks.every(check => check.passed),
+    checks
+  };
+}
+
+/**
+ * Evaluate the scanner's gates, write quality-gate-<scanner>.json and set
+ * a failing exit code when a budget is exceeded. `budgets` are the ones
+ * qualityGatesFromEnv checked at startup. Returns the gate result, or null
+ * when the scanner has no budgets.
+ */
+export function applyQualityGates(scanner, metrics, datasetDir, budgets) {
+  const result = evaluateGates(scanner, metrics, budgets);
+  if (!result) return null;
+
+  console.log(`\n🚦 QUALITY GATES: ${scanner}`);
+  result.checks.forEach(check => {
+    const actual = check.actual === null ? 'n/a' : check.actual;
+    console.log(
+      `   ${check.passed ? '✅' : '❌'} ${check.gate}: ${actual} (budget ${check.comparator} ${check.threshold})`
+    );
+  });
+
+  const gatePath = path.join(datasetDir, `quality-gate-${scanner}.json`);
+  writeJsonArtifact(gatePath, result);
+  console.log(`${result.passed ? '🟢' : '🔴'} Quality gates ${result.passed ? 'passed' : 'failed'}: ${gatePath}`);
+  writeJUnitReport(`quality-gate-${scanner}`, qualityGateJUnitSuites(result), datasetDir);
+
+  if (!result.passed) {
+    process.exitCode = 1;
+  }
+
+  return { ...result, gatePath };
+}
@@ -0,0 +1,305 @@
+/**
+ * What processing.mjs knows about each scanner's output: which dataset
+ * files belong to it, the shape its summary file must have and how to pull
+ * headline metrics out of it.
+ *
+ * `files` maps a role (summaries, reports, screenshots, ...) to a filename
+ * pattern. `summary` names the role whose JSON is validated against the
+ * published JSON Schema named by `schema` (see schemas/) and handed to
+ * `metrics`.
+ *
+ * Every `metrics` function returns an object that may include the shared
+ * fields `score` (0-100) and `issues` (problem count), which the
+ * cross-scanner summary aggregates, plus scanner-specific numbers.
+ */
+export const REPORT_TYPES = {
+  lighthouse: {
+    title: 'Lighthouse',
+    files: {
+      summaries: /^lighthouse-summary-.*\.json$/,
+      reports: /^lighthouse-report-.*\.(json|html)$/,
+      traces: /^lighthouse-(trace|devtoolslog)-.*\.json$/,
+      comparisons: /^lighthouse-device-comparison\.json$/,
+      flows: /^lighthouse-flow-.*\.(json|html)$/,
+      screenshots: /^lighthouse-.*\.png$/
+    },
+    summary: 'summaries',
+    schema: 'lighthouse-summary',
+    metrics(summaries) {
+      const devices = Object.fromEntries(summaries.map(summary => [summary.device, summary.scores]));
+      const performance = summaries.map(summary => summary.scores.performance).filter(Number.isFinite);
+      return {
+        score: performance.length > 0 ? Math.min(...performance) : null,
+        devices
+      };
+    }
+  },
+
+  accessibility: {
+    title: 'Accessibility',
+    files: {
+      summaries: /^accessibility-summary\.json$/,
+      reports: /^accessibility-report\.(json|md|sarif)$/,
+      screenshots: /^accessibility-screenshot\.png$/
+    },
+    summary: 'summaries',
+    schema: 'accessibility-summary',
+    metrics([summary]) {
+      return {
+        issues: summary.violations.count,
+        critical: summary.violations.critical,
+        serious: summary.violations.serious,
+        moderate: summary.violations.moderate,
+        minor: summary.violations.minor,
+        passes: summary.passes,
+        incomplete: summary.incomplete
+      };
+    }
+  },
+
+  seo: {
+    title: 'SEO',
+    files: {
+      summaries: /^seo-summary\.json$/,
+      reports: /^seo-(analysis-data\.json|report\.(md|sarif))$/,
+      screenshots: /^seo-analysis-screenshot\.png$/
+    },
+    summary: 'summaries',
+    schema: 'seo-summary',
+    metrics([summary]) {
+      return {
+        score: summary.results.percentage,
+        issues: summary.issues.length,
+        critical: summary.issues.filter(issue => issue.severity === 'critical').length,
+        recommendations: summary.recommendations.length
+      };
+    }
+  },
+
+  links: {
+    title: 'Links',
+    files: {
+      summaries: /^links-summary-.*\.json$/,
+      reports: /^links-(?!summary-).*\.json$/,
+      linkCheck: /^link-check-(results|summary)\.json$|^link-check-report\.md$/,
+      crawl: /^crawl-(graph|summary)\.json$|^crawl-(urls\.txt|report\.md)$/
+    },
+    summary: 'summaries',
+    schema: 'links-summary',
+    metrics(summaries, { readJson }) {
+      const linkCheck = readJson('link-check-summary.json');
+      return {
+        totalLinks: summaries.reduce((sum, summary) => sum + summary.externalLinks + summary.internalLinks, 0),
+        internalLinks: summaries.reduce((sum, summary) => sum + summary.internalLinks, 0),
+        externalLinks: summaries.reduce((sum, summary) => sum + summary.externalLinks, 0),
+        ...(linkCheck?.totals
+          ? { issues: linkCheck.totals.broken, checked: linkCheck.totals.checked, redirects: linkCheck.totals.redirects }
+          : {})
+      };
+    }
+  },
+
+  cookies: {
+    title: 'Cookies',
+    files: {
+      summaries: /^cookies\.json$/,
+      screenshots: /^cookies-page-screenshot\.png$/
+    },
+    summary: 'summaries',
+    schema: 'cookies',
+    metrics([data]) {
+      const cookies = data.cookies;
+      return {
+        total: data.totalCookies,
+        // Cookies readable by scripts or sent over plain HTTP
+        issues: cookies.filter(cookie => !cookie.secure || !cookie.httpOnly).length,
+        insecure: cookies.filter(cookie => !cookie.secure).length,
+        notHttpOnly: cookies.filter(cookie => !cookie.httpOnly).length,
+        thirdParty: cookies.filter(cookie => {
+          try {
+            return !new URL(data.sourceUrl).hostname.endsWith(cookie.domain.replace(/^\./, ''));
+          } catch {
+            return false;
+          }
+        }).length
+      };
+    }
+  },
+
+  console: {
+    title: 'Console',
+    files: {
+      summaries: /^console-listener-summary\.json$/,
+      reports: /^console-listener-(messages\.json|report\.md)$/,
+      screenshots: /^console-listener-.*\.png$/
+    },
+    summary: 'summaries',
+    schema: 'console-listener-summary',
+    metrics([summary]) {
+      return {
+        issues: summary.errorSummary.totalIssues,
+        consoleErrors: summary.errorSummary.consoleErrors,
+        pageErrors: summary.errorSummary.pageErrors,
+        networkErrors: summary.errorSummary.networkErrors,
+        warnings: summary.statistics.warningCount,
+        totalMessages: summary.statistics.totalMessages
+      };
+    }
+  },
+
+  'loaded-resources': {
+    title: 'Loaded resources',
+    aliases: ['resources'],
+    files: {
+      summaries: /^loaded-resources-collector-summary\.json$/,
+      reports: /^(loaded-resources-collector-(data\.json|report\.md)|network-events\.json)$/,
+      screenshots: /^loaded-resources-collector-screenshot\.png$/
+    },
+    summary: 'summaries',
+    schema: 'loaded-resources-summary',
+    metrics([summary]) {
+      return {
+        issues: summary.performance.issueCount,
+        requests: summary.resources.total,
+        totalSize: summary.performance.totalSize,
+        averageLoadTime: summary.performance.averageLoadTime,
+        cacheEfficiency: summary.performance.cacheEfficiency
+      };
+    }
+  },
+
+  'disabled-javascript': {
+    title: 'JavaScript disabled (SSR)',
+    aliases: ['disabled-js'],
+    files: {
+      summaries: /^disabled-js-summary\.json$/,
+      reports: /^disabled-js-(comparison-data\.json|report\.md)$/,
+      screenshots: /^disabled-js-test-.*\.png$/
+    },
+    summary: 'summaries',
+    schema: 'disabled-js-summary',
+    metrics([summary]) {
+      return {
+        score: summary.results.overallSSRScore,
+        issues: summary.issues.length,
+        contentPreservation: summary.results.contentPreservation,
+        functionalityPreservation: summary.results.functionalityPreservation,
+        visualConsistency: summary.results.visualConsistency,
+        accessibilityMaintenance: summary.results.accessibilityMaintenance
+      };
+    }
+  },
+
+  'html-structure': {
+    title: 'HTML structure',
+    files: {
+      summaries: /^collect_html_structure-summary\.json$/,
+      reports: /^(collect_html_structure-(data\.json|report\.md)|html-inheritance-tree\.json)$/,
+      screenshots: /^collect_html_structure-screenshot\.png$/
+    },
+    summary: 'summaries',
+    schema: 'html-structure-summary',
+    metrics([summary]) {
+      const semanticScore = summary.analysis.semanticScore;
+      return {
+        ...(typeof semanticScore === 'number' ? { score: semanticScore } : {}),
+        totalElements: summary.htmlStructure.totalElements,
+        headings: summary.htmlStructure.headingCount,
+        links: summary.htmlStructure.linkCount,
+        forms: summary.htmlStructure.formCount,
+        images: summary.htmlStructure.imageCount,
+        maxDepth: summary.inheritanceTree.maxDepth
+      };
+    }
+  },
+
+  'html-tree-metadata': {
+    title: 'HTML tree metadata',
+    aliases: ['html-tree'],
+    files: {
+      summaries: /^html-tree-summary\.json$/,
+      reports: /^html-tree-metadata\.json$/,
+      viewports: /^html-tree-(phone|tablet|desktop)\.json$/,
+      screenshots: /^html-tree-screenshot-.*\.png$/
+    },
+    summary: 'summaries',
+    schema: 'html-tree-summary',
+    metrics([summary]) {
+      const { summary: totals } = summary.stats;
+      return {
+        viewports: (summary.stats.viewports || []).length,
+        totalElements: totals.totalElements,
+        interactiveElements: totals.interactiveElements,
+        visibleElements: totals.visibleElements
+      };
+    }
+  },
+
+  interactivity: {
+    title: 'Interactivity',
+    files: {
+      summaries: /^extract_interactivity-summary\.json$/,
+      reports: /^extract_interactivity-(?!summary).*\.json$/,
+      screenshots: /^interactivity-.*\.png$/
+    },
+    summary: 'summaries',
+    schema: 'interactivity-summary',
+    metrics([{ summary }]) {
+      return {
+        issues: summary.failedInteractions,
+        inputFields: summary.totalInputFields,
+        clickableElements: summary.totalClickableElements,
+        hoverableElements: summary.totalHoverableElements,
+        interactions: summary.totalInteractions,
+        successfulInteractions: summary.successfulInteractions
+      };
+    }
+  },
+
+  locators: {
+    title: 'Locators',
+    aliases: ['locator'],
+    files: {
+      summaries: /^build_locator_object_locator-summary\.json$/,
+      reports: /^build_locator_object_(?!locator-summary).*\.json$/
+    },
+    summary: 'summaries',
+    schema: 'locator-summary',
+    metrics([{ summary, statistics }]) {
+      return {
+        locatorObjects: summary.totalLocatorObjects,
+        parentRoles: summary.uniqueParentRoles,
+        leafRoles: summary.uniqueLeafRoles,
+        averageConfidence: statistics.averageConfidence
+      };
+    }
+  },
+
+  'video-recording': {
+    title: 'Video recording',
+    aliases: ['video'],
+    files: {
+      summaries: /^video-recording-summary\.json$/,
+      reports: /^video-recording-report\.md$/,
+      videos: /\.webm$/,
+      screenshots: /^video-recording-screenshot_.*\.png$/
+    },
+    summary: 'summaries',
+    schema: 'video-recording-summary',
+    metrics([summary]) {
+      return {
+        duration: Number(summary.recording.duration) || 0,
+        fileSize: summary.recording.fileSize || 0,
+        interactions: summary.interactions.total
+      };
+    }
+  }
+};
+
+/**
+ * Resolve a --report-type value (name or alias) to its registry key.
+ */
+export function resolveReportType(name) {
+  if (REPORT_TYPES[name]) return name;
+  return Object.keys(REPORT_TYPES).find(type => (REPORT_TYPES[type].aliases || []).includes(name)) || null;
+}
@@ -0,0 +1,110 @@
+const DEFAULT_ROBOTS_TIMEOUT = 10000;
+
+/**
+ * Parse robots.txt into user-agent groups of allow/disallow rules.
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (current && (field === 'allow' || field === 'disallow')) {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+function selectGroup(robots, userAgent) {
+  const agent = (userAgent || '*').toLowerCase();
+  const specific = robots.groups.find(group =>
+    group.agents.some(name => name !== '*' && agent.includes(name))
+  );
+  return specific || robots.groups.find(group => group.agents.includes('*')) || null;
+}
+
+function ruleToRegExp(rulePath) {
+  const anchored = rulePath.endsWith('$');
+  const pattern = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${pattern}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Whether robots.txt lets userAgent fetch url. The longest matching rule
+ * wins and Allow beats Disallow on a tie, as in RFC 9309.
+ */
+export function isAllowedByRobots(robots, url, userAgent) {
+  if (!robots) return true;
+  const group = selectGroup(robots, userAgent);
+  if (!group) return true;
+
+  const { pathname, search } = new URL(url);
+  const target = `${pathname}${search}`;
+  let best = null;
+
+  group.rules.forEach(rule => {
+    if (!ruleToRegExp(rule.path).test(target)) return;
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  });
+
+  return best ? best.allow : true;
+}
+
+/**
+ * Fetch and parse robots.txt for an origin. A missing or unreachable file
+ * means everything is allowed, so this resolves to null instead of throwing.
+ */
+export async function fetchRobotsTxt(origin, { timeout = DEFAULT_ROBOTS_TIMEOUT, userAgent } = {}) {
+  const robotsUrl = new URL('/robots.txt', origin).href;
+
+  try {
+    const response = await fetch(robotsUrl, {
+      headers: userAgent ? { 'User-Agent': userAgent } : {},
+      signal: AbortSignal.timeout(timeout)
+    });
+    if (!response.ok) {
+      console.log(`🤖 No robots.txt at ${robotsUrl} (${response.status})`);
+      return null;
+    }
+    const robots = parseRobotsTxt(await response.text());
+    console.log(`🤖 Loaded robots.txt with ${robots.groups.length} user-agent groups`);
+    return robots;
+  } catch (error) {
+    console.warn(`⚠️ Could not fetch ${robotsUrl}: ${error.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,186 @@
+import fs from 'fs';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+
+// axe impact → SARIF level
+const IMPACT_LEVELS = {
+  critical: 'error',
+  serious: 'error',
+  moderate: 'warning',
+  minor: 'note'
+};
+
+// SEO issue severity → SARIF level
+const SEVERITY_LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note'
+};
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function buildLog(driver, results, { url, startTime, endTime } = {}) {
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [
+      {
+        tool: { driver },
+        invocations: [
+          {
+            executionSuccessful: true,
+            ...(startTime ? { startTimeUtc: startTime } : {}),
+            endTimeUtc: endTime || new Date().toISOString()
+          }
+        ],
+        ...(url ? { properties: { pageUrl: url } } : {}),
+        results
+      }
+    ]
+  };
+}
+
+// A SARIF region needs a line or offset, which a live page does not
+// have, so the element's HTML is carried in the location's properties
+function pageLocation(url, { snippet, selector } = {}) {
+  const location = {
+    physicalLocation: {
+      artifactLocation: { uri: url }
+    }
+  };
+  if (selector) {
+    location.logicalLocations = [{ fullyQualifiedName: selector, kind: 'element' }];
+  }
+  if (snippet) {
+    location.properties = { snippet };
+  }
+  return location;
+}
+
+/**
+ * Convert axe results into a SARIF 2.1.0 log. Every violated rule becomes
+ * a SARIF rule and every affected node a result located by its target
+ * selector and HTML snippet. Allowlisted violations are included as
+ * results carrying an external suppression.
+ */
+export function accessibilityToSarif(results, websiteUrl) {
+  const violations = [...(results.violations || []), ...(results.suppressed || [])];
+  const ruleIds = [...new Set(violations.map(violation => violation.id))];
+
+  // A partly suppressed rule is in both lists but is still one SARIF rule
+  const ruleViolations = ruleIds.map(ruleId => violations.find(violation => violation.id === ruleId));
+
+  const rules = ruleViolations.map(violation => ({
+    id: violation.id,
+    name: violation.id,
+    shortDescription: { text: violation.help || violation.id },
+    fullDescription: { text: violation.description || violation.help || violation.id },
+    helpUri: violation.helpUrl,
+    help: {
+      text: `${violation.help || violation.description}\n${violation.helpUrl || ''}`.trim(),
+      markdown: violation.helpUrl
+        ? `[${violation.help || violation.id}](${violation.helpUrl})`
+        : violation.help || violation.id
+    },
+    defaultConfiguration: { level: IMPACT_LEVELS[violation.impact] || 'warning' },
+    properties: {
+      impact: violation.impact || null,
+      tags: violation.tags || []
+    }
+  }));
+
+  const sarifResults = violations.flatMap(violation =>
+    (violation.nodes || []).map(node => {
+      const selector = [].concat(node.target || []).join(' ');
+      const impact = node.impact || violation.impact;
+      return {
+        ruleId: violation.id,
+        ruleIndex: ruleIds.indexOf(violation.id),
+        level: IMPACT_LEVELS[impact] || 'warning',
+        message: {
+          text: node.failureSummary
+            ? `${violation.help}\n${node.failureSummary}`
+            : violation.help || violation.description
+        },
+        locations: [pageLocation(websiteUrl, { snippet: node.html, selector })],
+        partialFingerprints: { 'axeTarget/v1': `${violation.id}:${selector}` },
+        properties: { impact: impact || null },
+        ...(violation.suppression
+          ? {
+              suppressions: [
+                {
+                  kind: 'external',
+                  status: 'accepted',
+                  justification: violation.suppression.justification || 'Listed in the accessibility allowlist'
+                }
+              ]
+            }
+          : {})
+      };
+    })
+  );
+
+  return buildLog(
+    {
+      name: results.testEngine?.name || 'axe-core',
+      version: results.testEngine?.version,
+      informationUri: 'https://github.com/dequelabs/axe-core',
+      rules
+    },
+    sarifResults,
+    { url: websiteUrl, endTime: results.timestamp }
+  );
+}
+
+/**
+ * Convert the SEO assessment's issues into a SARIF 2.1.0 log, one rule per
+ * issue type.
+ */
+export function seoToSarif(assessment, pageUrl) {
+  const issues = assessment.issues || [];
+  const rules = [];
+  const ruleIndexes = new Map();
+
+  const sarifResults = issues.map(issue => {
+    const id = `seo/${slugify(issue.type)}`;
+    if (!ruleIndexes.has(id)) {
+      ruleIndexes.set(id, rules.length);
+      rules.push({
+        id,
+        name: issue.type,
+        shortDescription: { text: issue.type },
+        fullDescription: { text: issue.impact || issue.type },
+        defaultConfiguration: { level: SEVERITY_LEVELS[issue.severity] || 'warning' },
+        properties: { severity: issue.severity }
+      });
+    }
+
+    return {
+      ruleId: id,
+      ruleIndex: ruleIndexes.get(id),
+      level: SEVERITY_LEVELS[issue.severity] || 'warning',
+      message: { text: issue.impact ? `${issue.description}. ${issue.impact}` : issue.description },
+      locations: [pageLocation(pageUrl)],
+      properties: { severity: issue.severity }
+    };
+  });
+
+  return buildLog(
+    {
+      name: 'ui-audit-seo',
+      informationUri: 'https://developers.google.com/search/docs/fundamentals/seo-starter-guide',
+      rules
+    },
+    sarifResults,
+    { url: pageUrl }
+  );
+}
+
+export function writeSarif(log, filePath) {
+  fs.writeFileSync(filePath, JSON.stringify(log, null, 2));
+  return filePath;
+}
@@ -0,0 +1,157 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv2020 from 'ajv/dist/2020.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SCHEMAS_DIR = path.join(__dirname, '..', '..', 'schemas');
+
+/**
+ * Version of the dataset file formats. Bump the major version for changes
+ * that can break consumers (removed or renamed fields, changed types) and
+ * the minor version for additions. Every schema in schemas/ describes this
+ * version and every JSON artifact records it in `schemaVersion`.
+ */
+export const SCHEMA_VERSION = '1.11.0';
+
+/**
+ * Which schema each dataset file follows, matched on the file name. Files
+ * in a scanner's native format (Lighthouse reports, SARIF, Playwright
+ * storage state) keep that format's own versioning and are not listed, and
+ * neither are the plain list files (network events, the individual
+ * interactivity results and locator formats), which have nowhere to record
+ * a schemaVersion.
+ */
+export const ARTIFACT_SCHEMAS = [
+  // Site runner rollups first: <scanner>-site-summary.json would otherwise
+  // fall to a scanner's catch-all pattern (links-*.json)
+  { pattern: /^.+-site-summary\.json$/, schema: 'site-summary' },
+  { pattern: /^accessibility-report\.json$/, schema: 'accessibility-report' },
+  { pattern: /^accessibility-summary\.json$/, schema: 'accessibility-summary' },
+  { pattern: /^seo-analysis-data\.json$/, schema: 'seo-analysis-data' },
+  { pattern: /^seo-summary\.json$/, schema: 'seo-summary' },
+  { pattern: /^links-summary-.+\.json$/, schema: 'links-summary' },
+  { pattern: /^links-.+\.json$/, schema: 'links' },
+  { pattern: /^link-check-results\.json$/, schema: 'link-check-results' },
+  { pattern: /^link-check-summary\.json$/, schema: 'link-check-summary' },
+  { pattern: /^crawl-graph\.json$/, schema: 'crawl-graph' },
+  { pattern: /^crawl-summary\.json$/, schema: 'crawl-summary' },
+  { pattern: /^cookies\.json$/, schema: 'cookies' },
+  { pattern: /^console-listener-messages\.json$/, schema: 'console-listener-messages' },
+  { pattern: /^console-listener-summary\.json$/, schema: 'console-listener-summary' },
+  { pattern: /^loaded-resources-collector-data\.json$/, schema: 'loaded-resources-data' },
+  { pattern: /^loaded-resources-collector-summary\.json$/, schema: 'loaded-resources-summary' },
+  { pattern: /^disabled-js-comparison-data\.json$/, schema: 'disabled-js-comparison' },
+  { pattern: /^disabled-js-summary\.json$/, schema: 'disabled-js-summary' },
+  { pattern: /^collect_html_structure-data\.json$/, schema: 'html-structure-data' },
+  { pattern: /^collect_html_structure-summary\.json$/, schema: 'html-structure-summary' },
+  { pattern: /^html-inheritance-tree\.json$/, schema: 'html-inheritance-tree' },
+  { pattern: /^html-tree-metadata\.json$/, schema: 'html-tree-metadata' },
+  { pattern: /^html-tree-summary\.json$/, schema: 'html-tree-summary' },
+  { pattern: /^html-tree-(phone|tablet|desktop)\.json$/, schema: 'html-tree-viewport' },
+  { pattern: /^extract_interactivity-report\.json$/, schema: 'interactivity-report' },
+  { pattern: /^extract_interactivity-summary\.json$/, schema: 'interactivity-summary' },
+  { pattern: /^build_locator_object_locator-objects\.json$/, schema: 'locator-objects' },
+  { pattern: /^build_locator_object_locator-summary\.json$/, schema: 'locator-summary' },
+  { pattern: /^video-recording-summary\.json$/, schema: 'video-recording-summary' },
+  { pattern: /^lighthouse-summary-.+\.json$/, schema: 'lighthouse-summary' },
+  { pattern: /^lighthouse-device-comparison\.json$/, schema: 'lighthouse-device-comparison' },
+  { pattern: /^lighthouse-flow-summary-.+\.json$/, schema: 'lighthouse-flow-summary' },
+  { pattern: /^lighthouse-flow-comparison\.json$/, schema: 'lighthouse-flow-comparison' },
+  { pattern: /^quality-gate-.+\.json$/, schema: 'quality-gate' },
+  { pattern: /^run-all-summary\.json$/, schema: 'run-all-summary' },
+  { pattern: /^processing-summary\.json$/, schema: 'processing-summary' },
+  { pattern: /^baseline-comparison\.json$/, schema: 'baseline-comparison' },
+  { pattern: /^[\w-]+\.jsonl$/, schema: 'history-entry' }
+];
+
+/**
+ * Schema name for a dataset file, or null when the file has none.
+ */
+export function schemaForFile(fileName) {
+  return ARTIFACT_SCHEMAS.find(({ pattern }) => pattern.test(path.basename(fileName)))?.schema || null;
+}
+
+/**
+ * Stamp an object with the current schemaVersion, as its first field.
+ */
+export function withSchemaVersion(data) {
+  const { schemaVersion, ...rest } = data;
+  return { schemaVersion: SCHEMA_VERSION, ...rest };
+}
+
+/**
+ * Write a dataset JSON artifact stamped with the schema version.
+ */
+export function writeJsonArtifact(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(withSchemaVersion(data), null, 2));
+  return filePath;
+}
+
+let ajv = null;
+
+function getValidator() {
+  if (ajv) return ajv;
+  ajv = new Ajv2020({ allErrors: true, strict: false });
+  fs.readdirSync(SCHEMAS_DIR)
+    .filter(file => file.endsWith('.schema.json'))
+    .forEach(file => {
+      ajv.addSchema(JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, file), 'utf8')), file.replace(/\.schema\.json$/, ''));
+    });
+  return ajv;
+}
+
+function majorVersion(version) {
+  return String(version).split('.')[0];
+}
+
+/**
+ * Validate data against a named schema. Returns a list of error messages;
+ * a schemaVersion from another major version is reported on its own since
+ * the field-level errors would only be noise.
+ */
+export function validateAgainstSchema(data, schemaName) {
+  const validate = getValidator().getSchema(schemaName);
+  if (!validate) {
+    return [`unknown schema "${schemaName}"`];
+  }
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    if (data.schemaVersion === undefined) {
+      return [`schemaVersion: missing (written before schema ${SCHEMA_VERSION})`];
+    }
+    if (majorVersion(data.schemaVersion) !== majorVersion(SCHEMA_VERSION)) {
+      return [`schemaVersion: ${data.schemaVersion} is not compatible with ${SCHEMA_VERSION}`];
+    }
+  }
+  if (validate(data)) return [];
+  return validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+/**
+ * Validate one dataset file. Returns { file, schema, errors }, with schema
+ * null for files no schema covers. JSON Lines files are checked line by
+ * line.
+ */
+export function validateArtifact(filePath) {
+  const schema = schemaForFile(filePath);
+  const result = { file: path.basename(filePath), schema, errors: [] };
+  if (!schema) return result;
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const documents = filePath.endsWith('.jsonl')
+    ? content.split('\n').map((line, index) => [`line ${index + 1}: `, line]).filter(([, line]) => line.trim())
+    : [['', content]];
+
+  documents.forEach(([prefix, text]) => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      result.errors.push(`${prefix}invalid JSON: ${error.message}`);
+      return;
+    }
+    result.errors.push(...validateAgainstSchema(data, schema).map(error => `${prefix}${error}`));
+  });
+  return result;
+}
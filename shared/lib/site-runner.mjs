@@ -0,0 +1,298 @@
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { urlListFromEnv } from './url-list.mjs';
+import { writeJsonArtifact } from './schemas.mjs';
+
+const PAGE_RUN_ENV = 'UI_AUDIT_PAGE_RUN';
+
+/**
+ * Output directory for a scanner: DATASET_DIR when set (multi-page runs
+ * point each page at its own directory), otherwise the scanner's default.
+ */
+export function resolveOutputDir(defaultDir) {
+  return process.env.DATASET_DIR ? path.resolve(process.env.DATASET_DIR) : defaultDir;
+}
+
+/**
+ * Stable, filesystem-safe directory name for a page URL.
+ */
+export function pageSlug(url) {
+  const parsed = new URL(url);
+  const readable = `${parsed.hostname}${parsed.pathname}`
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+  return `${readable || 'page'}-${hash}`;
+}
+
+// `summaryFile` is a file name, a pattern, or a list of either tried in order
+function findSummaryFile(dir, summaryFile) {
+  if (!fs.existsSync(dir)) return null;
+  if (Array.isArray(summaryFile)) {
+    for (const candidate of summaryFile) {
+      const file = findSummaryFile(dir, candidate);
+      if (file) return file;
+    }
+    return null;
+  }
+  if (typeof summaryFile === 'string') {
+    const file = path.join(dir, summaryFile);
+    return fs.existsSync(file) ? file : null;
+  }
+  const match = fs.readdirSync(dir).find(file => summaryFile.test(file));
+  return match ? path.join(dir, match) : null;
+}
+
+function readGateResults(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter(file => /^quality-gate-.*\.json$/.test(file))
+    .flatMap(file => {
+      const filePath = path.join(dir, file);
+      try {
+        return [JSON.parse(fs.readFileSync(filePath, 'utf8'))];
+      } catch (error) {
+        console.warn(`⚠️ Could not read ${filePath}: ${error.message}`);
+        return [];
+      }
+    });
+}
+
+function getPath(object, dottedPath) {
+  if (!dottedPath) return object;
+  return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Pull the numeric headline values out of a scanner summary. Each metric
+ * path names a number or an object whose numeric fields are taken.
+ */
+export function pickMetrics(summary, metricPaths = ['']) {
+  const metrics = {};
+
+  metricPaths.forEach(metricPath => {
+    const value = getPath(summary, metricPath);
+    if (typeof value === 'number') {
+      metrics[metricPath] = value;
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => {
+        if (typeof child === 'number') {
+          metrics[metricPath ? `${metricPath}.${key}` : key] = child;
+        }
+      });
+    }
+  });
+
+  return metrics;
+}
+
+function aggregateMetrics(pages) {
+  const totals = {};
+  const counts = {};
+
+  pages.forEach(page => {
+    Object.entries(page.metrics || {}).forEach(([key, value]) => {
+      totals[key] = (totals[key] || 0) + value;
+      counts[key] = (counts[key] || 0) + 1;
+    });
+  });
+
+  const averages = Object.fromEntries(
+    Object.entries(totals).map(([key, total]) => [key, Math.round((total / counts[key]) * 100) / 100])
+  );
+
+  return { totals, averages };
+}
+
+function runPage(scriptPath, url, outputDir) {
+  const env = {
+    ...process.env,
+    WEBSITE_URL: url,
+    DATASET_DIR: outputDir,
+    [PAGE_RUN_ENV]: '1'
+  };
+  delete env.WEBSITE_URLS;
+  delete env.URL_FILE;
+  delete env.SITEMAP_URL;
+  delete env.CRAWL_GRAPH;
+
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [scriptPath, ...process.argv.slice(2)], {
+      cwd: path.dirname(scriptPath),
+      env,
+      stdio: 'inherit'
+    });
+    child.on('error', error => {
+      console.error(`❌ Could not start page run: ${error.message}`);
+      resolve(1);
+    });
+    child.on('exit', (code, signal) => resolve(signal ? 1 : code));
+  });
+}
+
+function writeSiteReport(rollup, reportPath) {
+  const metricKeys = Object.keys(rollup.aggregate.totals).slice(0, 6);
+
+  let report = `# ${rollup.scanner} Site Report\n\n`;
+  report += `**Pages:** ${rollup.totals.pages}\n`;
+  report += `**Succeeded:** ${rollup.totals.succeeded}\n`;
+  report += `**Failed quality gates:** ${rollup.totals.gateFailed}\n`;
+  report += `**Failed:** ${rollup.totals.failed}\n`;
+  report += `**Source:** ${rollup.sources.join(', ')}\n`;
+  report += `**Generated:** ${rollup.timestamp}\n\n`;
+
+  if (metricKeys.length > 0) {
+    report += `## Site Totals\n\n`;
+    report += `| Metric | Total | Average per page |\n|---|---|---|\n`;
+    metricKeys.forEach(key => {
+      report += `| ${key} | ${rollup.aggregate.totals[key]} | ${rollup.aggregate.averages[key]} |\n`;
+    });
+    report += `\n`;
+  }
+
+  report += `## Pages\n\n`;
+  report += `| URL | Status | ${metricKeys.join(' | ')} |\n`;
+  report += `|---|---|${metricKeys.map(() => '---|').join('')}\n`;
+  rollup.pages.forEach(page => {
+    const values = metricKeys.map(key => page.metrics?.[key] ?? '-');
+    const icon = { success: '✅', 'gate-failed': '🚦' }[page.status] || '❌';
+    report += `| ${page.url} | ${icon} | ${values.join(' | ')} |\n`;
+  });
+
+  fs.writeFileSync(reportPath, report);
+}
+
+/**
+ * Multi-page entry point shared by every scanner.
+ *
+ * When the environment names more than one page (see urlListFromEnv), the
+ * scanner script is re-run once per page with WEBSITE_URL and DATASET_DIR
+ * pointing at dataset/pages/<slug>/, so each page gets the scanner's normal
+ * report files. Afterwards <scanner>-site-summary.json and
+ * <scanner>-site-report.md roll the per-page summaries up.
+ *
+ * Returns false when there is a single page (or when running as one of the
+ * per-page children) so the caller runs its usual single-page flow.
+ */
+export async function runForEachUrl({ scanner, scriptPath, datasetDir, summaryFile, metrics }) {
+  if (process.env[PAGE_RUN_ENV] === '1') {
+    return false;
+  }
+
+  const { sources, urls } = await urlListFromEnv();
+  if (urls.length <= 1) {
+    if (urls.length === 1) {
+      process.env.WEBSITE_URL = urls[0];
+    }
+    return false;
+  }
+
+  const siteDir = resolveOutputDir(datasetDir);
+  const pagesDir = path.join(siteDir, 'pages');
+  fs.mkdirSync(pagesDir, { recursive: true });
+
+  console.log(`🌍 MULTI-PAGE ${scanner.toUpperCase()} RUN`);
+  console.log('='.repeat(scanner.length + 17));
+  console.log(`📋 ${urls.length} pages from ${sources.join(', ')}`);
+
+  // Scripted logins run once: the first page saves the session to a
+  // private temp file and the remaining pages load it
+  let sharedSession = null;
+  if (process.env.AUTH_LOGIN_URL && !process.env.AUTH_STORAGE_STATE) {
+    sharedSession = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'ui-audit-auth-')),
+      'storage-state.json'
+    );
+    process.env.AUTH_STORAGE_STATE = sharedSession;
+  }
+
+  const startTime = Date.now();
+  const pages = [];
+
+  for (const [index, url] of urls.entries()) {
+    const outputDir = path.join(pagesDir, pageSlug(url));
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    console.log(`\n📄 [${index + 1}/${urls.length}] ${url}`);
+    const pageStart = Date.now();
+    const exitCode = await runPage(scriptPath, url, outputDir);
+
+    const summaryPath = findSummaryFile(outputDir, summaryFile);
+    let pageMetrics = {};
+    if (summaryPath) {
+      try {
+        pageMetrics = pickMetrics(JSON.parse(fs.readFileSync(summaryPath, 'utf8')), metrics);
+      } catch (error) {
+        console.warn(`⚠️ Could not read ${summaryPath}: ${error.message}`);
+      }
+    }
+
+    // A page whose scan finished but missed a budget still has usable metrics
+    const gates = readGateResults(outputDir);
+    const gateFailed = gates.some(gate => !gate.passed);
+    let status = 'failed';
+    if (summaryPath && exitCode === 0) {
+      status = 'success';
+    } else if (summaryPath && gateFailed) {
+      status = 'gate-failed';
+    }
+
+    pages.push({
+      url,
+      status,
+      exitCode,
+      duration: Date.now() - pageStart,
+      outputDir: path.relative(siteDir, outputDir),
+      summaryFile: summaryPath ? path.relative(siteDir, summaryPath) : null,
+      metrics: pageMetrics,
+      ...(gates.length > 0 ? { gatesPassed: !gateFailed } : {})
+    });
+  }
+
+  if (sharedSession) {
+    fs.rmSync(path.dirname(sharedSession), { recursive: true, force: true });
+    delete process.env.AUTH_STORAGE_STATE;
+  }
+
+  const succeeded = pages.filter(page => page.status === 'success');
+  const scanned = pages.filter(page => page.status !== 'failed');
+  const rollup = {
+    scanner,
+    timestamp: new Date().toISOString(),
+    duration: Date.now() - startTime,
+    sources,
+    totals: {
+      pages: pages.length,
+      succeeded: succeeded.length,
+      gateFailed: pages.filter(page => page.status === 'gate-failed').length,
+      failed: pages.length - scanned.length
+    },
+    aggregate: aggregateMetrics(scanned),
+    pages
+  };
+
+  const summaryPath = path.join(siteDir, `${scanner}-site-summary.json`);
+  const reportPath = path.join(siteDir, `${scanner}-site-report.md`);
+  writeJsonArtifact(summaryPath, rollup);
+  writeSiteReport(rollup, reportPath);
+
+  console.log(`\n🌍 SITE ROLLUP`);
+  console.log('==============');
+  console.log(`✅ Succeeded: ${rollup.totals.succeeded}/${rollup.totals.pages}`);
+  if (rollup.totals.gateFailed > 0) {
+    console.log(`🚦 Failed quality gates: ${rollup.totals.gateFailed}`);
+  }
+  console.log(`📊 Site summary: ${summaryPath}`);
+  console.log(`📄 Site report: ${reportPath}`);
+
+  if (rollup.totals.failed > 0 || rollup.totals.gateFailed > 0) {
+    process.exitCode = 1;
+  }
+
+  return true;
+}
@@ -0,0 +1,241 @@
+import fs from 'fs';
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 240;
+const PADDING = { top: 16, right: 16, bottom: 36, left: 56 };
+const COLORS = ['#0969da', '#1a7f37', '#cf222e', '#8250df', '#bf8700', '#bc4c00', '#57606a'];
+
+const LIGHTHOUSE_CATEGORIES = {
+  performance: 'Performance',
+  accessibility: 'Accessibility',
+  bestPractices: 'Best practices',
+  seo: 'SEO'
+};
+
+/**
+ * The charts a trend report can show. Each picks its entries by scanner
+ * and turns one entry into { series name: value }; missing values leave a
+ * gap in that series.
+ */
+const TREND_CHARTS = [
+  {
+    id: 'lighthouse',
+    title: 'Lighthouse scores',
+    scanner: 'lighthouse',
+    score: true,
+    values: metrics =>
+      Object.fromEntries(
+        Object.entries(metrics.devices || {}).flatMap(([device, scores]) =>
+          Object.entries(LIGHTHOUSE_CATEGORIES).map(([category, label]) => [`${device} ${label}`, scores?.[category]])
+        )
+      )
+  },
+  {
+    id: 'accessibility',
+    title: 'Accessibility violations',
+    scanner: 'accessibility',
+    values: metrics => ({ Total: metrics.issues, Critical: metrics.critical, Serious: metrics.serious })
+  },
+  {
+    id: 'seo',
+    title: 'SEO score',
+    scanner: 'seo',
+    score: true,
+    values: metrics => ({ Score: metrics.score })
+  },
+  {
+    id: 'page-weight',
+    title: 'Page weight',
+    scanner: 'loaded-resources',
+    unit: 'KB',
+    values: metrics => ({
+      'Transfer size': typeof metrics.totalSize === 'number' ? Math.round(metrics.totalSize / 1024) : undefined
+    })
+  },
+  {
+    id: 'console',
+    title: 'Console errors',
+    scanner: 'console',
+    values: metrics => ({
+      'Console errors': metrics.consoleErrors,
+      'Page errors': metrics.pageErrors,
+      'Failed requests': metrics.networkErrors
+    })
+  }
+];
+
+export const TREND_SCANNERS = [...new Set(TREND_CHARTS.map(chart => chart.scanner))];
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Round an axis maximum up to 1, 2 or 5 times a power of ten
+function niceMax(value) {
+  if (value <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  return [1, 2, 5, 10].map(step => step * magnitude).find(step => step >= value);
+}
+
+/**
+ * Collect each chart's series from history entries. Series without a
+ * single value are dropped, and so are charts left with no series.
+ */
+export function buildTrendCharts(entries) {
+  return TREND_CHARTS.map(chart => {
+    const series = {};
+    entries
+      .filter(entry => entry.scanner === chart.scanner && entry.metrics)
+      .forEach(entry => {
+        Object.entries(chart.values(entry.metrics)).forEach(([name, value]) => {
+          if (!Number.isFinite(value)) return;
+          (series[name] ||= []).push({ timestamp: entry.timestamp, value });
+        });
+      });
+    return { ...chart, series };
+  }).filter(chart => Object.keys(chart.series).length > 0);
+}
+
+/**
+ * Render a chart as a standalone SVG line chart: time on the x axis, one
+ * coloured line per series and a hover title on every point.
+ */
+export function renderSvgChart(chart) {
+  const points = Object.values(chart.series).flat();
+  const times = points.map(point => Date.parse(point.timestamp));
+  const minTime = Math.min(...times);
+  const timeSpan = Math.max(...times) - minTime;
+  const maxValue = chart.score ? 100 : niceMax(Math.max(...points.map(point => point.value)));
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  // A single run sits in the middle instead of on the axis
+  const x = timestamp =>
+    PADDING.left + (timeSpan === 0 ? plotWidth / 2 : ((Date.parse(timestamp) - minTime) / timeSpan) * plotWidth);
+  const y = value => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+  const round = value => Math.round(value * 10) / 10;
+
+  const grid = [0, 0.25, 0.5, 0.75, 1]
+    .map(fraction => {
+      const value = maxValue * fraction;
+      return `<line x1="${PADDING.left}" x2="${CHART_WIDTH - PADDING.right}" y1="${round(y(value))}" y2="${round(
+        y(value)
+      )}" stroke="#d0d7de"/><text x="${PADDING.left - 6}" y="${round(y(value)) + 4}" text-anchor="end">${round(
+        value
+      )}</text>`;
+    })
+    .join('');
+
+  const firstDate = new Date(minTime).toISOString().slice(0, 10);
+  const lastDate = new Date(minTime + timeSpan).toISOString().slice(0, 10);
+  const axis = `<text x="${PADDING.left}" y="${CHART_HEIGHT - 10}">${firstDate}</text>${
+    timeSpan > 0
+      ? `<text x="${CHART_WIDTH - PADDING.right}" y="${CHART_HEIGHT - 10}" text-anchor="end">${lastDate}</text>`
+      : ''
+  }`;
+
+  const lines = Object.entries(chart.series)
+    .map(([name, seriesPoints], index) => {
+      const color = COLORS[index % COLORS.length];
+      const coordinates = seriesPoints.map(point => `${round(x(point.timestamp))},${round(y(point.value))}`);
+      const dots = seriesPoints
+        .map(
+          point =>
+            `<circle cx="${round(x(point.timestamp))}" cy="${round(y(point.value))}" r="3" fill="${color}"><title>${escapeHtml(
+              `${name}: ${point.value}${chart.unit ? ` ${chart.unit}` : ''} (${point.timestamp})`
+            )}</title></circle>`
+        )
+        .join('');
+      return `<polyline fill="none" stroke="${color}" stroke-width="2" points="${coordinates.join(' ')}"/>${dots}`;
+    })
+    .join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" font-family="sans-serif" font-size="11" fill="#57606a" role="img" aria-label="${escapeHtml(
+    chart.title
+  )}">${grid}${axis}${lines}</svg>`;
+}
+
+function legend(chart) {
+  return `<div class="legend">${Object.keys(chart.series)
+    .map(
+      (name, index) =>
+        `<span><i style="background:${COLORS[index % COLORS.length]}"></i>${escapeHtml(name)}</span>`
+    )
+    .join('')}</div>`;
+}
+
+function latestValues(chart) {
+  return Object.entries(chart.series)
+    .map(([name, points]) => {
+      const last = points[points.length - 1];
+      const previous = points[points.length - 2];
+      const delta = previous ? Math.round((last.value - previous.value) * 100) / 100 : null;
+      return `<tr><td>${escapeHtml(name)}</td><td>${last.value}${chart.unit ? ` ${chart.unit}` : ''}</td><td>${
+        delta === null ? '' : delta > 0 ? `+${delta}` : delta
+      }</td><td>${points.length}</td></tr>`;
+    })
+    .join('');
+}
+
+const STYLES = `
+body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;margin:0;color:#1f2328;background:#f6f8fa}
+header{background:#24292f;color:#fff;padding:20px 32px}header h1{margin:0 0 4px;font-size:22px}
+main{padding:16px 32px;max-width:1200px}section{background:#fff;border:1px solid #d0d7de;border-radius:8px;padding:16px 24px;margin-bottom:24px}
+h2{margin-top:0}h3{margin-bottom:4px}.muted{color:#656d76}svg{max-width:100%;height:auto}
+.legend{display:flex;flex-wrap:wrap;gap:12px;font-size:12px;margin:4px 0 8px}.legend i{display:inline-block;width:10px;height:10px;border-radius:2px;margin-right:4px}
+table{border-collapse:collapse;font-size:13px;margin-bottom:12px}th,td{border-bottom:1px solid #d0d7de;padding:4px 12px 4px 0;text-align:left}
+`;
+
+/**
+ * Build a self-contained HTML trend report with one section per URL and
+ * an SVG chart per metric group.
+ */
+export function buildTrendReport(entries, { generatedAt = new Date().toISOString() } = {}) {
+  const urls = [...new Set(entries.map(entry => entry.url))];
+
+  const sections = urls.map(url => {
+    const charts = buildTrendCharts(entries.filter(entry => entry.url === url));
+    const runs = new Set(entries.filter(entry => entry.url === url).map(entry => entry.timestamp)).size;
+    const body = charts
+      .map(
+        chart => `<h3>${escapeHtml(chart.title)}${chart.unit ? ` (${chart.unit})` : ''}</h3>${legend(chart)}${renderSvgChart(
+          chart
+        )}<table><thead><tr><th>Series</th><th>Latest</th><th>Change</th><th>Runs</th></tr></thead><tbody>${latestValues(
+          chart
+        )}</tbody></table>`
+      )
+      .join('');
+    return `<section><h2>${escapeHtml(url)}</h2><p class="muted">${runs} recorded runs</p>${
+      body || '<p class="muted">No trend metrics recorded for this URL.</p>'
+    }</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>UI audit trends</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header><h1>UI audit trends</h1><div>generated ${escapeHtml(generatedAt)}</div></header>
+<main>
+${sections.length > 0 ? sections.join('\n') : '<p class="muted">No history recorded yet.</p>'}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the HTML trend report and return its path.
+ */
+export function writeTrendReport(entries, outputPath, options = {}) {
+  fs.writeFileSync(outputPath, buildTrendReport(entries, options));
+  return outputPath;
+}
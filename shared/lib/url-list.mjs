@@ -0,0 +1,180 @@
+import fs from 'fs';
+import zlib from 'zlib';
+
+const DEFAULT_SITEMAP_TIMEOUT = 30000;
+const MAX_SITEMAP_DEPTH = 5;
+
+const XML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'"
+};
+
+function decodeXml(value) {
+  return value.replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]);
+}
+
+/**
+ * Split a comma, whitespace or newline separated list of URLs.
+ * Blank entries and lines starting with # are ignored.
+ */
+export function parseUrlList(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .flatMap(line => line.split(/[\s,]+/))
+    .filter(Boolean);
+}
+
+export function readUrlFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`URL file not found: ${filePath}`);
+  }
+  return parseUrlList(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Crawled page URLs from a crawl-graph.json written by run_links/crawler.mjs.
+ */
+export function readCrawlGraph(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Crawl graph not found: ${filePath}`);
+  }
+  const graph = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return (graph.pages || []).filter(page => page.status === 'crawled').map(page => page.url);
+}
+
+async function readSitemapSource(source, timeout) {
+  let buffer;
+
+  if (/^https?:\/\//i.test(source)) {
+    const response = await fetch(source, { signal: AbortSignal.timeout(timeout) });
+    if (!response.ok) {
+      throw new Error(`Sitemap request failed: ${response.status} ${response.statusText} (${source})`);
+    }
+    buffer = Buffer.from(await response.arrayBuffer());
+  } else {
+    if (!fs.existsSync(source)) {
+      throw new Error(`Sitemap file not found: ${source}`);
+    }
+    buffer = fs.readFileSync(source);
+  }
+
+  // Gzipped sitemaps start with the gzip magic bytes
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+
+  return buffer.toString('utf8');
+}
+
+function extractLocs(xml, parentTag) {
+  const blocks = xml.match(new RegExp(`<${parentTag}[\\s>][\\s\\S]*?</${parentTag}>`, 'gi')) || [];
+  return blocks
+    .map(block => block.match(/<loc>\s*([\s\S]*?)\s*<\/loc>/i))
+    .filter(Boolean)
+    .map(match => decodeXml(match[1].replace(/^<!\[CDATA\[|\]\]>$/g, '').trim()));
+}
+
+/**
+ * Read every page URL from a sitemap. Sitemap indexes are followed
+ * recursively; gzipped sitemaps and local files are supported.
+ */
+export async function fetchSitemapUrls(source, options = {}) {
+  const {
+    maxUrls = Infinity,
+    timeout = DEFAULT_SITEMAP_TIMEOUT,
+    depth = 0,
+    seen = new Set()
+  } = options;
+
+  if (seen.has(source)) return [];
+  seen.add(source);
+
+  if (depth > MAX_SITEMAP_DEPTH) {
+    console.warn(`⚠️ Sitemap nesting deeper than ${MAX_SITEMAP_DEPTH} levels, skipping ${source}`);
+    return [];
+  }
+
+  console.log(`🗺️ Reading sitemap: ${source}`);
+  const xml = await readSitemapSource(source, timeout);
+
+  if (/<sitemapindex[\s>]/i.test(xml)) {
+    const childSitemaps = extractLocs(xml, 'sitemap');
+    console.log(`   Sitemap index with ${childSitemaps.length} sitemaps`);
+
+    const urls = [];
+    for (const child of childSitemaps) {
+      if (urls.length >= maxUrls) break;
+      try {
+        const childUrls = await fetchSitemapUrls(child, {
+          maxUrls: maxUrls - urls.length,
+          timeout,
+          depth: depth + 1,
+          seen
+        });
+        urls.push(...childUrls);
+      } catch (error) {
+        console.warn(`⚠️ Could not read sitemap ${child}: ${error.message}`);
+      }
+    }
+    return urls;
+  }
+
+  const urls = extractLocs(xml, 'url');
+  console.log(`   Found ${urls.length} URLs`);
+  return urls.slice(0, maxUrls);
+}
+
+/**
+ * Build the list of pages to scan from the environment:
+ *   WEBSITE_URLS   several URLs separated by commas, spaces or newlines
+ *   URL_FILE       a text file with one URL per line (# comments allowed)
+ *   SITEMAP_URL    a sitemap.xml or sitemap index, remote or local
+ *   CRAWL_GRAPH    a crawl-graph.json from the site crawler
+ *   MAX_URLS       cap on the number of pages
+ * The list sources are combined and de-duplicated. WEBSITE_URL is only
+ * used when none of them is set.
+ */
+export async function urlListFromEnv(env = process.env) {
+  const maxUrls = parseInt(env.MAX_URLS) || Infinity;
+  const sources = [];
+  const urls = [];
+
+  if (env.WEBSITE_URLS) {
+    sources.push('WEBSITE_URLS');
+    urls.push(...parseUrlList(env.WEBSITE_URLS));
+  }
+  if (env.URL_FILE) {
+    sources.push('URL_FILE');
+    urls.push(...readUrlFile(env.URL_FILE));
+  }
+  if (env.SITEMAP_URL) {
+    sources.push('SITEMAP_URL');
+    urls.push(...await fetchSitemapUrls(env.SITEMAP_URL, { maxUrls }));
+  }
+  if (env.CRAWL_GRAPH) {
+    sources.push('CRAWL_GRAPH');
+    urls.push(...readCrawlGraph(env.CRAWL_GRAPH));
+  }
+  if (sources.length === 0 && env.WEBSITE_URL) {
+    sources.push('WEBSITE_URL');
+    urls.push(env.WEBSITE_URL.trim());
+  }
+
+  const unique = [];
+  for (const url of urls) {
+    try {
+      new URL(url);
+    } catch {
+      console.warn(`⚠️ Skipping invalid URL: ${url}`);
+      continue;
+    }
+    if (!unique.includes(url)) unique.push(url);
+  }
+
+  return { sources, urls: unique.slice(0, maxUrls) };
+}
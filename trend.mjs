@@ -0,0 +1,44 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { historyDirFromEnv, readHistory } from './shared/lib/history.mjs';
+import { TREND_SCANNERS, writeTrendReport } from './shared/lib/trend-report.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function getArg(name) {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+/**
+ * Chart the recorded history as an HTML report of SVG line charts.
+ *   node trend.mjs                      every URL in dataset/history (or HISTORY_DIR)
+ *   --url=<url>                         only this URL (or WEBSITE_URL)
+ *   --history=<dir>                     history directory to read
+ *   --output=<file>                     report path (default dataset/trend-report.html)
+ * processing.mjs records a history entry for each scanner every time it runs.
+ */
+function runTrend() {
+  const datasetDir = path.resolve(process.env.DATASET_DIR || path.join(__dirname, 'dataset'));
+  const historyDir = path.resolve(getArg('history') || historyDirFromEnv(datasetDir));
+  const outputPath = path.resolve(getArg('output') || path.join(datasetDir, 'trend-report.html'));
+  const url = getArg('url') || process.env.WEBSITE_URL;
+
+  const entries = readHistory(historyDir, { url, scanners: TREND_SCANNERS });
+  if (entries.length === 0) {
+    console.error(`❌ No history found in ${historyDir}${url ? ` for ${url}` : ''}`);
+    console.error('   💡 History is recorded each time processing.mjs runs');
+    process.exit(1);
+  }
+
+  const urls = new Set(entries.map(entry => entry.url));
+  console.log(`📈 ${entries.length} history entries for ${urls.size} URL${urls.size === 1 ? '' : 's'} from ${historyDir}`);
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  writeTrendReport(entries, outputPath);
+  console.log(`📊 Trend report saved to: ${outputPath}`);
+}
+
+runTrend();
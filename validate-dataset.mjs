@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SCHEMA_VERSION, validateArtifact } from './shared/lib/schemas.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function getArg(name) {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+function listJsonFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listJsonFiles(entryPath);
+    return /\.jsonl?$/.test(entry.name) ? [entryPath] : [];
+  });
+}
+
+/**
+ * Check every JSON file in the dataset against its published schema.
+ *   node validate-dataset.mjs                   validate dataset/ (or DATASET_DIR)
+ *   --dataset=<dir>                             directory to validate, searched recursively
+ * Exits with 1 when a file fails validation or was written with an
+ * incompatible schemaVersion.
+ */
+function validateDataset() {
+  const datasetDir = path.resolve(getArg('dataset') || process.env.DATASET_DIR || path.join(__dirname, 'dataset'));
+
+  if (!fs.existsSync(datasetDir)) {
+    console.error(`❌ Dataset directory not found: ${datasetDir}`);
+    process.exit(1);
+  }
+
+  console.log(`🔎 Validating ${datasetDir} against schema ${SCHEMA_VERSION}`);
+
+  const results = listJsonFiles(datasetDir).map(filePath => ({
+    ...validateArtifact(filePath),
+    file: path.relative(datasetDir, filePath)
+  }));
+  const checked = results.filter(result => result.schema);
+  const invalid = checked.filter(result => result.errors.length > 0);
+  const unknown = results.filter(result => !result.schema);
+
+  checked.forEach(result => {
+    if (result.errors.length === 0) {
+      console.log(`✅ ${result.file} (${result.schema})`);
+      return;
+    }
+    console.log(`❌ ${result.file} (${result.schema})`);
+    result.errors.forEach(error => console.log(`   ${error}`));
+  });
+  unknown.forEach(result => console.log(`➖ ${result.file} (no schema)`));
+
+  console.log(`\n📊 ${checked.length} files checked, ${invalid.length} invalid, ${unknown.length} without a schema`);
+
+  if (invalid.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+validateDataset();